@@ -1,11 +1,50 @@
-// Note: requestMap is stored in memory and data might be lost if the service worker becomes inactive during very long recording sessions.
-// Consider using chrome.storage.local per request for more robust persistence in future versions.
-let currentTabId = null;
-let requestMap = new Map();
-let isDebuggerAttached = false;
-let pendingResponses = new Map(); // Store pending responses to process later
+// Note: requestMap is the in-memory copy of the active session. Every change is also written to IndexedDB
+// (see lib/db.js), and restoreState() loads it back when Chrome restarts a suspended service worker.
+importScripts('lib/http.js', 'lib/body.js', 'lib/filters.js', 'lib/redact.js', 'lib/schema.js', 'lib/connections.js', 'lib/graphql.js', 'lib/snippets.js', 'lib/collections.js', 'lib/mocks.js', 'lib/testsuite.js', 'lib/perf.js', 'lib/yaml.js', 'lib/paths.js', 'lib/initiator.js', 'lib/steps.js', 'lib/auth.js', 'lib/openapi.js', 'lib/typescript.js', 'lib/diff.js', 'lib/har.js', 'lib/stream.js', 'lib/db.js');
+
+let activeSessionId = null; // Session that requestMap belongs to
+let requestMap = new Map(); // Keyed by getRequestKey(tabId, requestId), CDP request ids are only unique per tab
+const recordedTabs = new Map(); // tabId -> { attached, openerTabId } for every tab in the recording
+let pendingResponses = new Map(); // request key -> { tabId, requestId } waiting for their body
 let isProcessingResponses = false; // Flag to prevent concurrent processing
 let isRecording = false; // Flag to track if we're in recording mode
+const inspectorPorts = new Set(); // Open inspector pages that get live request updates
+let captureFilters = DEFAULT_CAPTURE_FILTERS; // Cached copy of the user's filter settings
+let redactionSettings = DEFAULT_REDACTION_SETTINGS; // Cached copy of the user's redaction settings
+let redactor = createRedactor(redactionSettings);
+const streamDecoders = new Map(); // request key -> TextDecoder for streamed (event-stream) bodies
+const commitTimers = new Map(); // request key -> pending scheduleCommit() timer
+const pendingCookies = new Map(); // request key -> Cookie header that arrived before its requestWillBeSent
+let streamingSettings = DEFAULT_STREAMING_SETTINGS; // Cached copy of the user's live stream settings
+const streamedKeys = new Set(); // Requests of the active session already written to the stream
+let streamBuffer = []; // JSONL lines waiting for flushStream()
+let streamTimer = null;
+let streamPart = 0; // Number of the last rolling download
+let streamFailureNotified = false;
+let currentStep = null; // Name of the last step marker, requests that start now belong to that step
+
+// Chrome's defaults evict big bodies before we get to read them
+const NETWORK_BUFFER_OPTIONS = { maxTotalBufferSize: 200 * 1024 * 1024, maxResourceBufferSize: 50 * 1024 * 1024 };
+// XHR/fetch responses are paused once their headers arrive, so the body is read before the page consumes it
+const FETCH_PATTERNS = [
+  { resourceType: 'XHR', requestStage: 'Response' },
+  { resourceType: 'Fetch', requestStage: 'Response' }
+];
+// The page waits while a paused body is read, so only small bodies with a known length are read there.
+// Bigger and streamed ones are continued right away and read from the Network events.
+const PAUSED_BODY_MAX_SIZE = 256 * 1024;
+const STREAMED_MEDIA_TYPES = ['text/event-stream', 'application/x-ndjson', 'application/ndjson', 'application/jsonl', 'application/stream+json', 'multipart/x-mixed-replace'];
+// Delays (ms) between Network.getResponseBody attempts while the body isn't ready yet
+const RESPONSE_BODY_RETRY_DELAYS = [0, 100, 250, 500, 1000];
+// The Markdown waterfall gets unreadable with more rows than this
+const MARKDOWN_WATERFALL_LIMIT = 100;
+const RECORDING_BADGE_COLOR = '#d32f2f';
+// Cookies of requests that never show up (filtered ones) are dropped once this many are waiting
+const PENDING_COOKIES_LIMIT = 500;
+// Lines are posted to the collector in batches, at most this often (ms)
+const STREAM_FLUSH_DELAY = 1000;
+// Lines kept while the collector can't be reached, older ones are dropped first
+const STREAM_BUFFER_LIMIT = 5000;
 
 // Debug logging function
 function debugLog(message, data = null) {
@@ -17,16 +56,172 @@ function debugLog(message, data = null) {
   }
 }
 
+// Restore the in-progress session after the service worker was suspended and woken up again
+async function restoreState() {
+  const saved = await chrome.storage.local.get(['isRecording', 'activeSessionId', 'recordedTabIds', 'currentStep']);
+  debugLog('Restoring state', saved);
+  if (!saved.activeSessionId) {
+    return;
+  }
+  
+  activeSessionId = saved.activeSessionId;
+  const savedRequests = await loadSessionRequests(activeSessionId);
+  // Keep anything that was captured while we were still loading
+  for (const [requestKey, record] of savedRequests) {
+    if (!requestMap.has(requestKey)) {
+      requestMap.set(requestKey, record);
+    }
+  }
+  debugLog('Session requests restored', { activeSessionId, requestMapSize: requestMap.size });
+  broadcastToInspectors(buildInspectorSnapshot());
+  
+  if (saved.isRecording) {
+    isRecording = true;
+    currentStep = saved.currentStep || null;
+    
+    // The debugger may still be attached to some of the tabs from before the restart
+    const targets = await chrome.debugger.getTargets();
+    for (const tabId of saved.recordedTabIds || []) {
+      const target = targets.find(t => t.tabId === tabId);
+      recordedTabs.set(tabId, { attached: false, openerTabId: null });
+      if (target && target.attached) {
+        debugLog(`Debugger still attached to tab ${tabId}`);
+        recordedTabs.get(tabId).attached = true;
+      } else {
+        await attachDebugger(tabId);
+      }
+    }
+  }
+  updateStatus(isRecording);
+}
+
+function applyRedactionSettings(saved) {
+  redactionSettings = normalizeRedactionSettings(saved);
+  redactor = createRedactor(redactionSettings);
+}
+
+// Capture filters and redaction are needed synchronously while events arrive, so keep cached copies
+chrome.storage.local.get(['captureFilters', 'redaction', 'streaming']).then((saved) => {
+  captureFilters = normalizeCaptureFilters(saved.captureFilters);
+  applyRedactionSettings(saved.redaction);
+  streamingSettings = normalizeStreamingSettings(saved.streaming);
+});
+
+chrome.storage.onChanged.addListener((changes) => {
+  if (changes.captureFilters) {
+    captureFilters = normalizeCaptureFilters(changes.captureFilters.newValue);
+    debugLog('Capture filters updated', captureFilters);
+  }
+  if (changes.redaction) {
+    applyRedactionSettings(changes.redaction.newValue);
+    debugLog('Redaction settings updated', redactionSettings);
+  }
+  if (changes.streaming) {
+    streamingSettings = normalizeStreamingSettings(changes.streaming.newValue);
+    debugLog('Streaming settings updated', streamingSettings);
+  }
+});
+
+restoreState().catch(error => {
+  debugLog('Failed to restore state', error);
+  console.error('Failed to restore state:', error);
+});
+
 // Initialize state
 chrome.runtime.onInstalled.addListener(() => {
   debugLog('Extension installed');
   chrome.storage.local.set({ isRecording: false });
+  createContextMenus();
+});
+
+// Context menu entries on pages and on the toolbar icon, updateStatus() shows the one that fits
+function createContextMenus() {
+  chrome.contextMenus.removeAll(() => {
+    chrome.contextMenus.create({ id: 'record-tab', title: 'Record API calls on this tab', contexts: ['page', 'action'] });
+    chrome.contextMenus.create({ id: 'add-step', title: 'Start a new step', contexts: ['page', 'action'], visible: false });
+    chrome.contextMenus.create({ id: 'stop-recording', title: 'Stop recording API calls', contexts: ['page', 'action'], visible: false });
+  });
+}
+
+chrome.contextMenus.onClicked.addListener((info, tab) => {
+  debugLog('Context menu clicked', { menuItemId: info.menuItemId, tabId: tab && tab.id });
+  if (info.menuItemId === 'record-tab' && tab) {
+    recordTab(tab.id);
+  } else if (info.menuItemId === 'add-step' && isRecording) {
+    addStepFromShortcut();
+  } else if (info.menuItemId === 'stop-recording' && isRecording) {
+    stopRecording();
+  }
 });
 
+// Keyboard shortcuts, they can be changed on chrome://extensions/shortcuts
+chrome.commands.onCommand.addListener(async (command, tab) => {
+  debugLog(`Command received: ${command}`);
+  switch (command) {
+    case 'start-recording': {
+      const [activeTab] = tab ? [tab] : await chrome.tabs.query({ active: true, currentWindow: true });
+      if (activeTab) {
+        recordTab(activeTab.id);
+      }
+      break;
+    }
+    case 'stop-recording':
+      if (isRecording) {
+        stopRecording();
+      }
+      break;
+    case 'add-step':
+      if (isRecording) {
+        addStepFromShortcut();
+      }
+      break;
+    case 'export-markdown':
+      exportToMarkdown().catch(error => showNotification('Export failed', error.message));
+      break;
+  }
+});
+
+// Starts a recording on the tab, or adds the tab when a recording is already running
+function recordTab(tabId) {
+  if (!isRecording) {
+    startRecording(tabId);
+  } else if (!recordedTabs.has(tabId)) {
+    addRecordedTab(tabId);
+  }
+}
+
+// The shortcut and the context menu can't ask for a name, so the step gets a numbered one
+function addStepFromShortcut() {
+  addStepMarker()
+    .then(step => showNotification('New step', `Requests from now on belong to "${step.name}".`))
+    .catch(error => showNotification('Could not add a step', error.message));
+}
+
+function showNotification(title, message) {
+  chrome.notifications.create({ type: 'basic', iconUrl: 'icons/recording.png', title, message });
+}
+
 // Keep service worker active
 chrome.runtime.onStartup.addListener(() => {
   debugLog('Extension started');
-  chrome.storage.local.set({ isRecording: false });
+  // Tabs from the last browser run are gone, so a recording can't continue
+  isRecording = false;
+  recordedTabs.clear();
+  chrome.storage.local.set({ isRecording: false, recordedTabIds: [] });
+});
+
+// Inspector pages connect with a port to get a live stream of captured requests
+chrome.runtime.onConnect.addListener((port) => {
+  if (port.name !== 'inspector') {
+    return;
+  }
+  debugLog('Inspector connected');
+  inspectorPorts.add(port);
+  port.onDisconnect.addListener(() => {
+    debugLog('Inspector disconnected');
+    inspectorPorts.delete(port);
+  });
+  port.postMessage(buildInspectorSnapshot());
 });
 
 // Listen for messages from popup
@@ -36,19 +231,136 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
     switch (message.type) {
       case 'startRecording':
         debugLog('Starting recording for tab', message.tabId);
-        startRecording(message.tabId);
+        startRecording(message.tabId, message.name);
         sendResponse({ success: true });
         break;
+      case 'addTab':
+        debugLog('Adding tab to recording', message.tabId);
+        if (!isRecording) {
+          sendResponse({ success: false, error: 'Not recording' });
+          break;
+        }
+        addRecordedTab(message.tabId)
+          .then(() => sendResponse({ success: recordedTabs.has(message.tabId) }))
+          .catch(error => sendResponse({ success: false, error: error.message }));
+        break;
       case 'stopRecording':
         debugLog('Stopping recording');
         stopRecording();
         sendResponse({ success: true });
         break;
+      case 'addStep':
+        debugLog('Adding step marker', message.name);
+        addStepMarker(message.name)
+          .then(step => sendResponse({ success: true, step }))
+          .catch(error => sendResponse({ success: false, error: error.message }));
+        break;
+      case 'getEndpointNote':
+        getEndpointNote(message.requestId)
+          .then(result => sendResponse({ success: true, ...result }))
+          .catch(error => sendResponse({ success: false, error: error.message }));
+        break;
+      case 'setEndpointNote':
+        debugLog('Saving endpoint note', message.requestId);
+        setEndpointNote(message.requestId, message.note)
+          .then(() => sendResponse({ success: true }))
+          .catch(error => sendResponse({ success: false, error: error.message }));
+        break;
       case 'exportMarkdown':
         debugLog('Exporting to markdown');
-        exportToMarkdown();
+        exportToMarkdown(message.sessionId)
+          .then(() => sendResponse({ success: true }))
+          .catch(error => sendResponse({ success: false, error: error.message }));
+        break;
+      case 'exportTypes':
+        debugLog('Exporting TypeScript types', { zod: message.zod });
+        exportToTypeScript(message.zod, message.sessionId)
+          .then(() => sendResponse({ success: true }))
+          .catch(error => sendResponse({ success: false, error: error.message }));
+        break;
+      case 'exportTests':
+        debugLog('Exporting test suite', message.framework);
+        exportToTestSuite(message.framework, message.sessionId)
+          .then(() => sendResponse({ success: true }))
+          .catch(error => sendResponse({ success: false, error: error.message }));
+        break;
+      case 'exportOpenApi':
+        debugLog('Exporting to OpenAPI', message.format);
+        exportToOpenApi(message.format, message.sessionId)
+          .then(() => sendResponse({ success: true }))
+          .catch(error => sendResponse({ success: false, error: error.message }));
+        break;
+      case 'exportCollection':
+        debugLog('Exporting collection', message.format);
+        exportToCollection(message.format, message.sessionId)
+          .then(() => sendResponse({ success: true }))
+          .catch(error => sendResponse({ success: false, error: error.message }));
+        break;
+      case 'exportMock':
+        debugLog('Exporting mock', message.format);
+        exportToMock(message.format, message.sessionId)
+          .then(() => sendResponse({ success: true }))
+          .catch(error => sendResponse({ success: false, error: error.message }));
+        break;
+      case 'exportHar':
+        debugLog('Exporting to HAR');
+        exportToHar(message.sessionId)
+          .then(() => sendResponse({ success: true }))
+          .catch(error => sendResponse({ success: false, error: error.message }));
+        break;
+      case 'exportGraphqlSdl':
+        debugLog('Exporting GraphQL SDL');
+        exportGraphqlSdl(message.sessionId)
+          .then(() => sendResponse({ success: true }))
+          .catch(error => sendResponse({ success: false, error: error.message }));
+        break;
+      case 'diffSessions':
+        debugLog('Comparing sessions', message.sessionIds);
+        diffSessions(message.sessionIds)
+          .then(summary => sendResponse({ success: true, summary }))
+          .catch(error => sendResponse({ success: false, error: error.message }));
+        break;
+      case 'diffSpecs':
+        debugLog('Comparing specs', [message.beforeName, message.afterName]);
+        diffSpecs(message.before, message.after, message.beforeName, message.afterName)
+          .then(summary => sendResponse({ success: true, summary }))
+          .catch(error => sendResponse({ success: false, error: error.message }));
+        break;
+      case 'importHar':
+        debugLog('Importing HAR');
+        importHar(message.har)
+          .then(count => sendResponse({ success: true, count }))
+          .catch(error => sendResponse({ success: false, error: error.message }));
+        break;
+      case 'listSessions':
+        debugLog('Listing sessions');
+        getSessionList()
+          .then(sessions => sendResponse({ success: true, sessions, activeSessionId }))
+          .catch(error => sendResponse({ success: false, error: error.message }));
+        break;
+      case 'renameSession':
+        debugLog('Renaming session', message.sessionId);
+        renameSession(message.sessionId, message.name)
+          .then(() => sendResponse({ success: true }))
+          .catch(error => sendResponse({ success: false, error: error.message }));
+        break;
+      case 'mergeSessions':
+        debugLog('Merging sessions', message.sessionIds);
+        mergeSessions(message.sessionIds, message.name)
+          .then(sessionId => sendResponse({ success: true, sessionId }))
+          .catch(error => sendResponse({ success: false, error: error.message }));
+        break;
+      case 'setRequestExcluded':
+        debugLog('Setting request exclusion', { requestId: message.requestId, excluded: message.excluded });
+        setRequestExcluded(message.requestId, message.excluded);
         sendResponse({ success: true });
         break;
+      case 'deleteSession':
+        debugLog('Deleting session', message.sessionId);
+        removeSession(message.sessionId)
+          .then(() => sendResponse({ success: true }))
+          .catch(error => sendResponse({ success: false, error: error.message }));
+        break;
     }
   } catch (error) {
     debugLog('Error handling message', error);
@@ -61,76 +373,133 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
 // Handle tab updates and removals
 chrome.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
   debugLog(`Tab ${tabId} updated`, changeInfo);
+  const recordedTab = recordedTabs.get(tabId);
+  if (!isRecording || !recordedTab) {
+    return;
+  }
   
-  // If we're recording and this is a navigation to a new page
-  if (isRecording && changeInfo.status === 'loading' && changeInfo.url) {
-    debugLog(`Navigation detected to ${changeInfo.url}`);
-    
-    // If this is the current tab we're recording, we need to reattach the debugger
-    if (tabId === currentTabId) {
-      debugLog(`Current tab ${tabId} is navigating, will reattach debugger`);
-      // We'll reattach the debugger when the page finishes loading
-    }
+  if (changeInfo.status === 'loading' && changeInfo.url) {
+    debugLog(`Navigation detected in recorded tab ${tabId} to ${changeInfo.url}`);
   }
   
-  // When the page finishes loading, reattach the debugger if needed
-  if (isRecording && changeInfo.status === 'complete' && tabId === currentTabId) {
-    debugLog(`Tab ${tabId} finished loading, checking debugger status`);
-    if (!isDebuggerAttached) {
-      debugLog(`Reattaching debugger to tab ${tabId}`);
-      reattachDebugger(tabId);
-    }
+  // When the page finishes loading, reattach the debugger if the navigation detached it
+  if (changeInfo.status === 'complete' && !recordedTab.attached) {
+    debugLog(`Reattaching debugger to tab ${tabId}`);
+    attachDebugger(tabId);
+  }
+});
+
+// Popups and new tabs opened from a recorded tab are recorded too
+chrome.tabs.onCreated.addListener((tab) => {
+  if (isRecording && tab.openerTabId && recordedTabs.has(tab.openerTabId)) {
+    debugLog(`Tab ${tab.id} opened from recorded tab ${tab.openerTabId}`);
+    addRecordedTab(tab.id, tab.openerTabId);
   }
 });
 
 chrome.tabs.onRemoved.addListener((tabId) => {
   debugLog(`Tab ${tabId} removed`);
-  if (tabId === currentTabId) {
-    debugLog(`Current tab ${tabId} was closed, handling tab change`);
-    // Tab was closed, but we don't stop recording
-    // Just reset the current tab ID
-    currentTabId = null;
-    isDebuggerAttached = false;
+  if (recordedTabs.has(tabId)) {
+    // The recording keeps going with the other tabs (or none) until it is stopped
+    debugLog(`Recorded tab ${tabId} was closed`);
+    removeRecordedTab(tabId);
+  }
+});
+
+chrome.debugger.onDetach.addListener((source, reason) => {
+  const recordedTab = recordedTabs.get(source.tabId);
+  if (!recordedTab) {
+    return;
+  }
+  debugLog(`Debugger detached from tab ${source.tabId}`, { reason });
+  recordedTab.attached = false;
+  // Dismissing Chrome's "is debugging this browser" bar means the user wants that tab left alone
+  if (reason === 'canceled_by_user') {
+    removeRecordedTab(source.tabId);
+    const otherTabs = recordedTabs.size;
+    showNotification('Recording stopped on a tab', otherTabs
+      ? `The debugger was detached from tab ${source.tabId}. The other ${otherTabs} tab${otherTabs === 1 ? ' is' : 's are'} still recorded.`
+      : `The debugger was detached from tab ${source.tabId}, no tab is recorded any more. Stop the recording or record a tab again.`);
   }
 });
 
-// Function to reattach debugger to a tab
-async function reattachDebugger(tabId) {
-  debugLog(`Attempting to reattach debugger to tab ${tabId}`);
+// Attaches the debugger to a recorded tab and enables network tracking
+async function attachDebugger(tabId) {
+  debugLog(`Attempting to attach debugger to tab ${tabId}`);
+  const recordedTab = recordedTabs.get(tabId);
+  if (!recordedTab) {
+    return;
+  }
   try {
     // Check if tab still exists
-    const tab = await chrome.tabs.get(tabId);
-    if (!tab) {
-      debugLog(`Tab ${tabId} no longer exists, cannot reattach`);
-      return;
-    }
+    await chrome.tabs.get(tabId);
     
-    // Attach debugger
     await chrome.debugger.attach({ tabId }, '1.3');
-    isDebuggerAttached = true;
-    currentTabId = tabId;
+    recordedTab.attached = true;
     
     // Enable network tracking
-    await chrome.debugger.sendCommand({ tabId }, 'Network.enable');
-    debugLog(`Debugger reattached successfully to tab ${tabId}`);
+    await chrome.debugger.sendCommand({ tabId }, 'Network.enable', NETWORK_BUFFER_OPTIONS);
+    await chrome.debugger.sendCommand({ tabId }, 'Fetch.enable', { patterns: FETCH_PATTERNS });
+    debugLog(`Debugger attached successfully to tab ${tabId}`);
   } catch (error) {
-    debugLog(`Failed to reattach debugger to tab ${tabId}`, error);
-    console.error('Failed to reattach debugger:', error);
+    debugLog(`Failed to attach debugger to tab ${tabId}`, error);
+    console.error('Failed to attach debugger:', error);
+    // A tab that is gone (or can't be debugged, like chrome:// pages) is dropped from the recording
+    if (!recordedTab.attached) {
+      removeRecordedTab(tabId);
+    }
+  }
+}
+
+function saveRecordedTabs() {
+  chrome.storage.local.set({ recordedTabIds: Array.from(recordedTabs.keys()) });
+}
+
+async function addRecordedTab(tabId, openerTabId = null) {
+  if (recordedTabs.has(tabId)) {
+    debugLog(`Tab ${tabId} is already recorded`);
+    return;
+  }
+  recordedTabs.set(tabId, { attached: false, openerTabId });
+  saveRecordedTabs();
+  await attachDebugger(tabId);
+}
+
+function removeRecordedTab(tabId) {
+  recordedTabs.delete(tabId);
+  // Bodies can't be fetched from a tab we're no longer attached to
+  for (const [requestKey, pending] of pendingResponses) {
+    if (pending.tabId === tabId) {
+      pendingResponses.delete(requestKey);
+    }
   }
+  saveRecordedTabs();
+}
+
+// Request ids come from each tab's own network stack, so they are scoped by tab
+function getRequestKey(tabId, requestId) {
+  return `${tabId}:${requestId}`;
 }
 
-async function startRecording(tabId) {
-  debugLog('Starting recording process', { tabId, currentTabId, isDebuggerAttached });
+async function startRecording(tabId, name) {
+  debugLog('Starting recording process', { tabId });
   try {
-    // Reset state
-    currentTabId = tabId;
+    // Reset state, the previous session stays in IndexedDB
+    activeSessionId = `session-${Date.now()}`;
     requestMap = new Map();
     pendingResponses = new Map();
-    isDebuggerAttached = false;
+    pendingCookies.clear();
+    recordedTabs.clear();
     isProcessingResponses = false;
     isRecording = true;
+    streamedKeys.clear();
+    streamBuffer = [];
+    streamPart = 0;
+    streamFailureNotified = false;
+    currentStep = null;
     
-    debugLog('State reset', { currentTabId, requestMapSize: requestMap.size, pendingResponsesSize: pendingResponses.size });
+    debugLog('State reset', { requestMapSize: requestMap.size, pendingResponsesSize: pendingResponses.size });
+    broadcastToInspectors(buildInspectorSnapshot());
     
     // Check if tab still exists
     debugLog('Checking if tab exists', tabId);
@@ -143,286 +512,841 @@ async function startRecording(tabId) {
     
     // Attach debugger
     debugLog('Attaching debugger to tab', tabId);
-    await chrome.debugger.attach({ tabId }, '1.3');
-    isDebuggerAttached = true;
-    debugLog('Debugger attached successfully', { tabId, isDebuggerAttached });
-    
-    // Enable network tracking
-    debugLog('Enabling network tracking');
-    await chrome.debugger.sendCommand({ tabId }, 'Network.enable');
-    debugLog('Network tracking enabled');
+    await addRecordedTab(tabId);
+    if (!recordedTabs.has(tabId)) {
+      throw new Error('Could not attach the debugger');
+    }
     
     // Update state
     debugLog('Updating storage state');
-    chrome.storage.local.set({ isRecording: true });
+    await saveSession({
+      id: activeSessionId,
+      name: name || `${new URL(tab.url).hostname || tab.title} - ${new Date().toLocaleString()}`,
+      startedAt: Date.now(),
+      tabId,
+      tabUrl: tab.url,
+      requestCount: 0,
+      steps: [],
+      notes: {}
+    });
+    chrome.storage.local.set({ isRecording: true, activeSessionId, currentStep: null });
     updateStatus(true);
     debugLog('Recording started successfully');
   } catch (error) {
     debugLog('Failed to start recording', error);
     console.error('Failed to start recording:', error);
     // Reset state on error
-    currentTabId = null;
-    isDebuggerAttached = false;
+    recordedTabs.clear();
     isRecording = false;
-    chrome.storage.local.set({ isRecording: false });
-    debugLog('State reset after error', { currentTabId, isDebuggerAttached });
+    chrome.storage.local.set({ isRecording: false, recordedTabIds: [] });
+    debugLog('State reset after error');
   }
 }
 
 async function stopRecording() {
-  debugLog('Stopping recording process', { currentTabId, isDebuggerAttached });
+  debugLog('Stopping recording process', { recordedTabs: Array.from(recordedTabs.keys()) });
   
   // Process any pending responses before detaching debugger
-  if (isDebuggerAttached && currentTabId) {
-    debugLog('Processing pending responses before detaching');
-    await processPendingResponses();
+  debugLog('Processing pending responses before detaching');
+  await processPendingResponses();
+  
+  // Open connections and requests that never finished go into the stream as they are
+  for (const requestKey of requestMap.keys()) {
+    streamRequest(requestKey);
   }
+  await flushStream();
   
-  if (currentTabId && isDebuggerAttached) {
+  for (const [tabId, recordedTab] of recordedTabs) {
+    if (!recordedTab.attached) {
+      continue;
+    }
     try {
-      debugLog('Detaching debugger from tab', currentTabId);
-      await chrome.debugger.detach({ tabId: currentTabId });
+      debugLog('Detaching debugger from tab', tabId);
+      await chrome.debugger.detach({ tabId });
       debugLog('Debugger detached successfully');
     } catch (error) {
       debugLog('Error detaching debugger', error);
       console.error('Error detaching debugger:', error);
     }
-  } else {
-    debugLog('Cannot detach debugger', { currentTabId, isDebuggerAttached });
+  }
+  
+  // Close the session, its requests stay available for export
+  if (activeSessionId) {
+    try {
+      const session = await getSession(activeSessionId);
+      if (session) {
+        const tabIds = new Set(Array.from(requestMap.values()).map(request => request.tabId).filter(Boolean));
+        await saveSession({ ...session, endedAt: Date.now(), requestCount: requestMap.size, tabIds: Array.from(tabIds) });
+      }
+    } catch (error) {
+      debugLog('Error saving session', error);
+      console.error('Error saving session:', error);
+    }
   }
   
   // Reset state regardless of detach success
   debugLog('Resetting state');
-  currentTabId = null;
-  isDebuggerAttached = false;
+  recordedTabs.clear();
   isProcessingResponses = false;
   isRecording = false;
-  chrome.storage.local.set({ isRecording: false });
+  currentStep = null;
+  chrome.storage.local.set({ isRecording: false, recordedTabIds: [], currentStep: null });
   updateStatus(false);
-  debugLog('Recording stopped, state reset', { currentTabId, isDebuggerAttached });
+  debugLog('Recording stopped, state reset');
 }
 
 // Listen for debugger events
 chrome.debugger.onEvent.addListener((source, method, params) => {
   debugLog(`Debugger event received: ${method}`, { source, params });
   
-  // If we're recording but the event is from a different tab, try to reattach to that tab
-  if (isRecording && source.tabId !== currentTabId) {
-    debugLog(`Event from different tab ${source.tabId}, current tab is ${currentTabId}`);
-    // If we don't have a current tab or the debugger isn't attached, try to attach to this tab
-    if (!currentTabId || !isDebuggerAttached) {
-      debugLog(`No current tab or debugger not attached, attempting to attach to tab ${source.tabId}`);
-      reattachDebugger(source.tabId);
+  // Only process events from tabs that are part of the recording
+  if (!isRecording || !recordedTabs.has(source.tabId)) {
+    debugLog(`Ignoring event for tab that isn't recorded`, { sourceTabId: source.tabId });
+    // Fetch stays enabled while the worker restarts, and restoreState() may not have marked the tab as recorded yet
+    if (method === 'Fetch.requestPaused') {
+      continuePausedRequest(source.tabId, params.requestId);
     }
-  }
-  
-  // Only process events from the current tab
-  if (source.tabId !== currentTabId) {
-    debugLog(`Ignoring event for different tab`, { sourceTabId: source.tabId, currentTabId });
     return;
   }
+  const tabId = source.tabId;
 
   switch (method) {
     case 'Network.requestWillBeSent':
       debugLog('Handling requestWillBeSent', params);
-      handleRequestWillBeSent(params);
+      handleRequestWillBeSent(tabId, params);
       break;
     case 'Network.responseReceived':
       debugLog('Handling responseReceived', params);
-      handleResponseReceived(params);
+      handleResponseReceived(tabId, params);
       break;
     case 'Network.loadingFinished':
       debugLog('Handling loadingFinished', params);
-      handleLoadingFinished(params);
+      handleLoadingFinished(tabId, params);
       break;
     case 'Network.loadingFailed':
       debugLog('Handling loadingFailed', params);
-      handleLoadingFailed(params);
+      handleLoadingFailed(tabId, params);
+      break;
+    case 'Network.requestWillBeSentExtraInfo':
+      handleRequestExtraInfo(tabId, params);
+      break;
+    case 'Network.requestServedFromCache':
+      handleRequestServedFromCache(tabId, params);
+      break;
+    case 'Network.dataReceived':
+      handleDataReceived(tabId, params);
+      break;
+    case 'Network.webSocketCreated':
+      handleWebSocketCreated(tabId, params);
+      break;
+    case 'Network.webSocketWillSendHandshakeRequest':
+      handleWebSocketHandshakeRequest(tabId, params);
+      break;
+    case 'Network.webSocketHandshakeResponseReceived':
+      handleWebSocketHandshakeResponse(tabId, params);
+      break;
+    case 'Network.webSocketFrameSent':
+      handleWebSocketFrame(tabId, params, 'sent');
+      break;
+    case 'Network.webSocketFrameReceived':
+      handleWebSocketFrame(tabId, params, 'received');
+      break;
+    case 'Network.webSocketFrameError':
+      handleWebSocketFrameError(tabId, params);
+      break;
+    case 'Network.webSocketClosed':
+      handleWebSocketClosed(tabId, params);
+      break;
+    case 'Network.eventSourceMessageReceived':
+      handleEventSourceMessage(tabId, params);
+      break;
+    case 'Fetch.requestPaused':
+      debugLog('Handling requestPaused', params);
+      handleRequestPaused(tabId, params);
       break;
     default:
       debugLog(`Unhandled debugger event: ${method}`);
   }
 });
 
-function handleRequestWillBeSent(params) {
+function handleRequestWillBeSent(tabId, params) {
   const { requestId, request } = params;
+  const requestKey = getRequestKey(tabId, requestId);
   debugLog(`Request will be sent: ${requestId}`, { url: request.url, method: request.method });
-  requestMap.set(requestId, {
+  
+  const isFiltered = !matchesRequestFilters(request, captureFilters);
+  const pendingCookie = pendingCookies.get(requestKey);
+  pendingCookies.delete(requestKey);
+  
+  // Chrome reuses the request id for every hop of a redirect, so the previous hop moves to its own entry
+  let redirectedFrom;
+  if (params.redirectResponse && requestMap.has(requestKey)) {
+    redirectedFrom = recordRedirectHop(requestKey, params, isFiltered);
+  }
+  
+  // Filtered requests never enter requestMap, so their later events are ignored too
+  if (isFiltered) {
+    debugLog(`Request filtered out: ${requestId}`, { url: request.url });
+    return;
+  }
+  
+  const { text: requestBody, size: requestBodySize, truncated } = truncateText(request.postData || '', captureFilters.maxBodySize);
+  const record = {
+    tabId,
+    frameId: params.frameId,
     url: request.url,
     method: request.method,
     requestHeaders: request.headers,
-    requestBody: request.postData,
-    timestamp: Date.now()
-  });
+    requestBody: request.postData !== undefined ? requestBody : undefined,
+    resourceType: params.type,
+    timestamp: Date.now(),
+    startTime: params.timestamp, // CDP monotonic time in seconds, used for HAR timings
+    pageUrl: params.documentURL,
+    initiator: compactInitiator(params.initiator),
+    step: currentStep || undefined,
+    // Decoded now, redaction removes the token itself
+    jwt: extractRequestJwt(request.headers, redactionSettings.authHeaders)
+  };
+  if (truncated) {
+    record.requestBodySize = requestBodySize;
+    record.requestBodyTruncated = true;
+  }
+  if (params.type === 'EventSource') {
+    record.kind = 'eventsource';
+    record.messages = [];
+  }
+  if (redirectedFrom) {
+    record.redirectedFrom = redirectedFrom;
+    record.redirectIndex = requestMap.get(redirectedFrom).redirectIndex + 1;
+  }
+  if (pendingCookie) {
+    addRequestCookie(record, pendingCookie);
+  }
+  requestMap.set(requestKey, record);
+  commitRequest(requestKey);
+  updateStatus(true);
   debugLog(`Request stored in requestMap`, { requestMapSize: requestMap.size });
+  
+  // Big request bodies are left out of the event and have to be asked for
+  if (request.hasPostData && request.postData === undefined) {
+    fetchRequestBody(tabId, requestId, requestKey);
+  }
+}
+
+// Finishes the previous hop of a redirect with the redirect response and moves it out of the way of the next hop.
+// Returns the key it was moved to.
+function recordRedirectHop(requestKey, params, isNextHopFiltered) {
+  const hop = requestMap.get(requestKey);
+  const response = params.redirectResponse;
+  hop.redirectIndex = hop.redirectIndex || 0;
+  const hopKey = `${requestKey}:redirect-${hop.redirectIndex}`;
+  
+  hop.status = response.status;
+  hop.statusText = response.statusText;
+  hop.responseHeaders = response.headers;
+  hop.httpVersion = response.protocol;
+  hop.mimeType = response.mimeType;
+  hop.timing = response.timing;
+  Object.assign(hop, getResponseNetworkInfo(response));
+  hop.endTime = params.timestamp;
+  hop.redirectURL = params.request.url;
+  if (!isNextHopFiltered) {
+    hop.redirectedTo = requestKey;
+  }
+  
+  requestMap.delete(requestKey);
+  requestMap.set(hopKey, hop);
+  if (hop.redirectedFrom && requestMap.has(hop.redirectedFrom)) {
+    requestMap.get(hop.redirectedFrom).redirectedTo = hopKey;
+    commitRequest(hop.redirectedFrom);
+  }
+  commitRequest(hopKey);
+  streamRequest(hopKey);
+  if (isNextHopFiltered) {
+    // The final request never comes back under this key, so remove its stale copy
+    dropRequest(requestKey);
+  }
+  debugLog(`Redirect hop recorded: ${hopKey}`, { status: hop.status, redirectURL: hop.redirectURL });
+  return hopKey;
+}
+
+async function fetchRequestBody(tabId, requestId, requestKey) {
+  try {
+    const { postData } = await chrome.debugger.sendCommand({ tabId }, 'Network.getRequestPostData', { requestId });
+    const request = requestMap.get(requestKey);
+    if (!request) {
+      return;
+    }
+    const { text, size, truncated } = truncateText(postData, captureFilters.maxBodySize);
+    request.requestBody = text;
+    if (truncated) {
+      request.requestBodySize = size;
+      request.requestBodyTruncated = true;
+    }
+    commitRequest(requestKey);
+  } catch (error) {
+    debugLog(`Failed to get request body: ${requestId}`, error);
+  }
 }
 
-function handleResponseReceived(params) {
+function handleResponseReceived(tabId, params) {
   const { requestId, response } = params;
+  const requestKey = getRequestKey(tabId, requestId);
   debugLog(`Response received: ${requestId}`, { status: response.status });
-  const request = requestMap.get(requestId);
+  const request = requestMap.get(requestKey);
   if (request) {
     request.status = response.status;
+    request.statusText = response.statusText;
     request.responseHeaders = response.headers;
+    request.httpVersion = response.protocol;
+    request.mimeType = response.mimeType;
+    request.timing = response.timing;
+    Object.assign(request, getResponseNetworkInfo(response));
+    
+    // Now that the content type is known, drop anything that isn't an API call
+    if (!captureFilters.captureAll && !isApiRequest(request, captureFilters)) {
+      debugLog(`Response filtered out by content type: ${requestId}`, { url: request.url });
+      dropRequest(requestKey);
+      return;
+    }
+    
+    commitRequest(requestKey);
     debugLog(`Response details stored for request: ${requestId}`);
+    
+    // Event streams never finish loading, so their body is read while it arrives
+    if (getMediaType(response.mimeType) === 'text/event-stream') {
+      startBodyStream(tabId, requestId, requestKey);
+    }
   } else {
     debugLog(`No request found for response: ${requestId}`);
   }
 }
 
-function handleLoadingFailed(params) {
+async function startBodyStream(tabId, requestId, requestKey) {
+  const request = requestMap.get(requestKey);
+  request.responseBody = '';
+  request.responseBodySize = 0;
+  streamDecoders.set(requestKey, new TextDecoder('utf-8'));
+  try {
+    // Sends what arrived so far, the rest comes as Network.dataReceived events with data
+    const { bufferedData } = await chrome.debugger.sendCommand({ tabId }, 'Network.streamResourceContent', { requestId });
+    appendStreamData(requestKey, bufferedData);
+  } catch (error) {
+    debugLog(`Failed to stream response body: ${requestId}`, error);
+    streamDecoders.delete(requestKey);
+    // commitRequest may have replaced the record with a redacted copy meanwhile
+    const current = requestMap.get(requestKey);
+    if (current) {
+      current.responseError = error.message;
+      commitRequest(requestKey);
+    }
+  }
+}
+
+function handleDataReceived(tabId, params) {
+  const requestKey = getRequestKey(tabId, params.requestId);
+  if (params.data && streamDecoders.has(requestKey)) {
+    appendStreamData(requestKey, params.data);
+  }
+}
+
+function appendStreamData(requestKey, base64Data) {
+  const request = requestMap.get(requestKey);
+  const decoder = streamDecoders.get(requestKey);
+  if (!request || !decoder || !base64Data) {
+    return;
+  }
+  const bytes = base64ToBytes(base64Data);
+  request.responseBodySize += bytes.length;
+  if (!request.responseBodyTruncated) {
+    request.responseBody += decoder.decode(bytes, { stream: true });
+    const { text, truncated } = truncateText(request.responseBody, captureFilters.maxBodySize);
+    if (truncated) {
+      request.responseBody = text;
+      request.responseBodyTruncated = true;
+    }
+  }
+  commitRequest(requestKey);
+}
+
+// Reads XHR/fetch bodies while the response is paused, before the page (or the browser cache) can lose them
+async function handleRequestPaused(tabId, params) {
+  const { requestId: interceptionId, networkId, responseStatusCode, responseHeaders } = params;
+  const requestKey = getRequestKey(tabId, networkId);
+  try {
+    const request = requestMap.get(requestKey);
+    const contentType = getHeaderValue(responseHeaders, 'content-type');
+    const isApi = captureFilters.captureAll || (request && isApiRequest({ ...request, responseHeaders }, captureFilters));
+    // Redirects have no body, streams and chunked bodies without a length could keep the page waiting
+    const contentLength = String(getHeaderValue(responseHeaders, 'content-length')).trim();
+    const maxSize = captureFilters.maxBodySize ? Math.min(captureFilters.maxBodySize, PAUSED_BODY_MAX_SIZE) : PAUSED_BODY_MAX_SIZE;
+    const canRead = request && isApi && responseStatusCode !== undefined &&
+      !(responseStatusCode >= 300 && responseStatusCode < 400) &&
+      !STREAMED_MEDIA_TYPES.includes(getMediaType(contentType)) &&
+      /^\d+$/.test(contentLength) && Number(contentLength) <= maxSize;
+    if (canRead) {
+      const response = await chrome.debugger.sendCommand({ tabId }, 'Fetch.getResponseBody', { requestId: interceptionId });
+      storeResponseBody(requestKey, response, contentType);
+      debugLog(`Response body read at interception: ${networkId}`);
+    }
+  } catch (error) {
+    debugLog(`Failed to read paused response body: ${networkId}`, error);
+  } finally {
+    continuePausedRequest(tabId, interceptionId);
+  }
+}
+
+// A paused request hangs the page until it is continued, whatever happened while it was paused
+function continuePausedRequest(tabId, interceptionId) {
+  chrome.debugger.sendCommand({ tabId }, 'Fetch.continueRequest', { requestId: interceptionId }).catch(error => {
+    debugLog(`Failed to continue paused request: ${interceptionId}`, error);
+  });
+}
+
+// Stores a body from Network.getResponseBody or Fetch.getResponseBody on its request
+function storeResponseBody(requestKey, response, contentType) {
+  const request = requestMap.get(requestKey);
+  if (!request) {
+    return;
+  }
+  delete request.responseBody;
+  delete request.responseBodyBase64;
+  delete request.responseBodyTruncated;
+  delete request.responseError;
+  Object.assign(request, decodeResponseBody(response.body, response.base64Encoded, contentType, captureFilters.maxBodySize));
+  commitRequest(requestKey);
+}
+
+function handleLoadingFailed(tabId, params) {
   const { requestId, errorText } = params;
+  const requestKey = getRequestKey(tabId, requestId);
   debugLog(`Loading failed: ${requestId}`, { errorText });
-  const request = requestMap.get(requestId);
+  streamDecoders.delete(requestKey);
+  const request = requestMap.get(requestKey);
   if (request) {
     request.error = errorText;
+    commitRequest(requestKey);
+    streamRequest(requestKey);
     debugLog(`Error stored for request: ${requestId}`);
   } else {
     debugLog(`No request found for failed loading: ${requestId}`);
   }
 }
 
-async function handleLoadingFinished(params) {
+// Chrome leaves cookies out of requestWillBeSent, they come with this event, before or after it
+function handleRequestExtraInfo(tabId, params) {
+  const cookie = getHeaderValue(params.headers, 'cookie');
+  if (!cookie) {
+    return;
+  }
+  const requestKey = getRequestKey(tabId, params.requestId);
+  const request = requestMap.get(requestKey);
+  if (!request) {
+    if (pendingCookies.size >= PENDING_COOKIES_LIMIT) {
+      pendingCookies.clear();
+    }
+    pendingCookies.set(requestKey, cookie);
+    return;
+  }
+  // A finished redirect hop keeps its own cookies
+  if (request.status || getHeaderValue(request.requestHeaders, 'cookie')) {
+    return;
+  }
+  addRequestCookie(request, cookie);
+  commitRequest(requestKey);
+}
+
+function addRequestCookie(request, cookie) {
+  request.requestHeaders = { ...request.requestHeaders, Cookie: cookie };
+  // Some sites keep their JWT in a cookie
+  if (!request.jwt) {
+    request.jwt = extractRequestJwt({ Cookie: cookie }, redactionSettings.authHeaders);
+  }
+}
+
+function handleRequestServedFromCache(tabId, params) {
+  const requestKey = getRequestKey(tabId, params.requestId);
+  const request = requestMap.get(requestKey);
+  if (request) {
+    request.fromMemoryCache = true;
+    commitRequest(requestKey);
+  }
+}
+
+async function handleLoadingFinished(tabId, params) {
   const { requestId } = params;
+  const requestKey = getRequestKey(tabId, requestId);
   debugLog(`Loading finished: ${requestId}`);
-  const request = requestMap.get(requestId);
+  const request = requestMap.get(requestKey);
   if (request) {
     debugLog(`Request found for loading finished: ${requestId}`, { url: request.url });
+    request.endTime = params.timestamp;
+    request.encodedDataLength = params.encodedDataLength;
+    commitRequest(requestKey);
+    
+    // Streamed bodies and bodies read at interception are already complete
+    if (streamDecoders.delete(requestKey) || request.responseBody !== undefined || request.responseBodyBase64) {
+      debugLog(`Response body already captured for: ${requestId}`);
+      streamRequest(requestKey);
+      return;
+    }
+    
     // Store the requestId for later processing
-    pendingResponses.set(requestId, request);
+    pendingResponses.set(requestKey, { tabId, requestId });
     debugLog(`Added to pending responses`, { pendingResponsesSize: pendingResponses.size });
     
     // Try to process immediately if debugger is still attached
-    if (isDebuggerAttached && currentTabId && !isProcessingResponses) {
+    const recordedTab = recordedTabs.get(tabId);
+    if (recordedTab && recordedTab.attached && !isProcessingResponses) {
       debugLog(`Processing response immediately for: ${requestId}`);
-      await processResponse(requestId);
+      await processResponse(requestKey);
     } else {
-      debugLog(`Cannot process response immediately`, { isDebuggerAttached, currentTabId, isProcessingResponses });
+      debugLog(`Cannot process response immediately`, { tabId, isProcessingResponses });
     }
   } else {
     debugLog(`No request found for loading finished: ${requestId}`);
   }
 }
 
-async function processPendingResponses() {
-  if (isProcessingResponses) {
-    debugLog('Already processing responses, skipping');
-    return;
-  }
-  
-  debugLog('Processing pending responses', { 
-    pendingResponsesSize: pendingResponses.size, 
-    isDebuggerAttached, 
-    currentTabId 
-  });
+// WebSocket connections are recorded as one entry with an ordered log of their frames
+function handleWebSocketCreated(tabId, params) {
+  const { requestId, url } = params;
+  const requestKey = getRequestKey(tabId, requestId);
+  debugLog(`WebSocket created: ${requestId}`, { url });
   
-  if (!isDebuggerAttached || !currentTabId) {
-    debugLog('Cannot process pending responses - debugger not attached or no current tab');
+  if (!matchesRequestFilters({ url, method: 'GET' }, captureFilters)) {
+    debugLog(`WebSocket filtered out: ${requestId}`, { url });
     return;
   }
   
-  isProcessingResponses = true;
-  
-  try {
-    const pendingIds = Array.from(pendingResponses.keys());
-    debugLog(`Processing ${pendingIds.length} pending responses`);
-    
-    for (const requestId of pendingIds) {
-      if (!isDebuggerAttached || !currentTabId) {
-        debugLog('Debugger detached or tab changed during processing, stopping');
-        break;
-      }
-      
-      debugLog(`Processing pending response: ${requestId}`);
-      await processResponse(requestId);
-    }
-    
-    debugLog('Finished processing pending responses');
-  } finally {
-    isProcessingResponses = false;
-    pendingResponses.clear();
+  requestMap.set(requestKey, {
+    kind: 'websocket',
+    tabId,
+    url,
+    method: 'GET',
+    resourceType: 'WebSocket',
+    timestamp: Date.now(),
+    initiator: compactInitiator(params.initiator),
+    step: currentStep || undefined,
+    messages: []
+  });
+  commitRequest(requestKey);
+  updateStatus(true);
+}
+
+function handleWebSocketHandshakeRequest(tabId, params) {
+  const requestKey = getRequestKey(tabId, params.requestId);
+  const request = requestMap.get(requestKey);
+  if (request) {
+    request.requestHeaders = params.request.headers;
+    request.startTime = params.timestamp;
+    commitRequest(requestKey);
   }
 }
 
-async function processResponse(requestId) {
-  debugLog(`Processing response for request: ${requestId}`, { isDebuggerAttached, currentTabId });
-  
-  if (!isDebuggerAttached || !currentTabId) {
-    debugLog(`Cannot process response - debugger not attached or no current tab`);
-    return;
+function handleWebSocketHandshakeResponse(tabId, params) {
+  const requestKey = getRequestKey(tabId, params.requestId);
+  const request = requestMap.get(requestKey);
+  if (request) {
+    request.status = params.response.status;
+    request.statusText = params.response.statusText;
+    request.responseHeaders = params.response.headers;
+    commitRequest(requestKey);
   }
-  
+}
+
+function handleWebSocketFrame(tabId, params, direction) {
+  const { requestId, response } = params;
+  appendConnectionMessage(getRequestKey(tabId, requestId), {
+    direction,
+    opcode: response.opcode,
+    data: response.payloadData
+  });
+}
+
+function handleWebSocketFrameError(tabId, params) {
+  const requestKey = getRequestKey(tabId, params.requestId);
+  const request = requestMap.get(requestKey);
+  if (request) {
+    request.error = params.errorMessage;
+    commitRequest(requestKey);
+  }
+}
+
+function handleWebSocketClosed(tabId, params) {
+  const requestKey = getRequestKey(tabId, params.requestId);
+  debugLog(`WebSocket closed: ${params.requestId}`);
+  const request = requestMap.get(requestKey);
+  if (request) {
+    request.closedAt = Date.now();
+    request.endTime = params.timestamp;
+    commitRequest(requestKey);
+    streamRequest(requestKey);
+  }
+}
+
+// EventSource requests are normal HTTP requests, their parsed messages are logged on the same entry
+function handleEventSourceMessage(tabId, params) {
+  const requestKey = getRequestKey(tabId, params.requestId);
+  const request = requestMap.get(requestKey);
+  if (request) {
+    request.kind = 'eventsource';
+    request.messages = request.messages || [];
+  }
+  appendConnectionMessage(requestKey, {
+    direction: 'received',
+    eventName: params.eventName,
+    eventId: params.eventId,
+    data: params.data
+  });
+}
+
+function appendConnectionMessage(requestKey, message) {
+  const request = requestMap.get(requestKey);
+  if (!request) {
+    return;
+  }
+  if (request.messages.length >= MAX_CONNECTION_MESSAGES) {
+    request.droppedMessages = (request.droppedMessages || 0) + 1;
+  } else {
+    const { text, size, truncated } = truncateText(message.data || '', captureFilters.maxBodySize);
+    const entry = { ...message, time: Date.now(), data: text };
+    if (truncated) {
+      entry.size = size;
+      entry.truncated = true;
+    }
+    request.messages.push(entry);
+  }
+  scheduleCommit(requestKey);
+}
+
+// Busy connections send many frames per second, so their entry is saved at most every 500ms
+function scheduleCommit(requestKey) {
+  if (commitTimers.has(requestKey)) {
+    return;
+  }
+  commitTimers.set(requestKey, setTimeout(() => {
+    commitTimers.delete(requestKey);
+    commitRequest(requestKey);
+  }, 500));
+}
+
+async function processPendingResponses() {
+  if (isProcessingResponses) {
+    debugLog('Already processing responses, skipping');
+    return;
+  }
+  
+  debugLog('Processing pending responses', { pendingResponsesSize: pendingResponses.size });
+  
+  isProcessingResponses = true;
+  
   try {
-    // Add a small delay to ensure response is ready
-    debugLog(`Waiting 100ms before getting response body`);
-    await new Promise(resolve => setTimeout(resolve, 100));
+    const pendingKeys = Array.from(pendingResponses.keys());
+    debugLog(`Processing ${pendingKeys.length} pending responses`);
     
+    // processResponse skips requests whose tab has been detached meanwhile
+    for (const requestKey of pendingKeys) {
+      debugLog(`Processing pending response: ${requestKey}`);
+      await processResponse(requestKey);
+    }
+    
+    debugLog('Finished processing pending responses');
+  } finally {
+    isProcessingResponses = false;
+    pendingResponses.clear();
+  }
+}
+
+async function processResponse(requestKey) {
+  const pending = pendingResponses.get(requestKey);
+  if (!pending) {
+    debugLog(`No pending response for request: ${requestKey}`);
+    return;
+  }
+  const { tabId, requestId } = pending;
+  const recordedTab = recordedTabs.get(tabId);
+  debugLog(`Processing response for request: ${requestId}`, { tabId });
+  
+  if (!recordedTab || !recordedTab.attached) {
+    debugLog(`Cannot process response - debugger not attached to tab ${tabId}`);
+    return;
+  }
+  
+  try {
     debugLog(`Getting response body for request: ${requestId}`);
-    const response = await chrome.debugger.sendCommand(
-      { tabId: currentTabId },
-      'Network.getResponseBody',
-      { requestId }
-    );
+    const response = await getResponseBodyWithRetry(tabId, requestId);
     
     debugLog(`Response body received for request: ${requestId}`, { 
       base64Encoded: response.base64Encoded,
       bodyLength: response.body ? response.body.length : 0
     });
     
-    const request = requestMap.get(requestId);
+    const request = requestMap.get(requestKey);
     if (!request) {
       debugLog(`No request found for response: ${requestId}`);
       return;
     }
     
-    if (response.base64Encoded) {
-      try {
-        debugLog(`Decoding base64 response for request: ${requestId}`);
-        request.responseBody = atob(response.body);
-        debugLog(`Base64 response decoded successfully`);
-      } catch (error) {
-        debugLog(`Failed to decode base64 response`, error);
-        console.error('Failed to decode base64 response:', error);
-        request.responseBody = response.body; // Store raw base64 string if decoding fails
-      }
-    } else {
-      debugLog(`Storing non-base64 response for request: ${requestId}`);
-      request.responseBody = response.body;
-    }
-    
-    // Remove from pending responses
-    pendingResponses.delete(requestId);
-    debugLog(`Removed from pending responses`, { pendingResponsesSize: pendingResponses.size });
-    
+    storeResponseBody(requestKey, response, getHeaderValue(request.responseHeaders, 'content-type') || request.mimeType);
     updateStatus(true);
   } catch (error) {
-    // Check for specific error types that we can safely ignore
-    const errorMessage = error.message || '';
-    const isIgnorableError = 
-      errorMessage.includes('No resource with given identifier found') ||
-      errorMessage.includes('No data found for resource with given identifier') ||
-      errorMessage.includes('Either tab id or extension id must be specified') ||
-      errorMessage.includes('Debugger is not attached');
-    
-    if (isIgnorableError) {
-      debugLog(`Ignoring expected error for request: ${requestId}`, { errorMessage });
-      
-      // For these errors, we'll still mark the request as processed
-      pendingResponses.delete(requestId);
-      
-      // Add a note to the request that we couldn't get the response body
-      const request = requestMap.get(requestId);
-      if (request) {
-        request.responseBody = "Response body could not be retrieved";
-        request.responseError = errorMessage;
+    // The body is gone (evicted, never kept, or the tab was detached), keep the request without it
+    debugLog(`Error getting response body for request: ${requestId}`, error);
+    const request = requestMap.get(requestKey);
+    if (request) {
+      request.responseError = error.message || String(error);
+      commitRequest(requestKey);
+    }
+  } finally {
+    pendingResponses.delete(requestKey);
+    debugLog(`Removed from pending responses`, { pendingResponsesSize: pendingResponses.size });
+    streamRequest(requestKey);
+  }
+}
+
+// Network.getResponseBody fails with "No data found" until the body is fully in the buffer, so retry that a few times
+async function getResponseBodyWithRetry(tabId, requestId) {
+  let lastError;
+  for (const delay of RESPONSE_BODY_RETRY_DELAYS) {
+    if (delay) {
+      await new Promise(resolve => setTimeout(resolve, delay));
+    }
+    try {
+      return await chrome.debugger.sendCommand({ tabId }, 'Network.getResponseBody', { requestId });
+    } catch (error) {
+      lastError = error;
+      if (!(error.message || '').includes('No data found for resource with given identifier')) {
+        break;
       }
+    }
+  }
+  throw lastError;
+}
+
+// Redacts a changed request, writes it to IndexedDB and pushes it to open inspector pages.
+// Secrets are removed here, before anything is stored.
+function commitRequest(requestId) {
+  let request = requestMap.get(requestId);
+  if (!activeSessionId || !request) {
+    return;
+  }
+  if (redactionSettings.enabled) {
+    request = redactor.redactRecord(request);
+    requestMap.set(requestId, request);
+  }
+  saveRequestRecord(activeSessionId, requestId, request).catch(error => {
+    debugLog(`Failed to persist request: ${requestId}`, error);
+    console.error('Failed to persist request:', error);
+  });
+  broadcastToInspectors({ type: 'requestUpdated', requestId, request });
+}
+
+// Writes a finished request to the live JSONL stream, once. Only API calls are streamed, like in the exports.
+function streamRequest(requestKey) {
+  const request = requestMap.get(requestKey);
+  if (!streamingSettings.enabled || !activeSessionId || !request || streamedKeys.has(requestKey)) {
+    return;
+  }
+  if (!matchesRequestFilters(request, captureFilters) || !isApiRequest(request, captureFilters)) {
+    return;
+  }
+  streamedKeys.add(requestKey);
+  streamBuffer.push(JSON.stringify(buildStreamRecord(request, requestKey, activeSessionId)));
+  
+  if (streamingSettings.target === 'download') {
+    if (streamBuffer.length >= streamingSettings.rollEvery) {
+      flushStream();
+    }
+  } else if (!streamTimer) {
+    streamTimer = setTimeout(flushStream, STREAM_FLUSH_DELAY);
+  }
+}
+
+// Sends the buffered lines to the collector, or saves them as the next rolling download
+async function flushStream() {
+  clearTimeout(streamTimer);
+  streamTimer = null;
+  if (!streamBuffer.length) {
+    return;
+  }
+  const lines = streamBuffer;
+  streamBuffer = [];
+  const content = lines.join('\n') + '\n';
+  
+  try {
+    if (streamingSettings.target === 'download') {
+      streamPart++;
+      await downloadFile(content, `api-recorder/${activeSessionId}-${String(streamPart).padStart(4, '0')}.jsonl`, 'application/x-ndjson', false);
     } else {
-      debugLog(`Error getting response body`, error);
-      console.error('Failed to get response body:', error);
+      if (!isLocalCollectorUrl(streamingSettings.collectorUrl)) {
+        throw new Error(`Collector URL must point to localhost: ${streamingSettings.collectorUrl}`);
+      }
+      const response = await fetch(streamingSettings.collectorUrl, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/x-ndjson', 'X-Recorder-Session': activeSessionId },
+        body: content
+      });
+      if (!response.ok) {
+        throw new Error(`Collector answered ${response.status}`);
+      }
+    }
+    debugLog(`Streamed ${lines.length} requests`, { target: streamingSettings.target });
+  } catch (error) {
+    debugLog('Failed to write the live stream', error);
+    console.error('Failed to write the live stream:', error);
+    // Try again with the next batch, without letting the buffer grow forever
+    if (streamingSettings.target !== 'download') {
+      streamBuffer = lines.concat(streamBuffer).slice(-STREAM_BUFFER_LIMIT);
+    }
+    if (!streamFailureNotified) {
+      streamFailureNotified = true;
+      showNotification('Live stream failed', `${error.message}. The requests are still saved in the session.`);
+    }
+  }
+}
+
+// Removes a request from the active session, e.g. when it turns out to be filtered
+function dropRequest(requestId) {
+  const request = requestMap.get(requestId);
+  requestMap.delete(requestId);
+  pendingResponses.delete(requestId);
+  streamDecoders.delete(requestId);
+  if (activeSessionId) {
+    deleteRequestRecord(activeSessionId, requestId).catch(error => {
+      debugLog(`Failed to delete request: ${requestId}`, error);
+      console.error('Failed to delete request:', error);
+    });
+  }
+  broadcastToInspectors({ type: 'requestRemoved', requestId });
+  // Redirect hops only make sense together with the request they led to
+  if (request && request.redirectedFrom) {
+    dropRequest(request.redirectedFrom);
+  }
+  updateStatus(isRecording);
+}
+
+function broadcastToInspectors(message) {
+  for (const port of inspectorPorts) {
+    try {
+      port.postMessage(message);
+    } catch (error) {
+      debugLog('Failed to post to inspector, dropping port', error);
+      inspectorPorts.delete(port);
     }
   }
 }
 
+// Sends the whole active session, used when an inspector connects or the session changes
+function buildInspectorSnapshot() {
+  return {
+    type: 'snapshot',
+    sessionId: activeSessionId,
+    isRecording,
+    requests: Array.from(requestMap.entries()).map(([requestId, request]) => ({ requestId, request }))
+  };
+}
+
 function updateStatus(isRecording) {
   debugLog(`Updating status`, { isRecording, requestCount: requestMap.size });
   try {
@@ -431,6 +1355,13 @@ function updateStatus(isRecording) {
       isRecording: isRecording,
       requestCount: requestMap.size 
     });
+    // A red badge with the live request count while recording
+    chrome.action.setBadgeBackgroundColor({ color: RECORDING_BADGE_COLOR });
+    chrome.action.setBadgeText({ text: isRecording ? formatBadgeCount(requestMap.size) : '' });
+    chrome.action.setTitle({ title: isRecording ? `API Recorder - recording (${requestMap.size} requests)` : 'API Recorder' });
+    updateContextMenu('record-tab', { title: isRecording ? 'Record API calls on this tab too' : 'Record API calls on this tab' });
+    updateContextMenu('add-step', { visible: isRecording });
+    updateContextMenu('stop-recording', { visible: isRecording });
     debugLog(`Status updated successfully`);
   } catch (error) {
     debugLog(`Error updating status`, error);
@@ -438,82 +1369,52 @@ function updateStatus(isRecording) {
   }
 }
 
-async function exportToMarkdown() {
-  debugLog('Exporting to Markdown');
+// Right after installing, restoreState() can get here before onInstalled created the menu
+function updateContextMenu(id, properties) {
+  chrome.contextMenus.update(id, properties, () => {
+    if (chrome.runtime.lastError) {
+      debugLog(`Context menu ${id} not updated`, chrome.runtime.lastError.message);
+    }
+  });
+}
+
+// Badges only have room for about 4 characters
+function formatBadgeCount(count) {
+  return count < 1000 ? String(count) : `${Math.floor(count / 1000)}k`;
+}
+
+async function exportToMarkdown(sessionId) {
+  debugLog('Exporting to Markdown', { sessionId });
   
   try {
-    const requests = Array.from(requestMap.values());
+    const requests = await getSessionRequests(sessionId);
     debugLog(`Total requests: ${requests.length}`);
     
-    // Helper function to get header value case-insensitively
-    const getHeaderValue = (headers, headerName) => {
-      if (!headers) return '';
-      
-      // If headers is an array (from older code), use find
-      if (Array.isArray(headers)) {
-        const header = headers.find(h => h.name.toLowerCase() === headerName.toLowerCase());
-        return header ? header.value : '';
-      }
-      
-      // If headers is an object, access directly
-      const lowerHeaderName = headerName.toLowerCase();
-      for (const key in headers) {
-        if (key.toLowerCase() === lowerHeaderName) {
-          return headers[key];
-        }
-      }
-      return '';
-    };
-    
     // Filter out non-API resources using header-based approach
-    const apiRequests = requests.filter(request => {
-      // Get response Content-Type header
-      const responseContentType = getHeaderValue(request.responseHeaders, 'content-type').toLowerCase();
-
-      // Get request Accept header
-      const requestAccept = getHeaderValue(request.requestHeaders, 'accept').toLowerCase();
-
-      // Check for JSON response types
-      const isJsonResponse = responseContentType.includes('application/json') ||
-                           responseContentType.includes('application/vnd.api+json') ||
-                           responseContentType.includes('application/problem+json');
-
-      // Check for JSON request types
-      const isJsonRequest = requestAccept.includes('application/json') ||
-                          requestAccept.includes('application/vnd.api+json');
-
-      // Exclude non-API content types
-      const isNonApiContent = responseContentType.includes('text/html') ||
-                            responseContentType.includes('text/css') ||
-                            responseContentType.includes('text/javascript') ||
-                            responseContentType.includes('application/javascript') ||
-                            responseContentType.includes('image/') ||
-                            responseContentType.includes('font/') ||
-                            responseContentType.includes('text/plain');
-
-      // Include if it's a JSON response or explicitly requests JSON
-      // AND is not a non-API content type
-      return (isJsonResponse || isJsonRequest) && !isNonApiContent;
-    });
+    const filters = await getCaptureFilters();
+    const matchingRequests = requests.filter(request => matchesRequestFilters(request, filters) && isApiRequest(request, filters));
+    // GraphQL operations and WebSocket/event-stream connections get their own sections at the end
+    const apiRequests = matchingRequests.filter(request => !isConnectionRecord(request) && !isGraphqlRequest(request));
+    const graphqlOperations = groupGraphqlOperations(matchingRequests.filter(request => !isConnectionRecord(request)));
+    const connections = summarizeConnections(matchingRequests);
     
-    debugLog(`Filtered API requests: ${apiRequests.length}`);
+    debugLog(`Filtered API requests: ${apiRequests.length}`, { graphqlOperations: graphqlOperations.length, connections: connections.length });
     
-    // Group requests by URL path
-    const groupedRequests = {};
-    apiRequests.forEach(request => {
-      const url = new URL(request.url);
-      const path = url.pathname;
-      
-      if (!groupedRequests[path]) {
-        groupedRequests[path] = [];
-      }
-      
-      groupedRequests[path].push(request);
-    });
+    // Group requests by path template, so /users/17 and /users/42 end up in one section
+    const normalizer = createRequestPathNormalizer(apiRequests, await getPathTemplates());
+    const groupedRequests = groupRequestsByTemplate(apiRequests, normalizer);
+    const pageNormalizer = createPageNormalizer(apiRequests);
+    const notes = resolveEndpointNotes(await getSessionNotes(sessionId), normalizer);
+    // Credentials are looked at across every call, GraphQL ones too
+    const auth = summarizeAuth(matchingRequests.filter(request => !isConnectionRecord(request)), normalizer, redactionSettings.authHeaders);
     
     let markdown = '# API Documentation\n\n';
     markdown += `Generated on: ${new Date().toLocaleString()}\n\n`;
     
+    if (auth.schemes.length || auth.tokenRequests.length) {
+      markdown += buildAuthMarkdown(auth);
+    }
+    
     // Sort paths alphabetically
     const sortedPaths = Object.keys(groupedRequests).sort();
     
@@ -524,80 +1425,140 @@ async function exportToMarkdown() {
       markdown += `## ${path}\n\n`;
       markdown += `**Methods:** ${methods.join(', ')}\n\n`;
       
-      // Use the first request as a template for each method
+      // List the concrete values behind each path parameter
+      const seenValues = normalizer.getSeenValues(path);
+      if (Object.keys(seenValues).length) {
+        markdown += '**Path Parameters:**\n\n';
+        for (const [name, values] of Object.entries(seenValues)) {
+          markdown += `- \`${name}\` (seen: ${formatSeenValues(values.map(value => `\`${value}\``))})\n`;
+        }
+        markdown += '\n';
+      }
+      
+      // Schemas are merged from every sample of a method, headers come from the first one
       for (const method of methods) {
-        const templateRequest = requests.find(r => r.method === method);
+        const methodRequests = requests.filter(r => r.method === method);
+        const templateRequest = methodRequests[0];
         if (!templateRequest) continue;
         
         markdown += `### ${method} Request\n\n`;
         
+        // What the user wrote about the endpoint and the steps of the flow it was used in
+        const note = notes[getEndpointKey(method, path)];
+        if (note) {
+          markdown += note.split('\n').map(line => `> ${line}`).join('\n') + '\n\n';
+        }
+        const steps = getRequestSteps(methodRequests);
+        if (steps.length) {
+          markdown += `**Steps:** ${steps.join(', ')}\n\n`;
+        }
+        if (auth.schemes.length) {
+          markdown += `**Auth:** ${formatEndpointAuth(auth.endpoints[getEndpointKey(method, path)], auth.schemes)}\n\n`;
+        }
+        
         // Request Headers
         if (templateRequest.requestHeaders) {
           markdown += '#### Request Headers\n\n';
           markdown += '```\n';
           
           // Handle both array and object formats of requestHeaders
-          if (Array.isArray(templateRequest.requestHeaders)) {
-            templateRequest.requestHeaders.forEach(header => {
-              markdown += `${header.name}: ${header.value}\n`;
-            });
-          } else if (typeof templateRequest.requestHeaders === 'object') {
-            Object.entries(templateRequest.requestHeaders).forEach(([name, value]) => {
-              markdown += `${name}: ${value}\n`;
-            });
-          }
+          getHeaderEntries(templateRequest.requestHeaders).forEach(([name, value]) => {
+            markdown += `${name}: ${value}\n`;
+          });
           
           markdown += '```\n\n';
         }
         
         // Request Body (if any)
-        if (templateRequest.requestBody) {
+        const bodyRequests = methodRequests.filter(request => request.requestBody);
+        if (bodyRequests.length) {
           markdown += '#### Request Body\n\n';
-          try {
-            const parsedBody = JSON.parse(templateRequest.requestBody);
-            markdown += '```json\n';
-            markdown += JSON.stringify(parsedBody, null, 2);
-            markdown += '\n```\n\n';
-          } catch (e) {
+          const parsedBodies = bodyRequests.map(request => parseJsonBody(request.requestBody)).filter(body => body !== undefined);
+          if (parsedBodies.length) {
+            markdown += buildSchemaMarkdown(parsedBodies, bodyRequests.length);
+          } else {
             markdown += '```text\n';
-            markdown += templateRequest.requestBody;
+            markdown += bodyRequests[0].requestBody;
             markdown += '\n```\n\n';
           }
+          if (bodyRequests[0].requestBodyTruncated) {
+            markdown += `*${getTruncationMarker(bodyRequests[0].requestBodySize)}*\n\n`;
+          }
+        }
+        
+        // Pages and scripts that made these calls
+        const callers = summarizeCallers(methodRequests, pageNormalizer);
+        if (callers.length) {
+          markdown += `**Called from:** ${callers.slice(0, CALL_SITES_LIMIT).map(formatCaller).join(', ')}`;
+          markdown += callers.length > CALL_SITES_LIMIT ? ` and ${callers.length - CALL_SITES_LIMIT} more\n\n` : '\n\n';
         }
         
-        // Response Structure
-        markdown += '#### Response Structure\n\n';
-        try {
-          const responseBody = templateRequest.responseBody || '{}';
-          const parsedResponse = JSON.parse(responseBody);
-          markdown += '```json\n';
-          markdown += JSON.stringify(parsedResponse, null, 2);
-          markdown += '\n```\n\n';
-        } catch (e) {
-          markdown += '```text\n';
-          markdown += templateRequest.responseBody || '{}';
-          markdown += '\n```\n\n';
+        // Ready to run calls built from the first request
+        markdown += buildSnippetsMarkdown(templateRequest);
+        
+        // One response section per status code
+        const statuses = [...new Set(methodRequests.map(request => request.status).filter(Boolean))].sort();
+        if (!statuses.length) {
+          markdown += '#### Response\n\n';
+          markdown += `*No response was recorded${templateRequest.error ? ` (${templateRequest.error})` : ''}.*\n\n`;
+        }
+        for (const status of statuses) {
+          const statusRequests = methodRequests.filter(request => request.status === status);
+          markdown += `#### Response ${status}\n\n`;
+          const parsedBodies = statusRequests.map(request => parseJsonBody(request.responseBody)).filter(body => body !== undefined);
+          const firstRequest = statusRequests[0];
+          if (parsedBodies.length) {
+            markdown += buildSchemaMarkdown(parsedBodies, statusRequests.length);
+          } else if (firstRequest.responseBody) {
+            markdown += '```text\n';
+            markdown += firstRequest.responseBody;
+            markdown += '\n```\n\n';
+          } else if (firstRequest.responseBodyBase64) {
+            markdown += `*${describeBody(firstRequest)}*\n\n`;
+          } else if (firstRequest.responseError) {
+            markdown += `*Response body could not be retrieved: ${firstRequest.responseError}*\n\n`;
+          } else {
+            markdown += '*Empty response body.*\n\n';
+          }
+          const truncatedRequest = statusRequests.find(request => request.responseBodyTruncated);
+          if (truncatedRequest) {
+            markdown += `*${getTruncationMarker(truncatedRequest.responseBodySize)}*\n\n`;
+          }
         }
         
         // Add note about number of requests
-        const requestCount = requests.filter(r => r.method === method).length;
-        if (requestCount > 1) {
-          markdown += `*Note: ${requestCount} requests were captured for this endpoint.*\n\n`;
+        if (methodRequests.length > 1) {
+          markdown += `*Note: ${methodRequests.length} requests were captured for this endpoint, the schemas cover all of them.*\n\n`;
         }
       }
       
       markdown += '---\n\n';
     }
     
-    // Create a data URL for the markdown content
-    const dataUrl = 'data:text/markdown;charset=utf-8,' + encodeURIComponent(markdown);
+    if (graphqlOperations.length) {
+      markdown += buildGraphqlMarkdown(graphqlOperations);
+    }
+    if (connections.length) {
+      markdown += buildConnectionsMarkdown(connections);
+    }
+    
+    // The same calls again in the order they were made, split by the step markers
+    if (matchingRequests.some(request => request.step)) {
+      markdown += buildFlowMarkdown(groupRequestsBySteps(matchingRequests), normalizer);
+    }
     
-    // Download the file
-    await chrome.downloads.download({
-      url: dataUrl,
-      filename: 'api_documentation.md',
-      saveAs: true
-    });
+    const pages = groupEndpointsByPage(apiRequests, normalizer, pageNormalizer);
+    if (pages.length) {
+      markdown += buildPagesMarkdown(pages);
+    }
+    
+    // WebSockets and event streams stay open, their duration says nothing about speed
+    const timedRequests = matchingRequests.filter(request => !isConnectionRecord(request));
+    if (timedRequests.length) {
+      markdown += buildPerformanceMarkdown(timedRequests, createRequestPathNormalizer(timedRequests, await getPathTemplates()));
+    }
+    
+    await downloadFile(markdown, 'api_documentation.md', 'text/markdown');
     
     debugLog('Markdown export completed');
   } catch (error) {
@@ -605,4 +1566,713 @@ async function exportToMarkdown() {
     console.error('Error exporting to Markdown:', error);
     throw error;
   }
-} 
\ No newline at end of file
+}
+
+// Writes a JSON value as a fenced Markdown code block
+function jsonCodeBlock(value) {
+  return '```json\n' + JSON.stringify(value, null, 2) + '\n```\n\n';
+}
+
+// Schema merged from every JSON sample, followed by a shortened first sample
+function buildSchemaMarkdown(samples, totalCount) {
+  let markdown = `**Schema** (from ${samples.length} sample${samples.length === 1 ? '' : 's'}`;
+  markdown += samples.length < totalCount ? `, ${totalCount - samples.length} more were not JSON)\n\n` : ')\n\n';
+  markdown += jsonCodeBlock(inferSchemaFromSamples(samples));
+  markdown += '**Example**\n\n';
+  markdown += jsonCodeBlock(trimExample(samples[0]));
+  return markdown;
+}
+
+// curl, fetch and Python snippets that replay a request
+function buildSnippetsMarkdown(request) {
+  let markdown = '#### Example Call\n\n';
+  const placeholders = getSnippetPlaceholders(request);
+  if (placeholders.length) {
+    markdown += `*Fill in ${placeholders.map(name => `\`{{${name}}}\``).join(', ')} before running, these values were redacted.*\n\n`;
+  }
+  for (const snippet of buildSnippets(request, ['curl', 'fetch', 'python'])) {
+    markdown += `**${snippet.title}**\n\n`;
+    markdown += '```' + snippet.language + '\n' + snippet.code + '\n```\n\n';
+  }
+  return markdown;
+}
+
+// Markdown section with one entry per GraphQL operation: its document, variables and response shape
+function buildGraphqlMarkdown(operations) {
+  let markdown = '# GraphQL Operations\n\n';
+  for (const operation of operations) {
+    markdown += `## ${operation.operationType || 'operation'} ${operation.operationName}\n\n`;
+    markdown += `**Endpoint:** ${operation.endpoints.join(', ')}\n\n`;
+    markdown += `**Calls:** ${operation.calls}${operation.batchedCalls ? ` (${operation.batchedCalls} in batches)` : ''}\n\n`;
+    if (operation.persistedHash) {
+      markdown += `**Persisted query hash:** \`${operation.persistedHash}\`\n\n`;
+    }
+    
+    markdown += '### Query\n\n';
+    if (operation.query) {
+      markdown += '```graphql\n' + operation.query.trim() + '\n```\n\n';
+    } else {
+      markdown += '*Only the persisted query hash was sent, the query text was never recorded.*\n\n';
+    }
+    if (operation.parseError) {
+      markdown += `*The query could not be parsed: ${operation.parseError}*\n\n`;
+    }
+    
+    if (operation.variablesSchema) {
+      markdown += '### Variables\n\n';
+      markdown += jsonCodeBlock(operation.variablesSchema);
+      markdown += '#### Example\n\n';
+      markdown += jsonCodeBlock(trimExample(operation.variableSamples[0]));
+    }
+    
+    markdown += '### Response\n\n';
+    if (operation.dataSchema) {
+      markdown += jsonCodeBlock(operation.dataSchema);
+      markdown += '#### Example\n\n';
+      markdown += jsonCodeBlock({ data: trimExample(operation.dataSamples[0]) });
+    } else {
+      markdown += '*No response data was recorded.*\n\n';
+    }
+    if (operation.errors.length) {
+      markdown += '**Errors seen:**\n\n';
+      operation.errors.forEach(error => {
+        markdown += `- ${error}\n`;
+      });
+      markdown += '\n';
+    }
+    
+    markdown += '---\n\n';
+  }
+  return markdown;
+}
+
+// Markdown section for WebSocket and event-stream endpoints with the schema of each kind of message
+function buildConnectionsMarkdown(connections) {
+  let markdown = '# WebSocket and Event Stream Connections\n\n';
+  for (const connection of connections) {
+    markdown += `## ${connection.endpoint}\n\n`;
+    markdown += `**Type:** ${connection.kind === 'websocket' ? 'WebSocket' : 'Server-Sent Events'}\n\n`;
+    markdown += `**Connections:** ${connection.connectionCount}, `;
+    markdown += `**Messages sent:** ${connection.sentCount}, **Messages received:** ${connection.receivedCount}\n\n`;
+    if (connection.droppedCount) {
+      markdown += `*${connection.droppedCount} more messages were not kept (limit of ${MAX_CONNECTION_MESSAGES} per connection).*\n\n`;
+    }
+    
+    for (const messageType of connection.messageTypes) {
+      markdown += `### ${messageType.direction === 'sent' ? 'Sent' : 'Received'}: ${messageType.name} (${messageType.count}x)\n\n`;
+      if (messageType.schema) {
+        markdown += '#### Schema\n\n';
+        markdown += '```json\n';
+        markdown += JSON.stringify(messageType.schema, null, 2);
+        markdown += '\n```\n\n';
+      }
+      markdown += '#### Example\n\n';
+      const parsedExample = parseJsonBody(messageType.example);
+      if (parsedExample !== undefined) {
+        markdown += jsonCodeBlock(trimExample(parsedExample));
+      } else {
+        markdown += '```text\n';
+        markdown += messageType.example;
+        markdown += '\n```\n\n';
+      }
+    }
+    
+    markdown += '---\n\n';
+  }
+  return markdown;
+}
+
+// Markdown section with the auth schemes of the recording, their JWT claims and the requests that hand out tokens
+function buildAuthMarkdown(auth) {
+  let markdown = '# Authentication\n\n';
+  markdown += 'Found in the headers, query parameters and cookies of the recorded calls. Secret values are never shown.\n\n';
+  const codeList = values => values.map(value => `\`${value}\``).join(', ');
+  
+  for (const scheme of auth.schemes) {
+    markdown += `## ${formatAuthScheme(scheme)}\n\n`;
+    markdown += `Sent in ${scheme.calls} call${scheme.calls === 1 ? '' : 's'} to ${scheme.endpoints.length} endpoint${scheme.endpoints.length === 1 ? '' : 's'}.\n\n`;
+    if (scheme.jwt) {
+      const { jwt } = scheme;
+      const facts = [];
+      if (jwt.algorithms.length) facts.push(`signed with ${codeList(jwt.algorithms)}`);
+      if (jwt.issuers.length) facts.push(`issuer ${codeList(jwt.issuers)}`);
+      if (jwt.audiences.length) facts.push(`audience ${codeList(jwt.audiences)}`);
+      if (jwt.lifetime !== undefined) facts.push(`valid for ${formatLifetime(jwt.lifetime)}`);
+      if (facts.length) {
+        markdown += `**JWT:** ${facts.join(', ')}\n\n`;
+      }
+      markdown += `**Claims:** ${codeList(jwt.claimNames)}. The claims of the first token (the signature is never saved):\n\n`;
+      markdown += jsonCodeBlock(jwt.exampleClaims);
+    }
+  }
+  
+  if (auth.tokenRequests.length) {
+    markdown += '## Token Requests\n\n';
+    for (const request of auth.tokenRequests) {
+      const facts = [];
+      if (request.grantTypes.length) facts.push(`grant type ${codeList(request.grantTypes)}`);
+      if (request.returns.length) facts.push(`returns ${codeList(request.returns)}`);
+      if (request.tokenType) facts.push(`token type \`${request.tokenType}\``);
+      if (request.expiresIn !== undefined) facts.push(`expires in ${formatLifetime(request.expiresIn)}`);
+      if (request.setCookies.length) facts.push(`sets cookie ${codeList(request.setCookies)}`);
+      markdown += `- \`${request.endpoint}\` (${request.count}x): ${facts.join(', ')}\n`;
+    }
+    markdown += '\n';
+  }
+  
+  // Worth knowing when the others need credentials: these worked (or failed) without any
+  const open = Object.entries(auth.endpoints).filter(([, endpoint]) => !endpoint.always.length && !endpoint.sometimes.length);
+  if (auth.schemes.length && open.length) {
+    markdown += '## Endpoints Called Without Credentials\n\n';
+    markdown += open.map(([endpoint]) => `- \`${endpoint}\``).sort().join('\n') + '\n\n';
+  }
+  return markdown;
+}
+
+// The credentials an endpoint was called with, for the **Auth:** line of each endpoint
+function formatEndpointAuth(endpointAuth, schemes) {
+  if (!endpointAuth) return 'none seen';
+  const byId = new Map(schemes.map(scheme => [scheme.id, scheme]));
+  const parts = [
+    ...endpointAuth.always.map(id => formatAuthScheme(byId.get(id))),
+    ...endpointAuth.sometimes.map(id => `${formatAuthScheme(byId.get(id))} (only in some calls)`)
+  ];
+  return parts.length ? parts.join(', ') : 'none seen';
+}
+
+// Markdown section with the calls of each step in recording order
+function buildFlowMarkdown(groups, normalizer) {
+  let markdown = '# Flow\n\n';
+  let number = 0;
+  for (const { step, requests } of groups) {
+    markdown += step ? `## ${++number}. ${step}\n\n` : '## Before the first step\n\n';
+    for (const { call, statuses, count } of summarizeFlowCalls(requests, normalizer)) {
+      markdown += `- \`${call}\` → ${statuses.join(', ')}${count > 1 ? ` (${count}x)` : ''}\n`;
+    }
+    markdown += '\n';
+  }
+  return markdown;
+}
+
+// Markdown section listing the endpoints each page of the app calls
+function buildPagesMarkdown(pages) {
+  let markdown = '# Endpoints by Page\n\n';
+  for (const { page, endpoints } of pages) {
+    markdown += `## ${page}\n\n`;
+    for (const endpoint of endpoints) {
+      markdown += `- \`${endpoint.method} ${endpoint.path}\` (${endpoint.count}x)\n`;
+    }
+    markdown += '\n';
+  }
+  return markdown;
+}
+
+// Markdown section with latency percentiles per endpoint, the slowest calls and a waterfall
+function buildPerformanceMarkdown(requests, normalizer) {
+  const summary = summarizePerformance(requests, normalizer);
+  let markdown = '# Performance\n\n';
+  markdown += `Timings are measured in the browser while recording, so they include the network and, for small XHR/fetch responses, the time the extension paused them to read the body.\n\n`;
+  
+  markdown += '## Latency per Endpoint\n\n';
+  markdown += '| Endpoint | Calls | p50 | p90 | p95 | p99 | Max | TTFB p50 | Avg size | Max size | Cached |\n';
+  markdown += '|---|---|---|---|---|---|---|---|---|---|---|\n';
+  for (const endpoint of summary.endpoints) {
+    const { durations } = endpoint;
+    markdown += `| \`${endpoint.method} ${endpoint.path}\` | ${endpoint.count} | ${formatDuration(durations.p50)} | ${formatDuration(durations.p90)} | `;
+    markdown += `${formatDuration(durations.p95)} | ${formatDuration(durations.p99)} | ${formatDuration(durations.max)} | ${formatDuration(endpoint.ttfbP50)} | `;
+    markdown += `${endpoint.avgSize !== undefined ? formatByteSize(endpoint.avgSize) : '-'} | ${endpoint.maxSize !== undefined ? formatByteSize(endpoint.maxSize) : '-'} | ${endpoint.cachedCount} |\n`;
+  }
+  markdown += '\n';
+  
+  if (summary.slowest.length) {
+    markdown += '## Slowest Calls\n\n';
+    summary.slowest.forEach((call, index) => {
+      markdown += `${index + 1}. **${formatDuration(call.duration)}** \`${call.method} ${call.url}\` (${call.status || 'no response'}, TTFB ${formatDuration(call.ttfb)}, ${call.size !== undefined ? formatByteSize(call.size) : 'size unknown'})\n`;
+    });
+    markdown += '\n';
+  }
+  
+  const waterfall = buildWaterfall(requests).slice(0, MARKDOWN_WATERFALL_LIMIT);
+  if (waterfall.length) {
+    markdown += '## Waterfall\n\n';
+    if (requests.length > MARKDOWN_WATERFALL_LIMIT) {
+      markdown += `*The first ${MARKDOWN_WATERFALL_LIMIT} of ${requests.length} requests.*\n\n`;
+    }
+    markdown += '```text\n' + formatWaterfallText(waterfall) + '\n```\n\n';
+  }
+  return markdown;
+}
+
+async function exportGraphqlSdl(sessionId) {
+  debugLog('Exporting GraphQL SDL', { sessionId });
+  const filters = await getCaptureFilters();
+  const graphqlRequests = (await getSessionRequests(sessionId))
+    .filter(request => matchesRequestFilters(request, filters) && isGraphqlRequest(request));
+  if (!graphqlRequests.length) {
+    throw new Error('No GraphQL requests were recorded');
+  }
+  
+  const sdl = '# Built by API Recorder from the recorded GraphQL operations.\n' +
+    '# It only has the types and fields that were queried, and every field is nullable.\n\n' +
+    buildGraphqlSdl(graphqlRequests);
+  await downloadFile(sdl, 'schema.graphql', 'application/graphql');
+  debugLog('GraphQL SDL export completed');
+}
+
+async function exportToOpenApi(format, sessionId) {
+  debugLog('Exporting to OpenAPI', { format, sessionId });
+  
+  try {
+    const filters = await getCaptureFilters();
+    // OpenAPI can't describe WebSockets, event streams stay in as GET operations
+    const apiRequests = (await getSessionRequests(sessionId))
+      .filter(request => matchesRequestFilters(request, filters) && isApiRequest(request, filters))
+      .filter(request => request.kind !== 'websocket');
+    debugLog(`Filtered API requests: ${apiRequests.length}`);
+    
+    const spec = buildOpenApiSpec(apiRequests, await getPathTemplates(), {
+      notes: await getSessionNotes(sessionId),
+      authHeaders: redactionSettings.authHeaders
+    });
+    
+    if (format === 'yaml') {
+      await downloadFile(toYaml(spec), 'openapi.yaml', 'application/yaml');
+    } else {
+      await downloadFile(JSON.stringify(spec, null, 2), 'openapi.json', 'application/json');
+    }
+    
+    debugLog('OpenAPI export completed');
+  } catch (error) {
+    debugLog('Error exporting to OpenAPI', error);
+    console.error('Error exporting to OpenAPI:', error);
+    throw error;
+  }
+}
+
+// TypeScript interfaces (optionally with Zod schemas) for the endpoints of the Markdown export
+async function exportToTypeScript(zod, sessionId) {
+  debugLog('Exporting TypeScript types', { zod, sessionId });
+  
+  try {
+    const filters = await getCaptureFilters();
+    const matchingRequests = (await getSessionRequests(sessionId))
+      .filter(request => matchesRequestFilters(request, filters) && isApiRequest(request, filters))
+      .filter(request => !isConnectionRecord(request));
+    const apiRequests = matchingRequests.filter(request => !isGraphqlRequest(request));
+    const graphqlOperations = groupGraphqlOperations(matchingRequests);
+    if (!apiRequests.length && !graphqlOperations.length) {
+      throw new Error('No API requests were recorded');
+    }
+    
+    // Same grouping as the Markdown export, so type names match its sections
+    const normalizer = createRequestPathNormalizer(apiRequests, await getPathTemplates());
+    const source = buildTypeScriptFile(groupRequestsByTemplate(apiRequests, normalizer), graphqlOperations, { zod: !!zod });
+    await downloadFile(source, 'api_types.ts', 'text/plain');
+    
+    debugLog('TypeScript export completed');
+  } catch (error) {
+    debugLog('Error exporting TypeScript types', error);
+    console.error('Error exporting TypeScript types:', error);
+    throw error;
+  }
+}
+
+// Postman collection (plus an environment file) or an Insomnia export, which Bruno can import as well
+async function exportToCollection(format, sessionId) {
+  debugLog('Exporting collection', { format, sessionId });
+  
+  try {
+    const filters = await getCaptureFilters();
+    const apiRequests = (await getSessionRequests(sessionId))
+      .filter(request => matchesRequestFilters(request, filters) && isApiRequest(request, filters))
+      .filter(request => !isConnectionRecord(request));
+    if (!apiRequests.length) {
+      throw new Error('No API requests were recorded');
+    }
+    
+    // Same grouping as the Markdown export
+    const normalizer = createRequestPathNormalizer(apiRequests, await getPathTemplates());
+    const model = buildCollectionModel(groupRequestsByTemplate(apiRequests, normalizer), {
+      authHeaders: redactionSettings.authHeaders,
+      notes: resolveEndpointNotes(await getSessionNotes(sessionId), normalizer)
+    });
+    const session = await getSession(sessionId || activeSessionId);
+    const name = (session && session.name) || 'Recorded API';
+    
+    if (format === 'insomnia') {
+      await downloadFile(JSON.stringify(buildInsomniaExport(model, name), null, 2), 'insomnia_export.json', 'application/json');
+    } else {
+      await downloadFile(JSON.stringify(buildPostmanCollection(model, name), null, 2), 'postman_collection.json', 'application/json');
+      await downloadFile(JSON.stringify(buildPostmanEnvironment(model, name), null, 2), 'postman_environment.json', 'application/json');
+    }
+    
+    debugLog('Collection export completed', { variables: model.variables.length });
+  } catch (error) {
+    debugLog('Error exporting collection', error);
+    console.error('Error exporting collection:', error);
+    throw error;
+  }
+}
+
+// Vitest, Jest or Playwright test file that replays the recorded requests and checks their responses
+async function exportToTestSuite(framework, sessionId) {
+  debugLog('Exporting test suite', { framework, sessionId });
+  
+  try {
+    if (!TEST_FRAMEWORKS.includes(framework)) {
+      throw new Error(`Unknown test framework: ${framework}`);
+    }
+    const filters = await getCaptureFilters();
+    const apiRequests = (await getSessionRequests(sessionId))
+      .filter(request => matchesRequestFilters(request, filters) && isApiRequest(request, filters))
+      .filter(request => !isConnectionRecord(request));
+    const normalizer = createRequestPathNormalizer(apiRequests, await getPathTemplates());
+    const model = buildTestSuiteModel(groupRequestsByTemplate(apiRequests, normalizer), {
+      authHeaders: redactionSettings.authHeaders
+    });
+    if (!model.endpoints.length) {
+      throw new Error('No API requests with a response were recorded');
+    }
+    
+    await downloadFile(buildTestSuite(model, framework), getTestSuiteFilename(framework), 'text/javascript');
+    
+    debugLog('Test suite export completed', { endpoints: model.endpoints.length });
+  } catch (error) {
+    debugLog('Error exporting test suite', error);
+    console.error('Error exporting test suite:', error);
+    throw error;
+  }
+}
+
+// Node mock server, MSW handlers or WireMock mappings that serve the recorded responses
+async function exportToMock(format, sessionId) {
+  debugLog('Exporting mock', { format, sessionId });
+  
+  try {
+    const filters = await getCaptureFilters();
+    const apiRequests = (await getSessionRequests(sessionId))
+      .filter(request => matchesRequestFilters(request, filters) && isApiRequest(request, filters))
+      .filter(request => request.kind !== 'websocket');
+    const normalizer = createRequestPathNormalizer(apiRequests, await getPathTemplates());
+    const fixtures = buildMockFixtures(groupRequestsByTemplate(apiRequests, normalizer));
+    if (!fixtures.routes.length) {
+      throw new Error('No API responses were recorded');
+    }
+    
+    if (format === 'msw') {
+      await downloadFile(buildMswHandlers(fixtures), 'msw-handlers.js', 'text/javascript');
+    } else if (format === 'wiremock') {
+      await downloadFile(JSON.stringify(buildWireMockMappings(fixtures), null, 2), 'wiremock-mappings.json', 'application/json');
+    } else {
+      await downloadFile(buildNodeMockServer(fixtures), 'mock-server.js', 'text/javascript');
+    }
+    
+    debugLog('Mock export completed', { routes: fixtures.routes.length });
+  } catch (error) {
+    debugLog('Error exporting mock', error);
+    console.error('Error exporting mock:', error);
+    throw error;
+  }
+}
+
+// Compares the API of two sessions, the older one is "before"
+async function diffSessions(sessionIds) {
+  if (!sessionIds || sessionIds.length !== 2) {
+    throw new Error('Select exactly two sessions to compare');
+  }
+  const sessions = await Promise.all(sessionIds.map(getSession));
+  if (sessions.some(session => !session)) {
+    throw new Error('Session not found');
+  }
+  sessions.sort((a, b) => (a.startedAt || 0) - (b.startedAt || 0));
+  
+  const filters = await getCaptureFilters();
+  const pathTemplates = await getPathTemplates();
+  const [before, after] = await Promise.all(sessions.map(async session => {
+    const apiRequests = (await getSessionRequests(session.id))
+      .filter(request => matchesRequestFilters(request, filters) && isApiRequest(request, filters))
+      .filter(request => request.kind !== 'websocket');
+    return buildContractFromRequests(apiRequests, pathTemplates);
+  }));
+  
+  const report = diffContracts(before, after, {
+    before: sessions[0].name || sessions[0].id,
+    after: sessions[1].name || sessions[1].id
+  });
+  await downloadDiffReport(report);
+  return report.summary;
+}
+
+// Compares two OpenAPI specs given as JSON text
+async function diffSpecs(beforeText, afterText, beforeName, afterName) {
+  const parseSpec = (text, name) => {
+    try {
+      return JSON.parse(text);
+    } catch (error) {
+      throw new Error(`${name} is not JSON, only JSON specs (openapi.json) can be compared`);
+    }
+  };
+  const report = diffContracts(
+    buildContractFromOpenApi(parseSpec(beforeText, beforeName)),
+    buildContractFromOpenApi(parseSpec(afterText, afterName)),
+    { before: beforeName, after: afterName }
+  );
+  await downloadDiffReport(report);
+  return report.summary;
+}
+
+async function downloadDiffReport(report) {
+  debugLog('Diff report', report.summary);
+  await downloadFile(formatDiffMarkdown(report), 'api-diff.md', 'text/markdown');
+  await downloadFile(JSON.stringify(report, null, 2), 'api-diff.json', 'application/json');
+}
+
+async function exportToHar(sessionId) {
+  debugLog('Exporting to HAR', { sessionId });
+  
+  try {
+    const requests = await getSessionRequests(sessionId);
+    debugLog(`Total requests: ${requests.length}`);
+    
+    // HAR is a full recording, so every request is included, not only the API calls
+    const har = buildHar(requests, chrome.runtime.getManifest().version);
+    await downloadFile(JSON.stringify(har, null, 2), 'api_recording.har', 'application/json');
+    
+    debugLog('HAR export completed');
+  } catch (error) {
+    debugLog('Error exporting to HAR', error);
+    console.error('Error exporting to HAR:', error);
+    throw error;
+  }
+}
+
+// Replaces the recorded requests with the entries of a HAR file
+async function importHar(harText) {
+  debugLog('Importing HAR', { length: harText ? harText.length : 0 });
+  
+  if (isRecording) {
+    throw new Error('Stop recording before importing a HAR file');
+  }
+  
+  // Imported requests follow the same redaction rules as captured ones before they are stored
+  const records = parseHar(JSON.parse(harText));
+  requestMap = new Map();
+  records.forEach((record, index) => {
+    requestMap.set(`har-${index}`, redactionSettings.enabled ? redactor.redactRecord(record) : record);
+  });
+  
+  // Imports become a session of their own, like a recording
+  activeSessionId = `session-${Date.now()}`;
+  const importedAt = Date.now();
+  await saveSession({
+    id: activeSessionId,
+    name: `Imported HAR - ${new Date(importedAt).toLocaleString()}`,
+    startedAt: importedAt,
+    endedAt: importedAt,
+    source: 'har',
+    requestCount: requestMap.size
+  });
+  await saveRequestRecords(activeSessionId, requestMap);
+  chrome.storage.local.set({ activeSessionId });
+  broadcastToInspectors(buildInspectorSnapshot());
+  
+  updateStatus(false);
+  debugLog('HAR import completed', { requestMapSize: requestMap.size });
+  return requestMap.size;
+}
+
+// Returns the requests of a saved session, or of the active one when no id is given
+// Requests excluded in the inspector are left out of every export.
+// Redaction runs again here, for imported sessions and rules added after recording.
+async function getSessionRequests(sessionId) {
+  const requests = !sessionId || sessionId === activeSessionId
+    ? requestMap
+    : await loadSessionRequests(sessionId);
+  const included = Array.from(requests.values()).filter(request => !request.excluded);
+  
+  const { redaction } = await chrome.storage.local.get('redaction');
+  const settings = normalizeRedactionSettings(redaction);
+  if (!settings.enabled) {
+    return included;
+  }
+  const exportRedactor = createRedactor(settings);
+  return included.map(request => exportRedactor.redactRecord(request));
+}
+
+// Marks a request of the active session as included in or excluded from exports
+function setRequestExcluded(requestId, excluded) {
+  const request = requestMap.get(requestId);
+  if (!request) {
+    throw new Error('Request not found');
+  }
+  request.excluded = !!excluded;
+  commitRequest(requestId);
+}
+
+// Starts a new step of the flow, every request that starts from now on belongs to it
+async function addStepMarker(name) {
+  if (!isRecording || !activeSessionId) {
+    throw new Error('Start recording before adding a step');
+  }
+  const session = await getSession(activeSessionId);
+  if (!session) {
+    throw new Error('Session not found');
+  }
+  const steps = session.steps || [];
+  const step = { name: (name || '').trim() || getDefaultStepName(steps), timestamp: Date.now() };
+  await saveSession({ ...session, steps: [...steps, step] });
+  currentStep = step.name;
+  chrome.storage.local.set({ currentStep });
+  debugLog('Step marker added', step);
+  return step;
+}
+
+// Endpoint templates of the active session as the Markdown export groups them right now
+async function getActiveSessionNormalizer() {
+  const filters = await getCaptureFilters();
+  const apiRequests = (await getSessionRequests())
+    .filter(other => matchesRequestFilters(other, filters) && isApiRequest(other, filters))
+    .filter(other => !isConnectionRecord(other) && !isGraphqlRequest(other));
+  return createRequestPathNormalizer(apiRequests, await getPathTemplates());
+}
+
+// The endpoint a request of the active session belongs to right now and its note.
+// GraphQL calls and connections have their own sections, so they get no endpoint.
+async function getEndpointNote(requestId) {
+  const request = requestMap.get(requestId);
+  if (!request) {
+    throw new Error('Request not found');
+  }
+  if (isConnectionRecord(request) || isGraphqlRequest(request)) {
+    return { endpoint: null, note: '' };
+  }
+  const normalizer = await getActiveSessionNormalizer();
+  const endpoint = getEndpointKey(request.method, normalizer.getTemplate(new URL(request.url).pathname));
+  const session = await getSession(activeSessionId);
+  const notes = resolveEndpointNotes(session && session.notes, normalizer);
+  return { endpoint, note: notes[endpoint] || '' };
+}
+
+// Saves the note of the endpoint a request belongs to, an empty note removes it.
+// The note is kept under the request's own method and path, and replaces the notes of other calls of the endpoint.
+async function setEndpointNote(requestId, note) {
+  const session = activeSessionId && await getSession(activeSessionId);
+  const request = requestMap.get(requestId);
+  if (!session || !request) {
+    throw new Error('Request not found');
+  }
+  const normalizer = await getActiveSessionNormalizer();
+  const endpoint = getEndpointKey(request.method, normalizer.getTemplate(new URL(request.url).pathname));
+  const notes = Object.fromEntries(Object.entries(session.notes || {})
+    .filter(([noteKey]) => getNoteEndpoint(noteKey, normalizer) !== endpoint));
+  if (note && note.trim()) {
+    notes[getNoteKey(request.method, request.url)] = note.trim();
+  }
+  await saveSession({ ...session, notes });
+}
+
+// Notes of a saved session, or of the active one when no id is given
+async function getSessionNotes(sessionId) {
+  if (!sessionId && !activeSessionId) {
+    return {};
+  }
+  const session = await getSession(sessionId || activeSessionId);
+  return (session && session.notes) || {};
+}
+
+// Lists saved sessions, with a live request count for the active one
+async function getSessionList() {
+  const sessions = await listSessions();
+  return sessions.map(session => (
+    session.id === activeSessionId ? { ...session, requestCount: requestMap.size } : session
+  ));
+}
+
+async function renameSession(sessionId, name) {
+  const session = await getSession(sessionId);
+  if (!session) {
+    throw new Error('Session not found');
+  }
+  await saveSession({ ...session, name });
+}
+
+// Combines several sessions into a new one, the original sessions are kept
+async function mergeSessions(sessionIds, name) {
+  if (!sessionIds || sessionIds.length < 2) {
+    throw new Error('Select at least two sessions to merge');
+  }
+  
+  const merged = new Map();
+  const sessions = [];
+  for (const sessionId of sessionIds) {
+    const session = await getSession(sessionId);
+    if (!session) {
+      throw new Error(`Session not found: ${sessionId}`);
+    }
+    sessions.push(session);
+    const requests = sessionId === activeSessionId ? requestMap : await loadSessionRequests(sessionId);
+    for (const [requestId, record] of requests) {
+      // Request ids are only unique inside one session, redirect links point at ids so they move along
+      const mergedRecord = { ...record };
+      if (record.redirectedFrom) mergedRecord.redirectedFrom = `${sessionId}:${record.redirectedFrom}`;
+      if (record.redirectedTo) mergedRecord.redirectedTo = `${sessionId}:${record.redirectedTo}`;
+      merged.set(`${sessionId}:${requestId}`, mergedRecord);
+    }
+  }
+  
+  const mergedSession = {
+    id: `session-${Date.now()}`,
+    name: name || `Merged: ${sessions.map(session => session.name || session.id).join(', ')}`,
+    startedAt: Math.min(...sessions.map(session => session.startedAt)),
+    endedAt: Math.max(...sessions.map(session => session.endedAt || Date.now())),
+    tabUrl: sessions[0].tabUrl,
+    steps: sessions.flatMap(session => session.steps || []).sort((a, b) => a.timestamp - b.timestamp),
+    // Notes of later sessions win when two sessions have one for the same call
+    notes: Object.assign({}, ...sessions.map(session => session.notes || {})),
+    source: 'merge',
+    mergedFrom: sessionIds,
+    requestCount: merged.size
+  };
+  await saveSession(mergedSession);
+  await saveRequestRecords(mergedSession.id, merged);
+  debugLog('Sessions merged', { sessionId: mergedSession.id, requestCount: merged.size });
+  return mergedSession.id;
+}
+
+async function removeSession(sessionId) {
+  if (sessionId === activeSessionId) {
+    if (isRecording) {
+      throw new Error('Stop recording before deleting the current session');
+    }
+    activeSessionId = null;
+    requestMap = new Map();
+    chrome.storage.local.set({ activeSessionId: null });
+    updateStatus(false);
+    broadcastToInspectors(buildInspectorSnapshot());
+  }
+  await deleteSession(sessionId);
+}
+
+async function getCaptureFilters() {
+  const { captureFilters: saved } = await chrome.storage.local.get('captureFilters');
+  return normalizeCaptureFilters(saved);
+}
+
+// Reads the user-defined path templates from the options page
+async function getPathTemplates() {
+  const { pathTemplates = [] } = await chrome.storage.local.get('pathTemplates');
+  return pathTemplates;
+}
+
+// Downloads text content as a file using a data URL
+// saveAs is turned off for downloads that happen by themselves, like the rolling stream files
+async function downloadFile(content, filename, mimeType, saveAs = true) {
+  const dataUrl = `data:${mimeType};charset=utf-8,` + encodeURIComponent(content);
+  
+  await chrome.downloads.download({
+    url: dataUrl,
+    filename,
+    saveAs,
+    conflictAction: 'uniquify'
+  });
+}
@@ -0,0 +1,472 @@
+document.addEventListener('DOMContentLoaded', () => {
+  const methodFilter = document.getElementById('methodFilter');
+  const statusFilter = document.getElementById('statusFilter');
+  const hostFilter = document.getElementById('hostFilter');
+  const tabFilter = document.getElementById('tabFilter');
+  const stepFilter = document.getElementById('stepFilter');
+  const pathFilter = document.getElementById('pathFilter');
+  const searchInput = document.getElementById('searchInput');
+  const apiOnly = document.getElementById('apiOnly');
+  const countsSpan = document.getElementById('counts');
+  const requestList = document.getElementById('requestList');
+  const detail = document.getElementById('detail');
+
+  let requests = new Map(); // requestId -> record, mirrors requestMap in the background
+  let selectedRequestId = null;
+  let renderTimer = null;
+  let captureFilters = DEFAULT_CAPTURE_FILTERS;
+  let snippetType = 'curl'; // Kept when the detail pane re-renders
+  let endpointNote = null; // { requestId, endpoint, note } of the selected request, loaded from the background
+
+  // The "API calls only" checkbox uses the same rules as the exports
+  chrome.storage.local.get('captureFilters', (result) => {
+    captureFilters = normalizeCaptureFilters(result.captureFilters);
+    scheduleRender();
+  });
+
+  // Live updates from the background script
+  const port = chrome.runtime.connect({ name: 'inspector' });
+  port.onMessage.addListener((message) => {
+    if (message.type === 'snapshot') {
+      requests = new Map(message.requests.map(({ requestId, request }) => [requestId, request]));
+      endpointNote = null;
+      if (!requests.has(selectedRequestId)) {
+        selectedRequestId = null;
+      }
+    } else if (message.type === 'requestUpdated') {
+      requests.set(message.requestId, message.request);
+    } else if (message.type === 'requestRemoved') {
+      requests.delete(message.requestId);
+    }
+    scheduleRender();
+  });
+  port.onDisconnect.addListener(() => {
+    countsSpan.textContent = 'Disconnected from the extension, reload this page';
+  });
+
+  [methodFilter, statusFilter, hostFilter, tabFilter, stepFilter, apiOnly].forEach(input => input.addEventListener('change', scheduleRender));
+  [pathFilter, searchInput].forEach(input => input.addEventListener('input', scheduleRender));
+
+  // Batch renders, requests can arrive many times per second
+  function scheduleRender() {
+    if (renderTimer) return;
+    renderTimer = setTimeout(() => {
+      renderTimer = null;
+      render();
+    }, 100);
+  }
+
+  function getStatusLabel(request) {
+    if (request.error) return 'failed';
+    return request.status ? String(request.status) : 'pending';
+  }
+
+  // Imported and older sessions have no tab information
+  function getTabLabel(request) {
+    return request.tabId !== undefined ? String(request.tabId) : '';
+  }
+
+  // GraphQL calls all share one path, so the operation names are shown next to it
+  function getGraphqlLabel(request) {
+    const found = getGraphqlPayloads(request);
+    if (!found) return '';
+    const names = found.payloads.map(payload => {
+      const match = (payload.query || '').match(/\b(?:query|mutation|subscription)\s+([_A-Za-z]\w*)/);
+      return payload.operationName || (match ? match[1] : 'anonymous');
+    });
+    return ` (GraphQL: ${names.join(', ')})`;
+  }
+
+  function matchesFilters(request) {
+    const url = new URL(request.url);
+    if (apiOnly.checked && !(matchesRequestFilters(request, captureFilters) && isApiRequest(request, captureFilters))) return false;
+    if (methodFilter.value && request.method !== methodFilter.value) return false;
+    if (hostFilter.value && url.host !== hostFilter.value) return false;
+    if (tabFilter.value && getTabLabel(request) !== tabFilter.value) return false;
+    if (stepFilter.value && request.step !== stepFilter.value) return false;
+    if (pathFilter.value && !url.pathname.includes(pathFilter.value)) return false;
+
+    if (statusFilter.value) {
+      const status = getStatusLabel(request);
+      if (statusFilter.value === 'failed' || statusFilter.value === 'pending') {
+        if (status !== statusFilter.value) return false;
+      } else if (!status.startsWith(statusFilter.value)) {
+        return false;
+      }
+    }
+
+    if (searchInput.value) {
+      const term = searchInput.value.toLowerCase();
+      const haystack = [
+        request.url,
+        ...getHeaderEntries(request.requestHeaders).map(([name, value]) => `${name}: ${value}`),
+        ...getHeaderEntries(request.responseHeaders).map(([name, value]) => `${name}: ${value}`),
+        request.requestBody || '',
+        request.responseBody || '',
+        ...(request.messages || []).map(message => message.data),
+        request.error || ''
+      ].join('\n').toLowerCase();
+      if (!haystack.includes(term)) return false;
+    }
+
+    return true;
+  }
+
+  // Keeps the options of a filter dropdown in sync with the recorded values
+  function updateOptions(select, values) {
+    const existing = new Set([...select.options].map(option => option.value));
+    [...values].sort().forEach(value => {
+      if (!existing.has(value)) {
+        select.appendChild(new Option(value, value));
+      }
+    });
+  }
+
+  function render() {
+    const all = [...requests.entries()].sort(([, a], [, b]) => a.timestamp - b.timestamp);
+    updateOptions(methodFilter, new Set(all.map(([, request]) => request.method)));
+    updateOptions(hostFilter, new Set(all.map(([, request]) => new URL(request.url).host)));
+    updateOptions(tabFilter, new Set(all.map(([, request]) => getTabLabel(request)).filter(Boolean)));
+    updateOptions(stepFilter, new Set(all.map(([, request]) => request.step).filter(Boolean)));
+
+    const visible = all.filter(([, request]) => matchesFilters(request));
+    const excludedCount = all.filter(([, request]) => request.excluded).length;
+    countsSpan.textContent = `${visible.length} shown / ${all.length} recorded / ${excludedCount} excluded from export`;
+
+    // The waterfall bars are scaled to the requests that are shown
+    const range = {
+      start: Math.min(...visible.map(([, request]) => request.timestamp)),
+      end: Math.max(...visible.map(([, request]) => request.timestamp + (getRequestDuration(request) || 0)))
+    };
+
+    requestList.textContent = '';
+    for (const [requestId, request] of visible) {
+      requestList.appendChild(renderRow(requestId, request, range));
+    }
+
+    renderDetail(visible.map(([, request]) => request));
+  }
+
+  function renderWaterfallBar(request, range) {
+    const track = document.createElement('div');
+    track.className = 'waterfall';
+    const bar = document.createElement('div');
+    bar.className = getCacheSource(request) ? 'bar cached' : 'bar';
+    const span = Math.max(range.end - range.start, 1);
+    bar.style.left = `${((request.timestamp - range.start) / span) * 100}%`;
+    bar.style.width = `${Math.max(((getRequestDuration(request) || 0) / span) * 100, 0.5)}%`;
+    track.appendChild(bar);
+    return track;
+  }
+
+  function renderRow(requestId, request, range) {
+    const url = new URL(request.url);
+    const row = document.createElement('tr');
+    row.className = 'row';
+    if (requestId === selectedRequestId) row.classList.add('selected');
+    if (request.excluded) row.classList.add('excluded');
+    if (request.error) row.classList.add('failed');
+
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.checked = !request.excluded;
+    checkbox.addEventListener('click', (event) => event.stopPropagation());
+    checkbox.addEventListener('change', async () => {
+      try {
+        await chrome.runtime.sendMessage({ type: 'setRequestExcluded', requestId, excluded: !checkbox.checked });
+      } catch (error) {
+        console.error('Error updating request:', error);
+      }
+    });
+
+    const cells = [
+      checkbox,
+      getTabLabel(request),
+      request.step || '',
+      request.method,
+      getStatusLabel(request),
+      url.host,
+      url.pathname + url.search + getGraphqlLabel(request),
+      new Date(request.timestamp).toLocaleTimeString(),
+      request.kind ? '' : formatDuration(getRequestDuration(request)),
+      getTransferSize(request) !== undefined ? formatByteSize(getTransferSize(request)) : '',
+      renderWaterfallBar(request, range)
+    ];
+    const classNames = ['', '', '', '', 'status', '', 'path', '', 'number', 'number', 'waterfall-cell'];
+    cells.forEach((content, index) => {
+      const cell = document.createElement('td');
+      if (classNames[index]) cell.className = classNames[index];
+      if (typeof content === 'string') {
+        cell.textContent = content;
+        cell.title = content;
+      } else {
+        cell.appendChild(content);
+      }
+      row.appendChild(cell);
+    });
+
+    row.addEventListener('click', () => {
+      selectedRequestId = requestId;
+      render();
+    });
+    return row;
+  }
+
+  // Pretty-prints JSON bodies, anything else is shown as-is
+  function formatBody(body) {
+    const parsed = parseJsonBody(body);
+    return parsed !== undefined ? JSON.stringify(parsed, null, 2) : body;
+  }
+
+  function appendSection(title, text, className) {
+    const heading = document.createElement('h3');
+    heading.textContent = title;
+    const pre = document.createElement('pre');
+    pre.textContent = text;
+    if (className) pre.className = className;
+    detail.appendChild(heading);
+    detail.appendChild(pre);
+  }
+
+  // One line per WebSocket frame or event-stream message, arrows show the direction
+  function formatMessage(message) {
+    const arrow = message.direction === 'sent' ? '\u2191' : '\u2193';
+    const event = message.eventName ? ` [${message.eventName}]` : '';
+    const data = message.opcode === 2 ? `(binary) ${message.data}` : message.data;
+    return `${new Date(message.time).toLocaleTimeString()} ${arrow}${event} ${data}`;
+  }
+
+  function formatHeaders(headers) {
+    return getHeaderEntries(headers).map(([name, value]) => `${name}: ${value}`).join('\n');
+  }
+
+  // Snippet picker with a copy button, the code is shown below it
+  function appendSnippets(request) {
+    const heading = document.createElement('h3');
+    heading.textContent = 'Replay as ';
+    const select = document.createElement('select');
+    for (const type of SNIPPET_TYPES) {
+      select.add(new Option(type.title, type.id, false, type.id === snippetType));
+    }
+    const copyButton = document.createElement('button');
+    copyButton.textContent = 'Copy';
+    heading.appendChild(select);
+    heading.appendChild(copyButton);
+
+    const pre = document.createElement('pre');
+    const showSnippet = () => {
+      pre.textContent = buildSnippets(request, [snippetType])[0].code;
+    };
+    select.addEventListener('change', () => {
+      snippetType = select.value;
+      showSnippet();
+    });
+    copyButton.addEventListener('click', () => {
+      navigator.clipboard.writeText(pre.textContent).then(() => {
+        copyButton.textContent = 'Copied';
+        setTimeout(() => { copyButton.textContent = 'Copy'; }, 1500);
+      });
+    });
+    showSnippet();
+    detail.appendChild(heading);
+    detail.appendChild(pre);
+
+    const placeholders = getSnippetPlaceholders(request);
+    if (placeholders.length) {
+      const note = document.createElement('div');
+      note.className = 'note';
+      note.textContent = `Redacted values are placeholders: ${placeholders.map(name => `{{${name}}}`).join(', ')}`;
+      detail.appendChild(note);
+    }
+  }
+
+  // Notes belong to the endpoint (like "GET /users/{id}"), the background knows its template
+  async function loadEndpointNote(requestId) {
+    endpointNote = { requestId, endpoint: null, note: '' };
+    try {
+      const response = await chrome.runtime.sendMessage({ type: 'getEndpointNote', requestId });
+      if (response && response.success && endpointNote.requestId === requestId) {
+        endpointNote = { requestId, endpoint: response.endpoint, note: response.note };
+        scheduleRender();
+      }
+    } catch (error) {
+      console.error('Error loading endpoint note:', error);
+    }
+  }
+
+  function appendEndpointNote(requestId) {
+    if (!endpointNote || endpointNote.requestId !== requestId) {
+      loadEndpointNote(requestId);
+      return;
+    }
+    if (!endpointNote.endpoint) return;
+
+    const heading = document.createElement('h3');
+    heading.textContent = `Notes for ${endpointNote.endpoint}`;
+    const editButton = document.createElement('button');
+    editButton.textContent = 'Edit';
+    heading.appendChild(editButton);
+    const pre = document.createElement('pre');
+    pre.textContent = endpointNote.note || '(none, the note is added to the exports of this endpoint)';
+    editButton.addEventListener('click', async () => {
+      const note = prompt(`Notes for ${endpointNote.endpoint}`, endpointNote.note);
+      if (note === null) return;
+      try {
+        const response = await chrome.runtime.sendMessage({ type: 'setEndpointNote', requestId: endpointNote.requestId, note });
+        if (!response || !response.success) {
+          throw new Error(response && response.error ? response.error : 'Failed to save the note');
+        }
+        endpointNote.note = note.trim();
+        render();
+      } catch (error) {
+        console.error('Error saving endpoint note:', error);
+        pre.textContent = 'Error: ' + error.message;
+      }
+    });
+    detail.appendChild(heading);
+    detail.appendChild(pre);
+  }
+
+  // Without a selection the detail pane shows the latency of the requests that are shown
+  function renderPerformance(visibleRequests) {
+    const empty = document.createElement('div');
+    empty.className = 'empty';
+    empty.textContent = 'Select a request to see its details';
+    detail.appendChild(empty);
+
+    const timedRequests = visibleRequests.filter(request => !request.kind);
+    if (!timedRequests.length) return;
+    const summary = summarizePerformance(timedRequests, createRequestPathNormalizer(timedRequests));
+
+    const heading = document.createElement('h3');
+    heading.textContent = 'Latency per Endpoint (slowest first)';
+    detail.appendChild(heading);
+    const table = document.createElement('table');
+    table.className = 'stats';
+    const headerRow = table.insertRow();
+    ['Endpoint', 'Calls', 'p50', 'p90', 'p95', 'Max', 'Avg size'].forEach(label => {
+      const cell = document.createElement('th');
+      cell.textContent = label;
+      headerRow.appendChild(cell);
+    });
+    for (const endpoint of summary.endpoints) {
+      const row = table.insertRow();
+      [
+        `${endpoint.method} ${endpoint.path}`,
+        String(endpoint.count),
+        formatDuration(endpoint.durations.p50),
+        formatDuration(endpoint.durations.p90),
+        formatDuration(endpoint.durations.p95),
+        formatDuration(endpoint.durations.max),
+        endpoint.avgSize !== undefined ? formatByteSize(endpoint.avgSize) : '-'
+      ].forEach(text => {
+        row.insertCell().textContent = text;
+      });
+    }
+    detail.appendChild(table);
+
+    if (summary.slowest.length) {
+      appendSection('Slowest Calls', summary.slowest.map(call => (
+        `${formatDuration(call.duration).padStart(9)}  ${call.method} ${call.url} (${call.status || 'no response'})`
+      )).join('\n'));
+    }
+  }
+
+  // Phases of a request from its CDP timing, like the Timing tab in DevTools
+  function formatTiming(request) {
+    const lines = [`Duration: ${formatDuration(getRequestDuration(request))}`, `Waiting (TTFB): ${formatDuration(getTimeToFirstByte(request))}`];
+    const timing = request.timing;
+    if (timing) {
+      const phase = (label, start, end) => {
+        if (start >= 0 && end >= 0) lines.push(`${label}: ${formatDuration(end - start)}`);
+      };
+      phase('DNS', timing.dnsStart, timing.dnsEnd);
+      phase('Connect', timing.connectStart, timing.connectEnd);
+      phase('TLS', timing.sslStart, timing.sslEnd);
+      phase('Send', timing.sendStart, timing.sendEnd);
+      if (request.endTime) {
+        lines.push(`Download: ${formatDuration((request.endTime - timing.requestTime) * 1000 - timing.receiveHeadersEnd)}`);
+      }
+    }
+    const size = getTransferSize(request);
+    if (size !== undefined) lines.push(`Transferred: ${formatByteSize(size)}`);
+    if (request.responseBodySize !== undefined) lines.push(`Body: ${formatByteSize(request.responseBodySize)}`);
+    if (request.httpVersion) lines.push(`Protocol: ${request.httpVersion}`);
+    if (request.remoteIPAddress) lines.push(`Remote address: ${request.remoteIPAddress}${request.remotePort ? `:${request.remotePort}` : ''}`);
+    if (request.connectionReused !== undefined) lines.push(`Connection: ${request.connectionId || '?'}${request.connectionReused ? ' (reused)' : ' (new)'}`);
+    const cacheSource = getCacheSource(request);
+    if (cacheSource) lines.push(`Served from: ${cacheSource}`);
+    return lines.join('\n');
+  }
+
+  function renderDetail(visibleRequests) {
+    const request = requests.get(selectedRequestId);
+    detail.textContent = '';
+    if (!request) {
+      renderPerformance(visibleRequests);
+      return;
+    }
+
+    appendSection('General', [
+      `URL: ${request.url}`,
+      `Method: ${request.method}`,
+      `Status: ${request.status ? `${request.status} ${request.statusText || ''}` : getStatusLabel(request)}`,
+      `Time: ${new Date(request.timestamp).toLocaleString()}`,
+      ...(request.redirectURL ? [`Redirects to: ${request.redirectURL}`] : []),
+      ...(request.redirectedFrom && requests.has(request.redirectedFrom) ? [`Redirected from: ${requests.get(request.redirectedFrom).url}`] : []),
+      ...(request.kind ? [`Type: ${request.kind === 'websocket' ? 'WebSocket' : 'Server-Sent Events'}`] : []),
+      ...(request.closedAt ? [`Closed: ${new Date(request.closedAt).toLocaleString()}`] : []),
+      ...(request.step ? [`Step: ${request.step}`] : []),
+      ...(request.tabId !== undefined ? [`Tab: ${request.tabId}`] : []),
+      ...(request.frameId ? [`Frame: ${request.frameId}`] : []),
+      ...(request.pageUrl ? [`Page: ${request.pageUrl}`] : []),
+      ...(request.initiator ? [`Initiator: ${request.initiator.type}${formatCallSite(request.initiator) ? ` (${formatCallSite(request.initiator)})` : ''}`] : [])
+    ].join('\n'));
+
+    appendEndpointNote(selectedRequestId);
+
+    if (request.initiator && request.initiator.frames) {
+      appendSection('Call Stack', formatInitiatorStack(request.initiator));
+    }
+
+    // Decoded while recording, the token itself is redacted
+    if (request.jwt) {
+      appendSection(`JWT (${request.jwt.source})`, JSON.stringify({ header: request.jwt.header, claims: request.jwt.claims }, null, 2));
+    }
+
+    if (!request.kind) {
+      appendSection('Timing', formatTiming(request));
+    }
+
+    if (request.error) {
+      appendSection('Error', request.error, 'error');
+    }
+    if (request.responseError) {
+      appendSection('Response Body Error', request.responseError, 'error');
+    }
+
+    appendSection('Request Headers', formatHeaders(request.requestHeaders) || '(none)');
+    if (request.requestBody) {
+      appendSection('Request Body', formatBody(request.requestBody));
+      if (request.requestBodyTruncated) {
+        appendSection('Request Body Truncated', getTruncationMarker(request.requestBodySize));
+      }
+    }
+    appendSection('Response Headers', formatHeaders(request.responseHeaders) || '(none)');
+    if (request.responseBody !== undefined) {
+      appendSection('Response Body', formatBody(request.responseBody));
+    } else if (request.responseBodyBase64) {
+      appendSection('Response Body', describeBody(request));
+    }
+    if (request.responseBodyTruncated) {
+      appendSection('Response Body Truncated', getTruncationMarker(request.responseBodySize));
+    }
+    if (request.kind !== 'websocket') {
+      appendSnippets(request);
+    }
+    if (request.messages) {
+      const dropped = request.droppedMessages ? ` (+${request.droppedMessages} not kept)` : '';
+      appendSection(`Messages (${request.messages.length})${dropped}`, request.messages.map(formatMessage).join('\n') || '(none yet)');
+    }
+  }
+});
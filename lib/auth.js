@@ -0,0 +1,274 @@
+// Authentication detection: which credentials each request sends (bearer/JWT, basic, API keys, session cookies)
+// and which requests hand out tokens (OAuth token and refresh requests, logins).
+// Only header, parameter and cookie names are needed, so this works on redacted requests. JWT claims are the
+// exception: they are decoded before redaction and kept in request.jwt (the signature is never kept).
+// Depends on lib/http.js, lib/body.js, lib/redact.js and lib/steps.js.
+
+// Auth headers without a scheme ("X-Api-Key: abc") whose name doesn't give them away already
+const API_KEY_HEADER_PATTERN = /^(x-)?(api|access|auth|app|client|subscription)[-_]?(key|token|secret)$/i;
+const CSRF_HEADER_PATTERN = /^x-(csrf|xsrf)-token$/i;
+// Query parameters that carry a credential, other secret keys like "code" or "signature" are not auth
+const CREDENTIAL_QUERY_KEYS = ['api_key', 'apikey', 'key', 'access_token', 'token', 'auth', 'auth_token'];
+// Cookie names that usually hold a login session, analytics cookies don't match
+const SESSION_COOKIE_PATTERN = /sess|^sid$|[._-]sid$|auth|token|jwt|login|remember|identity|csrf|xsrf/i;
+// Keys of a response body that hand out a token
+const TOKEN_RESPONSE_KEYS = ['access_token', 'accessToken', 'refresh_token', 'refreshToken', 'id_token', 'idToken', 'token', 'jwt'];
+const JWT_HEADER_FIELDS = ['alg', 'typ', 'kid'];
+
+function decodeBase64UrlJson(part) {
+  const base64 = part.replace(/-/g, '+').replace(/_/g, '/');
+  return JSON.parse(new TextDecoder().decode(base64ToBytes(base64.padEnd(Math.ceil(base64.length / 4) * 4, '='))));
+}
+
+// Header and claims of a JWT, or null when it isn't one. The signature is left out.
+function decodeJwt(token) {
+  const [header, payload] = String(token).split('.');
+  try {
+    const decodedHeader = decodeBase64UrlJson(header);
+    const claims = decodeBase64UrlJson(payload);
+    if (!claims || typeof claims !== 'object' || Array.isArray(claims)) return null;
+    const kept = Object.fromEntries(JWT_HEADER_FIELDS.filter(field => decodedHeader[field] !== undefined).map(field => [field, decodedHeader[field]]));
+    return { header: kept, claims };
+  } catch (error) {
+    return null;
+  }
+}
+
+function getCookiePairs(cookieHeader) {
+  return String(cookieHeader || '').split(';').map(pair => {
+    const index = pair.indexOf('=');
+    return index === -1 ? null : [pair.slice(0, index).trim(), pair.slice(index + 1).trim()];
+  }).filter(pair => pair && pair[0]);
+}
+
+// The first JWT a request sends in an auth header or a cookie: { source, header, claims }.
+// Needs the headers before redaction, the caller saves the result as request.jwt.
+function extractRequestJwt(headers, authHeaderNames = DEFAULT_REDACTION_SETTINGS.authHeaders) {
+  const names = authHeaderNames.map(name => name.toLowerCase());
+  const jwtPattern = new RegExp(JWT_PATTERN.source);
+  for (const [name, value] of getHeaderEntries(headers)) {
+    const lowerName = name.toLowerCase();
+    const candidates = lowerName === 'cookie'
+      ? getCookiePairs(value).map(([cookieName, cookieValue]) => [`Cookie: ${cookieName}`, cookieValue])
+      : (names.includes(lowerName) || API_KEY_HEADER_PATTERN.test(name) ? [[name, String(value)]] : []);
+    for (const [source, text] of candidates) {
+      const match = text.match(jwtPattern);
+      const decoded = match && decodeJwt(match[0]);
+      if (decoded) return { source, ...decoded };
+    }
+  }
+  return undefined;
+}
+
+// The credentials one request sends: [{ id, type, in, name, scheme }].
+// type is 'bearer', 'basic', 'http' (another Authorization scheme), 'apiKey', 'cookie' or 'csrf'.
+function getRequestCredentials(request, authHeaderNames = DEFAULT_REDACTION_SETTINGS.authHeaders) {
+  const names = authHeaderNames.map(name => name.toLowerCase());
+  const credentials = [];
+  for (const [name, value] of getHeaderEntries(request.requestHeaders)) {
+    const lowerName = name.toLowerCase();
+    if (lowerName === 'authorization') {
+      const scheme = (String(value).match(/^(\w+)\s+\S/) || [])[1];
+      if (!scheme) {
+        credentials.push({ id: 'apiKey-authorization', type: 'apiKey', in: 'header', name: 'Authorization' });
+      } else if (/^bearer$/i.test(scheme)) {
+        credentials.push({ id: 'bearerAuth', type: 'bearer', in: 'header', name: 'Authorization' });
+      } else if (/^basic$/i.test(scheme)) {
+        credentials.push({ id: 'basicAuth', type: 'basic', in: 'header', name: 'Authorization' });
+      } else {
+        credentials.push({ id: `${scheme.toLowerCase()}Auth`, type: 'http', in: 'header', name: 'Authorization', scheme });
+      }
+    } else if (CSRF_HEADER_PATTERN.test(name)) {
+      credentials.push({ id: `csrf-${lowerName}`, type: 'csrf', in: 'header', name });
+    } else if (lowerName !== 'proxy-authorization' && (names.includes(lowerName) || API_KEY_HEADER_PATTERN.test(name))) {
+      credentials.push({ id: `apiKey-${lowerName}`, type: 'apiKey', in: 'header', name });
+    } else if (lowerName === 'cookie') {
+      for (const [cookieName] of getCookiePairs(value)) {
+        if (SESSION_COOKIE_PATTERN.test(cookieName)) {
+          credentials.push({ id: `cookie-${cookieName}`, type: 'cookie', in: 'cookie', name: cookieName });
+        }
+      }
+    }
+  }
+  for (const key of new Set(new URL(request.url).searchParams.keys())) {
+    if (CREDENTIAL_QUERY_KEYS.includes(key.toLowerCase())) {
+      credentials.push({ id: `apiKeyQuery-${key}`, type: 'apiKey', in: 'query', name: key });
+    }
+  }
+  return credentials;
+}
+
+// Which JWT-carrying credential a request.jwt was found in
+function getJwtCredentialId(jwt, credentials) {
+  const source = jwt.source.toLowerCase();
+  const credential = credentials.find(item => (item.in === 'cookie' ? `cookie: ${item.name.toLowerCase()}` : item.name.toLowerCase()) === source);
+  return credential ? credential.id : undefined;
+}
+
+// What the JWTs of one scheme look like: algorithms, issuers, audiences, lifetime and the claims of the first token
+function summarizeJwts(jwts) {
+  const unique = values => [...new Set(values.flat().filter(value => value !== undefined && value !== null))];
+  const lifetimes = jwts
+    .map(jwt => (typeof jwt.claims.exp === 'number' && typeof jwt.claims.iat === 'number' ? jwt.claims.exp - jwt.claims.iat : undefined))
+    .filter(value => value !== undefined);
+  return {
+    algorithms: unique(jwts.map(jwt => jwt.header.alg)),
+    issuers: unique(jwts.map(jwt => jwt.claims.iss)),
+    audiences: unique(jwts.map(jwt => jwt.claims.aud)),
+    lifetime: lifetimes.length ? Math.max(...lifetimes) : undefined,
+    claimNames: unique(jwts.map(jwt => Object.keys(jwt.claims))).sort(),
+    exampleClaims: jwts[0].claims
+  };
+}
+
+function getBodyParams(request) {
+  const contentType = getMediaType(getHeaderValue(request.requestHeaders, 'content-type'));
+  if (contentType === 'application/x-www-form-urlencoded') {
+    return Object.fromEntries(new URLSearchParams(request.requestBody || ''));
+  }
+  const parsed = parseJsonBody(request.requestBody);
+  return parsed && typeof parsed === 'object' && !Array.isArray(parsed) ? parsed : {};
+}
+
+// Token requests (OAuth grant_type exchanges and logins that answer with a token) and requests that set a session cookie
+function getTokenExchange(request) {
+  const grantType = getBodyParams(request).grant_type;
+  const response = parseJsonBody(request.responseBody);
+  const returns = response && typeof response === 'object' && !Array.isArray(response)
+    ? Object.keys(response).filter(key => TOKEN_RESPONSE_KEYS.includes(key) || key === 'expires_in' || key === 'token_type' || key === 'scope')
+    : [];
+  const setCookies = getHeaderEntries(request.responseHeaders)
+    .filter(([name]) => name.toLowerCase() === 'set-cookie')
+    .flatMap(([, value]) => String(value).split('\n').map(line => line.split('=')[0].trim()))
+    .filter(name => SESSION_COOKIE_PATTERN.test(name));
+  if (!grantType && !returns.some(key => TOKEN_RESPONSE_KEYS.includes(key)) && !setCookies.length) return null;
+  return {
+    grantType: typeof grantType === 'string' ? grantType : undefined,
+    returns,
+    tokenType: response && typeof response.token_type === 'string' ? response.token_type : undefined,
+    expiresIn: response && typeof response.expires_in === 'number' ? response.expires_in : undefined,
+    setCookies
+  };
+}
+
+// Summarises the authentication of a recording:
+// { schemes: [{ id, type, in, name, scheme, endpoints, calls, jwt }],
+//   endpoints: { 'GET /users/{id}': { calls, always: [ids], sometimes: [ids] } },
+//   tokenRequests: [{ endpoint, count, grantTypes, returns, tokenType, expiresIn, setCookies }] }
+function summarizeAuth(requests, normalizer, authHeaderNames = DEFAULT_REDACTION_SETTINGS.authHeaders) {
+  const schemes = new Map();
+  const jwtsByScheme = new Map();
+  const endpoints = {};
+  const tokenRequests = new Map();
+
+  for (const request of requests) {
+    const endpoint = getEndpointKey(request.method, normalizer.getTemplate(new URL(request.url).pathname));
+    const credentials = getRequestCredentials(request, authHeaderNames);
+    if (!endpoints[endpoint]) endpoints[endpoint] = { calls: 0, counts: new Map() };
+    endpoints[endpoint].calls++;
+
+    for (const credential of credentials) {
+      if (!schemes.has(credential.id)) schemes.set(credential.id, { ...credential, endpoints: new Set(), calls: 0 });
+      const scheme = schemes.get(credential.id);
+      scheme.endpoints.add(endpoint);
+      scheme.calls++;
+      endpoints[endpoint].counts.set(credential.id, (endpoints[endpoint].counts.get(credential.id) || 0) + 1);
+    }
+    if (request.jwt) {
+      const schemeId = getJwtCredentialId(request.jwt, credentials);
+      if (schemeId) {
+        if (!jwtsByScheme.has(schemeId)) jwtsByScheme.set(schemeId, []);
+        jwtsByScheme.get(schemeId).push(request.jwt);
+      }
+    }
+
+    const exchange = getTokenExchange(request);
+    if (exchange) {
+      if (!tokenRequests.has(endpoint)) {
+        tokenRequests.set(endpoint, { endpoint, count: 0, grantTypes: new Set(), returns: new Set(), setCookies: new Set() });
+      }
+      const summary = tokenRequests.get(endpoint);
+      summary.count++;
+      if (exchange.grantType) summary.grantTypes.add(exchange.grantType);
+      exchange.returns.forEach(key => summary.returns.add(key));
+      exchange.setCookies.forEach(name => summary.setCookies.add(name));
+      if (exchange.tokenType) summary.tokenType = exchange.tokenType;
+      if (exchange.expiresIn !== undefined) summary.expiresIn = exchange.expiresIn;
+    }
+  }
+
+  // Sorted by type (bearer tokens first, CSRF tokens last), then by how many calls sent them
+  const typeOrder = ['bearer', 'basic', 'http', 'apiKey', 'cookie', 'csrf'];
+  return {
+    schemes: [...schemes.values()]
+      .sort((a, b) => typeOrder.indexOf(a.type) - typeOrder.indexOf(b.type) || b.calls - a.calls)
+      .map(scheme => ({
+        ...scheme,
+        endpoints: [...scheme.endpoints].sort(),
+        jwt: jwtsByScheme.has(scheme.id) ? summarizeJwts(jwtsByScheme.get(scheme.id)) : undefined
+      })),
+    endpoints: Object.fromEntries(Object.entries(endpoints).map(([endpoint, { calls, counts }]) => [endpoint, {
+      calls,
+      always: [...counts].filter(([, count]) => count === calls).map(([id]) => id),
+      sometimes: [...counts].filter(([, count]) => count < calls).map(([id]) => id)
+    }])),
+    tokenRequests: [...tokenRequests.values()]
+      .sort((a, b) => a.endpoint.localeCompare(b.endpoint))
+      .map(summary => ({
+        ...summary,
+        grantTypes: [...summary.grantTypes],
+        returns: [...summary.returns],
+        setCookies: [...summary.setCookies]
+      }))
+  };
+}
+
+// Human name of a scheme, like "Bearer token (JWT) in the `Authorization` header"
+function formatAuthScheme(scheme) {
+  switch (scheme.type) {
+    case 'bearer':
+      return `Bearer token${scheme.jwt ? ' (JWT)' : ''} in the \`${scheme.name}\` header`;
+    case 'basic':
+      return `Basic auth in the \`${scheme.name}\` header`;
+    case 'http':
+      return `\`${scheme.scheme}\` credentials in the \`${scheme.name}\` header`;
+    case 'apiKey':
+      return scheme.in === 'query' ? `API key in the \`${scheme.name}\` query parameter` : `API key in the \`${scheme.name}\` header`;
+    case 'cookie':
+      return `Session cookie \`${scheme.name}\``;
+    case 'csrf':
+      return `CSRF token in the \`${scheme.name}\` header`;
+    default:
+      return scheme.id;
+  }
+}
+
+// Token lifetimes like "15 min" or "30 days"
+function formatLifetime(seconds) {
+  const units = [['day', 86400], ['h', 3600], ['min', 60]];
+  for (const [unit, size] of units) {
+    if (seconds >= size && seconds % size === 0) {
+      const count = seconds / size;
+      return unit === 'day' ? `${count} day${count === 1 ? '' : 's'}` : `${count} ${unit}`;
+    }
+  }
+  return `${seconds} s`;
+}
+
+// OpenAPI components.securitySchemes for the detected schemes, named by their ids
+function buildSecuritySchemes(authSummary) {
+  const securitySchemes = {};
+  for (const scheme of authSummary.schemes) {
+    if (scheme.type === 'bearer') {
+      securitySchemes[scheme.id] = { type: 'http', scheme: 'bearer', ...(scheme.jwt ? { bearerFormat: 'JWT' } : {}) };
+    } else if (scheme.type === 'basic') {
+      securitySchemes[scheme.id] = { type: 'http', scheme: 'basic' };
+    } else if (scheme.type === 'http') {
+      securitySchemes[scheme.id] = { type: 'http', scheme: scheme.scheme.toLowerCase() };
+    } else {
+      securitySchemes[scheme.id] = { type: 'apiKey', in: scheme.in, name: scheme.name };
+    }
+    securitySchemes[scheme.id].description = formatAuthScheme(scheme).replace(/`/g, '');
+  }
+  return securitySchemes;
+}
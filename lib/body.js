@@ -0,0 +1,112 @@
+// Decoding of request and response bodies and the body size limit.
+// Text bodies are stored as strings, binary ones only as base64 so no bytes are lost.
+// Depends on lib/http.js.
+
+// Media types that are stored as text even when CDP hands them over base64 encoded
+function isTextMediaType(mediaType) {
+  return /^text\//.test(mediaType) ||
+    /json|xml|javascript|ecmascript|graphql|x-www-form-urlencoded|yaml|csv/.test(mediaType);
+}
+
+function getCharset(contentType) {
+  const match = (contentType || '').match(/charset="?([^";]+)"?/i);
+  return match ? match[1].trim() : 'utf-8';
+}
+
+function base64ToBytes(base64) {
+  const binary = atob(base64);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return bytes;
+}
+
+function bytesToBase64(bytes) {
+  let binary = '';
+  // Chunked so String.fromCharCode doesn't get too many arguments
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+}
+
+// Decodes bytes as text, or returns undefined when they don't look like text
+function decodeText(bytes, contentType) {
+  const mediaType = getMediaType(contentType);
+  let decoder;
+  try {
+    decoder = new TextDecoder(getCharset(contentType));
+  } catch (error) {
+    decoder = new TextDecoder('utf-8'); // Unknown charset label
+  }
+  if (isTextMediaType(mediaType)) {
+    return decoder.decode(bytes);
+  }
+  // No or unknown content type: only call it text when it is valid UTF-8 without NUL bytes
+  if (!mediaType || mediaType === 'application/octet-stream') {
+    try {
+      const text = new TextDecoder('utf-8', { fatal: true }).decode(bytes);
+      return text.includes('\u0000') ? undefined : text;
+    } catch (error) {
+      return undefined;
+    }
+  }
+  return undefined;
+}
+
+// Cuts a string to at most maxBytes bytes of UTF-8
+function truncateText(text, maxBytes) {
+  const bytes = new TextEncoder().encode(text);
+  if (!maxBytes || bytes.length <= maxBytes) {
+    return { text, size: bytes.length, truncated: false };
+  }
+  // A multi-byte character cut in half becomes U+FFFD, which is fine for a truncated body
+  return { text: new TextDecoder('utf-8').decode(bytes.subarray(0, maxBytes)), size: bytes.length, truncated: true };
+}
+
+// Turns a body as CDP returns it ({ body, base64Encoded }) into the response fields we store:
+// responseBody (text), responseBodyBase64 (binary), responseBodySize (original bytes) and responseBodyTruncated
+function decodeResponseBody(body, base64Encoded, contentType, maxBodySize) {
+  let fields;
+  let truncated;
+  if (!base64Encoded) {
+    const result = truncateText(body, maxBodySize);
+    truncated = result.truncated;
+    fields = { responseBody: result.text, responseBodySize: result.size };
+  } else {
+    let bytes = base64ToBytes(body);
+    const size = bytes.length;
+    truncated = !!maxBodySize && size > maxBodySize;
+    if (truncated) {
+      bytes = bytes.subarray(0, maxBodySize);
+    }
+    const text = decodeText(bytes, contentType);
+    fields = text !== undefined
+      ? { responseBody: text, responseBodySize: size }
+      : { responseBodyBase64: truncated ? bytesToBase64(bytes) : body, responseBodySize: size };
+  }
+  if (truncated) {
+    fields.responseBodyTruncated = true;
+  }
+  return fields;
+}
+
+// Short description of a body that isn't shown as text, e.g. "(binary, 12.3 KB)"
+function describeBody(request) {
+  if (request.responseBodyBase64 && request.responseBody === undefined) {
+    return `(binary, ${formatByteSize(request.responseBodySize || 0)})`;
+  }
+  return '';
+}
+
+function formatByteSize(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+}
+
+// Marker shown after a body that was cut at the size limit
+function getTruncationMarker(size) {
+  return `[truncated, ${formatByteSize(size)} in total]`;
+}
@@ -0,0 +1,355 @@
+// Postman Collection v2.1 and Insomnia (v4 export, which Bruno can import too) exports.
+// Both are built from one model: a folder per path prefix, an item per endpoint and method (or GraphQL operation).
+// Hosts and auth tokens become variables, values that were redacted become empty variables to fill in.
+// Depends on lib/http.js, lib/body.js, lib/paths.js, lib/redact.js, lib/snippets.js, lib/graphql.js and lib/steps.js.
+
+const POSTMAN_SCHEMA_URL = 'https://schema.getpostman.com/json/collection/v2.1.0/collection.json';
+const AUTH_SCHEME_PATTERN = /^(bearer|basic|digest|token|apikey)$/i;
+
+// Hands out variable names; a value that is seen again gets the name it got the first time
+function createVariableRegistry() {
+  const namesByValue = new Map();
+  const variables = new Map(); // name -> { value, secret }
+
+  function getUniqueName(baseName) {
+    let name = baseName;
+    for (let i = 2; variables.has(name); i++) {
+      name = baseName + i;
+    }
+    return name;
+  }
+
+  return {
+    add(baseName, value, secret = false) {
+      if (namesByValue.has(value)) return namesByValue.get(value);
+      const name = getUniqueName(baseName);
+      namesByValue.set(value, name);
+      variables.set(name, { value, secret });
+      return name;
+    },
+    // Placeholders of redacted values, the value is unknown so the user fills it in
+    addPlaceholder(name) {
+      if (!variables.has(name)) variables.set(name, { value: '', secret: true });
+    },
+    list() {
+      return [...variables].map(([key, { value, secret }]) => ({ key, value, secret }));
+    }
+  };
+}
+
+// Turns redaction markers into {{placeholders}} and registers them as variables
+function withPlaceholders(text, variables) {
+  const result = toPlaceholders(text);
+  if (typeof result === 'string') {
+    for (const match of result.matchAll(/\{\{(\w+)\}\}/g)) {
+      variables.addPlaceholder(match[1]);
+    }
+  }
+  return result;
+}
+
+// "x-api-key" -> "apiKey"
+function getHeaderVariableName(headerName) {
+  const words = headerName.toLowerCase().replace(/^x-/, '').split(/[^a-z0-9]+/).filter(Boolean);
+  return words.map((word, index) => (index ? word.charAt(0).toUpperCase() + word.slice(1) : word)).join('') || 'secret';
+}
+
+// Auth header values become variables, keeping the scheme ("Bearer {{token}}")
+function getHeaderTemplate(name, value, authHeaders, variables) {
+  if (!authHeaders.includes(name.toLowerCase())) {
+    return withPlaceholders(value, variables);
+  }
+  const match = value.match(/^(\w+)\s+(.+)$/);
+  const [scheme, secret] = match && AUTH_SCHEME_PATTERN.test(match[1]) ? [match[1], match[2]] : [null, value];
+  if (REDACTED_VALUE.test(secret)) {
+    return withPlaceholders(value, variables);
+  }
+  const variableName = variables.add(scheme ? 'token' : getHeaderVariableName(name), secret, true);
+  return scheme ? `${scheme} {{${variableName}}}` : `{{${variableName}}}`;
+}
+
+// Length of the literal path prefix every template shares, like /api/v1
+function getCommonPrefixLength(templates) {
+  const split = templates.map(template => template.split('/').filter(Boolean));
+  if (!split.length) return 0;
+  let length = 0;
+  while (split.every(segments => segments.length > length + 1 &&
+    segments[length] === split[0][length] && !segments[length].startsWith('{'))) {
+    length++;
+  }
+  return length;
+}
+
+// GraphQL calls get one item per operation, everything else one per method
+function getItemName(request, template) {
+  if (isGraphqlRequest(request) && !getGraphqlPayloads(request).batched) {
+    const operation = getGraphqlOperations(request)[0];
+    if (operation && operation.operationName) {
+      return `${operation.operationType || 'query'} ${operation.operationName}`;
+    }
+  }
+  return `${request.method} ${template}`;
+}
+
+function buildCollectionBody(request, variables) {
+  if (!request.requestBody) return null;
+  const mediaType = getMediaType(getHeaderValue(request.requestHeaders, 'content-type'));
+  const text = withPlaceholders(request.requestBody, variables);
+  const body = { mediaType, text };
+  const found = getGraphqlPayloads(request);
+  if (found && !found.batched && request.method === 'POST' && found.payloads[0].query) {
+    const { query, variables: graphqlVariables } = found.payloads[0];
+    body.graphql = {
+      query: withPlaceholders(query, variables),
+      variables: graphqlVariables ? withPlaceholders(JSON.stringify(graphqlVariables, null, 2), variables) : ''
+    };
+  }
+  return body;
+}
+
+// One saved example response per status code
+function buildCollectionExamples(requests) {
+  const examples = [];
+  const seen = new Set();
+  for (const request of requests) {
+    if (!request.status || seen.has(request.status)) continue;
+    seen.add(request.status);
+    examples.push({
+      status: request.status,
+      statusText: request.statusText || '',
+      headers: getHeaderEntries(request.responseHeaders).filter(([name]) => !name.startsWith(':')),
+      mediaType: getMediaType(getHeaderValue(request.responseHeaders, 'content-type') || request.mimeType),
+      body: request.responseBody !== undefined ? request.responseBody : describeBody(request)
+    });
+  }
+  return examples.sort((a, b) => a.status - b.status);
+}
+
+function buildCollectionItem(name, template, requests, hostVariables, options, variables) {
+  const request = requests[0];
+  const url = new URL(request.url);
+  const pathParams = extractPathParams(template, url.pathname);
+  // The note the user wrote for the endpoint goes first
+  const note = options.notes[getEndpointKey(request.method, template)];
+  return {
+    name,
+    method: request.method,
+    description: `${note ? `${note}\n\n` : ''}Recorded ${requests.length} time${requests.length === 1 ? '' : 's'}.`,
+    baseUrlVariable: hostVariables.get(url.origin),
+    template,
+    // Path with the values of the first recorded call
+    path: url.pathname,
+    pathParams: Object.entries(pathParams).map(([key, value]) => [key, withPlaceholders(value, variables)]),
+    query: [...url.searchParams].map(([key, value]) => [key, withPlaceholders(value, variables)]),
+    headers: getHeaderEntries(request.requestHeaders)
+      .filter(([headerName]) => !headerName.startsWith(':') && !SNIPPET_SKIPPED_HEADERS.includes(headerName.toLowerCase()))
+      .map(([headerName, value]) => [headerName, getHeaderTemplate(headerName, String(value), options.authHeaders, variables)]),
+    body: buildCollectionBody(request, variables),
+    examples: buildCollectionExamples(requests)
+  };
+}
+
+// The most used host is {{baseUrl}}, the others {{baseUrl2}}, {{baseUrl3}}...
+// Returns a map of origin -> variable name.
+function registerHostVariables(requests, variables) {
+  const originCounts = new Map();
+  requests.forEach(request => {
+    const origin = new URL(request.url).origin;
+    originCounts.set(origin, (originCounts.get(origin) || 0) + 1);
+  });
+  const hostVariables = new Map();
+  [...originCounts].sort((a, b) => b[1] - a[1]).forEach(([origin]) => {
+    hostVariables.set(origin, variables.add('baseUrl', origin));
+  });
+  return hostVariables;
+}
+
+// Builds the model both exports are written from:
+// { variables: [{ key, value, secret }], folders: [{ name, items: [...] }] }, a folder with name '' is the top level.
+// groupedRequests is { template: [requests] } as returned by groupRequestsByTemplate,
+// options.notes the session notes resolved with the same normalizer (see resolveEndpointNotes()).
+function buildCollectionModel(groupedRequests, options = {}) {
+  options = { authHeaders: DEFAULT_REDACTION_SETTINGS.authHeaders, notes: {}, ...options };
+  options.authHeaders = options.authHeaders.map(name => name.toLowerCase());
+  const variables = createVariableRegistry();
+  const hostVariables = registerHostVariables(Object.values(groupedRequests).flat(), variables);
+
+  const templates = Object.keys(groupedRequests).sort();
+  const prefixLength = getCommonPrefixLength(templates);
+  const folders = new Map();
+  for (const template of templates) {
+    const segments = template.split('/').filter(Boolean);
+    const folderName = segments.length > prefixLength && !segments[prefixLength].startsWith('{') ? segments[prefixLength] : '';
+    if (!folders.has(folderName)) folders.set(folderName, []);
+
+    const itemGroups = new Map();
+    for (const request of groupedRequests[template]) {
+      const name = getItemName(request, template);
+      if (!itemGroups.has(name)) itemGroups.set(name, []);
+      itemGroups.get(name).push(request);
+    }
+    for (const name of [...itemGroups.keys()].sort()) {
+      folders.get(folderName).push(buildCollectionItem(name, template, itemGroups.get(name), hostVariables, options, variables));
+    }
+  }
+
+  return {
+    variables: variables.list(),
+    folders: [...folders].map(([name, items]) => ({ name, items }))
+  };
+}
+
+// Postman language hint for a raw body
+function getPostmanLanguage(mediaType) {
+  if (mediaType.includes('json')) return 'json';
+  if (mediaType.includes('xml')) return 'xml';
+  if (mediaType.includes('html')) return 'html';
+  if (mediaType.includes('javascript')) return 'javascript';
+  return 'text';
+}
+
+function buildPostmanUrl(item) {
+  // Path parameters use Postman's ":name" syntax with the recorded value as default
+  const path = item.template.split('/').filter(Boolean).map(segment => segment.replace(/^\{(.+)\}$/, ':$1'));
+  const query = item.query.map(([key, value]) => ({ key, value }));
+  const queryString = query.length ? '?' + query.map(({ key, value }) => `${key}=${value}`).join('&') : '';
+  const url = {
+    raw: `{{${item.baseUrlVariable}}}/${path.join('/')}${queryString}`,
+    host: [`{{${item.baseUrlVariable}}}`],
+    path
+  };
+  if (query.length) url.query = query;
+  if (item.pathParams.length) url.variable = item.pathParams.map(([key, value]) => ({ key, value }));
+  return url;
+}
+
+function buildPostmanBody(body) {
+  if (!body) return undefined;
+  if (body.graphql) {
+    return { mode: 'graphql', graphql: body.graphql };
+  }
+  if (body.mediaType === 'application/x-www-form-urlencoded') {
+    return {
+      mode: 'urlencoded',
+      urlencoded: [...new URLSearchParams(body.text)].map(([key, value]) => ({ key, value }))
+    };
+  }
+  return { mode: 'raw', raw: body.text, options: { raw: { language: getPostmanLanguage(body.mediaType) } } };
+}
+
+function buildPostmanItem(item) {
+  const request = {
+    method: item.method,
+    header: item.headers.map(([key, value]) => ({ key, value })),
+    url: buildPostmanUrl(item),
+    description: item.description
+  };
+  const body = buildPostmanBody(item.body);
+  if (body) request.body = body;
+
+  return {
+    name: item.name,
+    request,
+    response: item.examples.map(example => ({
+      name: `${example.status} ${example.statusText}`.trim(),
+      originalRequest: { method: request.method, header: request.header, url: request.url, body: request.body },
+      status: example.statusText,
+      code: example.status,
+      _postman_previewlanguage: getPostmanLanguage(example.mediaType),
+      header: example.headers.map(([key, value]) => ({ key, value })),
+      body: example.body
+    }))
+  };
+}
+
+// Postman Collection v2.1, the variables are also in the environment from buildPostmanEnvironment
+function buildPostmanCollection(model, name) {
+  const items = [];
+  for (const folder of model.folders) {
+    const folderItems = folder.items.map(buildPostmanItem);
+    if (folder.name) {
+      items.push({ name: folder.name, item: folderItems });
+    } else {
+      items.push(...folderItems);
+    }
+  }
+  return {
+    info: {
+      name,
+      description: `Recorded with API Recorder on ${new Date().toLocaleString()}.`,
+      schema: POSTMAN_SCHEMA_URL
+    },
+    item: items,
+    // Collection variables are the fallback when no environment is selected
+    variable: model.variables.map(({ key, value }) => ({ key, value }))
+  };
+}
+
+function buildPostmanEnvironment(model, name) {
+  return {
+    name,
+    values: model.variables.map(({ key, value, secret }) => ({ key, value, type: secret ? 'secret' : 'default', enabled: true })),
+    _postman_variable_scope: 'environment'
+  };
+}
+
+// Insomnia writes environment variables as {{ _.name }}
+function toInsomniaTemplate(text) {
+  return typeof text === 'string' ? text.replace(/\{\{(\w+)\}\}/g, '{{ _.$1 }}') : text;
+}
+
+// Insomnia v4 export with one workspace, a base environment and a request group per folder
+function buildInsomniaExport(model, name) {
+  let nextId = 1;
+  const createId = prefix => `${prefix}_${String(nextId++).padStart(4, '0')}`;
+  const workspaceId = createId('wrk');
+  const resources = [
+    { _id: workspaceId, _type: 'workspace', parentId: null, name, description: '', scope: 'collection' },
+    {
+      _id: createId('env'),
+      _type: 'environment',
+      parentId: workspaceId,
+      name: 'Base Environment',
+      data: Object.fromEntries(model.variables.map(({ key, value }) => [key, value]))
+    }
+  ];
+
+  for (const folder of model.folders) {
+    let parentId = workspaceId;
+    if (folder.name) {
+      parentId = createId('fld');
+      resources.push({ _id: parentId, _type: 'request_group', parentId: workspaceId, name: folder.name });
+    }
+    for (const item of folder.items) {
+      const queryString = item.query.length ? '?' + new URLSearchParams(item.query).toString().replace(/%7B%7B(\w+)%7D%7D/g, '{{$1}}') : '';
+      const request = {
+        _id: createId('req'),
+        _type: 'request',
+        parentId,
+        name: item.name,
+        description: item.description,
+        method: item.method,
+        url: toInsomniaTemplate(`{{${item.baseUrlVariable}}}${item.path}${queryString}`),
+        headers: item.headers.map(([headerName, value]) => ({ name: headerName, value: toInsomniaTemplate(value) })),
+        body: {}
+      };
+      if (item.body && item.body.graphql) {
+        request.body = {
+          mimeType: 'application/graphql',
+          text: toInsomniaTemplate(JSON.stringify({ query: item.body.graphql.query, variables: parseJsonBody(item.body.graphql.variables) }))
+        };
+      } else if (item.body) {
+        request.body = { mimeType: item.body.mediaType || 'text/plain', text: toInsomniaTemplate(item.body.text) };
+      }
+      resources.push(request);
+    }
+  }
+
+  return {
+    _type: 'export',
+    __export_format: 4,
+    __export_date: new Date().toISOString(),
+    __export_source: 'api-recorder',
+    resources
+  };
+}
@@ -0,0 +1,92 @@
+// WebSocket and event-stream (SSE) connections: message logs grouped per endpoint with inferred message schemas.
+// Depends on lib/http.js and lib/schema.js.
+
+// At most this many messages are kept per connection, later ones are only counted
+const MAX_CONNECTION_MESSAGES = 1000;
+// At most this many JSON messages of one type are used to infer its schema
+const MAX_SCHEMA_SAMPLES = 200;
+// Fields that usually say what kind of message a JSON frame is
+const MESSAGE_TYPE_KEYS = ['type', 'event', 'op', 'action', 'kind', 'method', 'channel', 'topic'];
+
+function isConnectionRecord(request) {
+  return request.kind === 'websocket' || request.kind === 'eventsource';
+}
+
+// Groups connections by their endpoint, the query string is left out as it often holds tokens
+function getConnectionEndpoint(request) {
+  const url = new URL(request.url);
+  return `${url.protocol}//${url.host}${url.pathname}`;
+}
+
+// Short name for the kind of a JSON message, like "type=subscribe"
+function getMessageType(value) {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) return undefined;
+  const key = MESSAGE_TYPE_KEYS.find(name => typeof value[name] === 'string' || typeof value[name] === 'number');
+  return key ? `${key}=${value[key]}` : undefined;
+}
+
+function getMessageGroupName(message, parsed) {
+  const parts = [];
+  if (message.eventName !== undefined) {
+    parts.push(`event: ${message.eventName || 'message'}`);
+  }
+  const type = getMessageType(parsed);
+  if (type) {
+    parts.push(type);
+  }
+  if (parts.length) return parts.join(', ');
+  if (message.opcode === 2) return 'binary';
+  return parsed !== undefined ? 'JSON' : 'text';
+}
+
+// Summarises the connections of a recording, one entry per endpoint:
+// { kind, endpoint, connectionCount, sentCount, receivedCount, droppedCount, messageTypes: [...] }
+function summarizeConnections(requests) {
+  const summaries = new Map();
+  for (const request of requests.filter(isConnectionRecord)) {
+    const endpoint = getConnectionEndpoint(request);
+    if (!summaries.has(endpoint)) {
+      summaries.set(endpoint, {
+        kind: request.kind,
+        endpoint,
+        connectionCount: 0,
+        sentCount: 0,
+        receivedCount: 0,
+        droppedCount: 0,
+        groups: new Map()
+      });
+    }
+    const summary = summaries.get(endpoint);
+    summary.connectionCount++;
+    summary.droppedCount += request.droppedMessages || 0;
+
+    for (const message of request.messages || []) {
+      summary[message.direction === 'sent' ? 'sentCount' : 'receivedCount']++;
+      // Binary WebSocket frames (opcode 2) are base64 and never JSON
+      const parsed = message.opcode === 2 ? undefined : parseJsonBody(message.data);
+      const name = getMessageGroupName(message, parsed);
+      const groupKey = `${message.direction} ${name}`;
+      if (!summary.groups.has(groupKey)) {
+        summary.groups.set(groupKey, { direction: message.direction, name, count: 0, samples: [], example: message.data });
+      }
+      const group = summary.groups.get(groupKey);
+      group.count++;
+      if (parsed !== undefined && group.samples.length < MAX_SCHEMA_SAMPLES) {
+        group.samples.push(parsed);
+      }
+    }
+  }
+
+  return [...summaries.values()]
+    .sort((a, b) => a.endpoint.localeCompare(b.endpoint))
+    .map(({ groups, ...summary }) => ({
+      ...summary,
+      messageTypes: [...groups.values()]
+        // Sent messages first, then the most common ones
+        .sort((a, b) => b.direction.localeCompare(a.direction) || b.count - a.count)
+        .map(({ samples, ...group }) => ({
+          ...group,
+          schema: samples.length ? inferSchemaFromSamples(samples) : undefined
+        }))
+    }));
+}
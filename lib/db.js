@@ -0,0 +1,118 @@
+// IndexedDB persistence for recording sessions and their requests.
+// Every request is written as it changes, so nothing is lost when Chrome suspends the service worker.
+
+const DB_NAME = 'api-recorder';
+const DB_VERSION = 1;
+const SESSIONS_STORE = 'sessions';
+const REQUESTS_STORE = 'requests';
+
+let dbPromise = null;
+
+// Wraps an IDBRequest in a promise
+function promisifyRequest(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+// Resolves when a transaction has committed
+function promisifyTransaction(transaction) {
+  return new Promise((resolve, reject) => {
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error || new Error('Transaction aborted'));
+  });
+}
+
+function openDatabase() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains(SESSIONS_STORE)) {
+          db.createObjectStore(SESSIONS_STORE, { keyPath: 'id' });
+        }
+        if (!db.objectStoreNames.contains(REQUESTS_STORE)) {
+          // Requests are keyed by [sessionId, requestId] so a session's requests are one key range
+          db.createObjectStore(REQUESTS_STORE, { keyPath: ['sessionId', 'requestId'] });
+        }
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        dbPromise = null;
+        reject(request.error);
+      };
+    });
+  }
+  return dbPromise;
+}
+
+// Key range covering every request of one session
+function sessionKeyRange(sessionId) {
+  // Arrays sort after every string, so [sessionId, []] is past the last requestId
+  return IDBKeyRange.bound([sessionId], [sessionId, []]);
+}
+
+async function saveSession(session) {
+  const db = await openDatabase();
+  const transaction = db.transaction(SESSIONS_STORE, 'readwrite');
+  transaction.objectStore(SESSIONS_STORE).put(session);
+  await promisifyTransaction(transaction);
+}
+
+async function getSession(sessionId) {
+  const db = await openDatabase();
+  const transaction = db.transaction(SESSIONS_STORE, 'readonly');
+  return promisifyRequest(transaction.objectStore(SESSIONS_STORE).get(sessionId));
+}
+
+async function listSessions() {
+  const db = await openDatabase();
+  const transaction = db.transaction(SESSIONS_STORE, 'readonly');
+  const sessions = await promisifyRequest(transaction.objectStore(SESSIONS_STORE).getAll());
+  return sessions.sort((a, b) => b.startedAt - a.startedAt);
+}
+
+// Deletes a session together with all of its requests
+async function deleteSession(sessionId) {
+  const db = await openDatabase();
+  const transaction = db.transaction([SESSIONS_STORE, REQUESTS_STORE], 'readwrite');
+  transaction.objectStore(SESSIONS_STORE).delete(sessionId);
+  transaction.objectStore(REQUESTS_STORE).delete(sessionKeyRange(sessionId));
+  await promisifyTransaction(transaction);
+}
+
+async function saveRequestRecord(sessionId, requestId, record) {
+  const db = await openDatabase();
+  const transaction = db.transaction(REQUESTS_STORE, 'readwrite');
+  transaction.objectStore(REQUESTS_STORE).put({ sessionId, requestId, record });
+  await promisifyTransaction(transaction);
+}
+
+async function deleteRequestRecord(sessionId, requestId) {
+  const db = await openDatabase();
+  const transaction = db.transaction(REQUESTS_STORE, 'readwrite');
+  transaction.objectStore(REQUESTS_STORE).delete([sessionId, requestId]);
+  await promisifyTransaction(transaction);
+}
+
+// Writes many requests in one transaction (used for imports)
+async function saveRequestRecords(sessionId, records) {
+  const db = await openDatabase();
+  const transaction = db.transaction(REQUESTS_STORE, 'readwrite');
+  const store = transaction.objectStore(REQUESTS_STORE);
+  for (const [requestId, record] of records) {
+    store.put({ sessionId, requestId, record });
+  }
+  await promisifyTransaction(transaction);
+}
+
+// Loads the requests of a session as a Map of requestId -> record
+async function loadSessionRequests(sessionId) {
+  const db = await openDatabase();
+  const transaction = db.transaction(REQUESTS_STORE, 'readonly');
+  const rows = await promisifyRequest(transaction.objectStore(REQUESTS_STORE).getAll(sessionKeyRange(sessionId)));
+  return new Map(rows.map(row => [row.requestId, row.record]));
+}
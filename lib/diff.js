@@ -0,0 +1,321 @@
+// API contract diff between two recordings or two OpenAPI specs.
+// Both sides are turned into a contract (endpoints with their parameters, headers and body schemas),
+// then compared. Every change says whether it would break existing clients.
+// Depends on lib/http.js, lib/schema.js, lib/paths.js and lib/openapi.js.
+
+// Headers the browser adds by itself, they say nothing about the API
+const BROWSER_MANAGED_HEADERS = [
+  'accept', 'accept-encoding', 'accept-language', 'cache-control', 'connection', 'content-length',
+  'content-type', 'cookie', 'dnt', 'host', 'if-modified-since', 'if-none-match', 'origin', 'pragma',
+  'priority', 'referer', 'te', 'upgrade-insecure-requests', 'user-agent'
+];
+const MAX_REF_DEPTH = 20;
+
+function isBrowserManagedHeader(name) {
+  const lowerName = name.toLowerCase();
+  return lowerName.startsWith(':') || lowerName.startsWith('sec-') || BROWSER_MANAGED_HEADERS.includes(lowerName);
+}
+
+// "/users/{id}" and "/users/{userId}" are the same endpoint
+function getContractKey(method, path) {
+  return `${method.toUpperCase()} ${path.replace(/\{[^}]+\}/g, '{}')}`;
+}
+
+// Follows local "#/components/..." references, other specs can't be reached from here
+function resolveSpecRefs(spec, value, depth = 0) {
+  if (!value || typeof value !== 'object' || depth > MAX_REF_DEPTH) return value;
+  if (Array.isArray(value)) return value.map(item => resolveSpecRefs(spec, item, depth + 1));
+  if (typeof value.$ref === 'string' && value.$ref.startsWith('#/')) {
+    const target = value.$ref.slice(2).split('/')
+      .map(part => part.replace(/~1/g, '/').replace(/~0/g, '~'))
+      .reduce((node, part) => (node ? node[part] : undefined), spec);
+    return resolveSpecRefs(spec, target, depth + 1);
+  }
+  const resolved = {};
+  for (const [key, child] of Object.entries(value)) {
+    resolved[key] = resolveSpecRefs(spec, child, depth + 1);
+  }
+  return resolved;
+}
+
+// The schema of the JSON content of a request body or response, or null
+function getContentSchema(content) {
+  if (!content) return null;
+  const mediaType = Object.keys(content).find(type => type.includes('json')) || Object.keys(content)[0];
+  return mediaType && content[mediaType].schema ? content[mediaType].schema : null;
+}
+
+// Contract: { endpoints: { key: { method, path, parameters: { 'query name': { required, schema } }, requestSchema, responses: { status: schema } } } }
+function buildContractFromOpenApi(spec) {
+  if (!spec || typeof spec.paths !== 'object') {
+    throw new Error('This is not an OpenAPI spec (it has no "paths")');
+  }
+  const endpoints = {};
+  for (const [path, pathItem] of Object.entries(spec.paths)) {
+    const resolvedPathItem = resolveSpecRefs(spec, pathItem);
+    for (const method of ['get', 'put', 'post', 'delete', 'options', 'head', 'patch', 'trace']) {
+      const operation = resolvedPathItem[method];
+      if (!operation) continue;
+
+      const parameters = {};
+      for (const parameter of [...(resolvedPathItem.parameters || []), ...(operation.parameters || [])]) {
+        if (!parameter || parameter.in === 'path' || parameter.in === 'cookie') continue;
+        const name = parameter.in === 'header' ? parameter.name.toLowerCase() : parameter.name;
+        parameters[`${parameter.in} ${name}`] = { in: parameter.in, name, required: !!parameter.required, schema: parameter.schema || null };
+      }
+
+      const responses = {};
+      for (const [status, response] of Object.entries(operation.responses || {})) {
+        if (status === 'default' && response.description === 'No response was recorded') continue;
+        responses[status] = getContentSchema(response.content);
+      }
+
+      endpoints[getContractKey(method, path)] = {
+        method: method.toUpperCase(),
+        path,
+        parameters,
+        requestSchema: operation.requestBody ? getContentSchema(operation.requestBody.content) : null,
+        responses
+      };
+    }
+  }
+  return { endpoints };
+}
+
+// Recordings go through the OpenAPI builder, plus the headers every call of an endpoint sent
+function buildContractFromRequests(requests, pathTemplates = []) {
+  const contract = buildContractFromOpenApi(buildOpenApiSpec(requests, pathTemplates));
+  const normalizer = createRequestPathNormalizer(requests, pathTemplates);
+  const samples = new Map();
+  for (const request of requests) {
+    const key = getContractKey(request.method, normalizer.getTemplate(new URL(request.url).pathname));
+    if (!samples.has(key)) samples.set(key, []);
+    samples.get(key).push(request);
+  }
+
+  for (const [key, endpointSamples] of samples) {
+    const endpoint = contract.endpoints[key];
+    if (!endpoint) continue;
+    const headerSets = endpointSamples.map(request => new Set(
+      getHeaderEntries(request.requestHeaders).map(([name]) => name.toLowerCase()).filter(name => !isBrowserManagedHeader(name))
+    ));
+    for (const name of headerSets[0]) {
+      if (headerSets.every(headers => headers.has(name))) {
+        endpoint.parameters[`header ${name}`] = { in: 'header', name, required: true, schema: null };
+      }
+    }
+  }
+  return contract;
+}
+
+function getSchemaTypes(schema) {
+  if (!schema) return [];
+  if (Array.isArray(schema.type)) return schema.type;
+  if (schema.type) return [schema.type];
+  if (schema.properties) return ['object'];
+  if (schema.items) return ['array'];
+  return [];
+}
+
+// integer and number are told apart from the samples only, so they count as the same for breaking changes
+function isTypeSubset(types, ofTypes) {
+  const isNumeric = type => type === 'integer' || type === 'number';
+  return types.every(type => ofTypes.includes(type) || (isNumeric(type) && ofTypes.some(isNumeric)));
+}
+
+function formatTypes(types) {
+  return types.length ? types.join(' | ') : 'any';
+}
+
+// Compares two schemas at one spot of a body. direction is 'request' or 'response':
+// clients send requests, so the server accepting less breaks them; they read responses, so getting more or different breaks them.
+function diffSchemas(before, after, context, field, changes) {
+  const isResponse = context.direction === 'response';
+  const beforeTypes = getSchemaTypes(before);
+  const afterTypes = getSchemaTypes(after);
+
+  if (beforeTypes.length && afterTypes.length && formatTypes(beforeTypes) !== formatTypes(afterTypes)) {
+    const breaking = isResponse ? !isTypeSubset(afterTypes, beforeTypes) : !isTypeSubset(beforeTypes, afterTypes);
+    changes.push({
+      ...context,
+      kind: 'type-changed',
+      field,
+      before: formatTypes(beforeTypes),
+      after: formatTypes(afterTypes),
+      breaking,
+      message: `\`${field}\` changed type from ${formatTypes(beforeTypes)} to ${formatTypes(afterTypes)}`
+    });
+  }
+
+  if (before.format && after.format && before.format !== after.format) {
+    changes.push({ ...context, kind: 'format-changed', field, before: before.format, after: after.format, breaking: true, message: `\`${field}\` changed format from ${before.format} to ${after.format}` });
+  }
+
+  if (before.enum && after.enum) {
+    const added = after.enum.filter(value => !before.enum.includes(value));
+    const removed = before.enum.filter(value => !after.enum.includes(value));
+    if (added.length || removed.length) {
+      // A client can't handle response values it never saw, and can't send request values the server dropped
+      const breaking = isResponse ? added.length > 0 : removed.length > 0;
+      const parts = [...(added.length ? [`added ${added.map(value => JSON.stringify(value)).join(', ')}`] : []),
+        ...(removed.length ? [`removed ${removed.map(value => JSON.stringify(value)).join(', ')}`] : [])];
+      changes.push({ ...context, kind: 'enum-changed', field, before: before.enum, after: after.enum, breaking, message: `\`${field}\` values: ${parts.join(', ')}` });
+    }
+  }
+
+  if (before.properties && after.properties) {
+    const beforeRequired = before.required || [];
+    const afterRequired = after.required || [];
+    const names = [...new Set([...Object.keys(before.properties), ...Object.keys(after.properties)])];
+    for (const name of names) {
+      const childField = `${field}.${name}`;
+      const inBefore = name in before.properties;
+      const inAfter = name in after.properties;
+      if (inBefore && !inAfter) {
+        changes.push({ ...context, kind: 'field-removed', field: childField, breaking: isResponse, message: `\`${childField}\` was removed` });
+      } else if (!inBefore && inAfter) {
+        const required = afterRequired.includes(name);
+        changes.push({
+          ...context,
+          kind: 'field-added',
+          field: childField,
+          breaking: !isResponse && required,
+          message: `\`${childField}\` was added${required ? ' (required)' : ''}`
+        });
+      } else {
+        const wasRequired = beforeRequired.includes(name);
+        const isRequired = afterRequired.includes(name);
+        if (wasRequired && !isRequired) {
+          changes.push({ ...context, kind: 'field-optional', field: childField, breaking: isResponse, message: `\`${childField}\` is no longer always present` });
+        } else if (!wasRequired && isRequired) {
+          changes.push({ ...context, kind: 'field-required', field: childField, breaking: !isResponse, message: `\`${childField}\` is now required` });
+        }
+        diffSchemas(before.properties[name], after.properties[name], context, childField, changes);
+      }
+    }
+  }
+
+  if (before.items && after.items) {
+    diffSchemas(before.items, after.items, context, `${field}[]`, changes);
+  }
+}
+
+function diffEndpoints(before, after, changes) {
+  const endpoint = `${after.method} ${after.path}`;
+
+  for (const name of new Set([...Object.keys(before.parameters), ...Object.keys(after.parameters)])) {
+    const beforeParam = before.parameters[name];
+    const afterParam = after.parameters[name];
+    const param = afterParam || beforeParam;
+    const label = param.in === 'header' ? `Header \`${param.name}\`` : `Query parameter \`${param.name}\``;
+    const context = { endpoint, location: param.in === 'header' ? 'headers' : 'query', direction: 'request' };
+    if (!beforeParam && afterParam.required) {
+      changes.push({ ...context, kind: `${param.in}-required`, field: param.name, breaking: true, message: `${label} is now required` });
+    } else if (!beforeParam) {
+      changes.push({ ...context, kind: `${param.in}-added`, field: param.name, breaking: false, message: `${label} was added (optional)` });
+    } else if (!afterParam) {
+      changes.push({ ...context, kind: `${param.in}-removed`, field: param.name, breaking: false, message: `${label} is no longer ${beforeParam.required ? 'required' : 'used'}` });
+    } else if (!beforeParam.required && afterParam.required) {
+      changes.push({ ...context, kind: `${param.in}-required`, field: param.name, breaking: true, message: `${label} is now required` });
+    } else if (beforeParam.schema && afterParam.schema) {
+      diffSchemas(beforeParam.schema, afterParam.schema, context, param.name, changes);
+    }
+  }
+
+  const requestContext = { endpoint, location: 'request body', direction: 'request' };
+  if (!before.requestSchema && after.requestSchema) {
+    changes.push({ ...requestContext, kind: 'body-added', field: '$', breaking: false, message: 'A request body is sent now' });
+  } else if (before.requestSchema && !after.requestSchema) {
+    changes.push({ ...requestContext, kind: 'body-removed', field: '$', breaking: false, message: 'No request body is sent any more' });
+  } else if (before.requestSchema && after.requestSchema) {
+    diffSchemas(before.requestSchema, after.requestSchema, requestContext, '$', changes);
+  }
+
+  for (const status of new Set([...Object.keys(before.responses), ...Object.keys(after.responses)])) {
+    const context = { endpoint, location: `response ${status}`, direction: 'response' };
+    if (!(status in before.responses)) {
+      changes.push({ ...context, kind: 'status-added', field: '$', breaking: false, message: `New status code ${status}` });
+    } else if (!(status in after.responses)) {
+      changes.push({ ...context, kind: 'status-removed', field: '$', breaking: false, message: `Status code ${status} was not seen any more` });
+    } else if (before.responses[status] && after.responses[status]) {
+      diffSchemas(before.responses[status], after.responses[status], context, '$', changes);
+    }
+  }
+}
+
+// Compares two contracts: { summary, breaking: [changes], nonBreaking: [changes] }
+function diffContracts(before, after, labels = {}) {
+  const changes = [];
+  const keys = [...new Set([...Object.keys(before.endpoints), ...Object.keys(after.endpoints)])].sort();
+  let addedEndpoints = 0;
+  let removedEndpoints = 0;
+  for (const key of keys) {
+    const beforeEndpoint = before.endpoints[key];
+    const afterEndpoint = after.endpoints[key];
+    if (!beforeEndpoint) {
+      addedEndpoints++;
+      changes.push({ endpoint: `${afterEndpoint.method} ${afterEndpoint.path}`, location: 'endpoint', kind: 'endpoint-added', breaking: false, message: 'New endpoint' });
+    } else if (!afterEndpoint) {
+      removedEndpoints++;
+      changes.push({ endpoint: `${beforeEndpoint.method} ${beforeEndpoint.path}`, location: 'endpoint', kind: 'endpoint-removed', breaking: true, message: 'Endpoint was removed (or not called in the newer recording)' });
+    } else {
+      diffEndpoints(beforeEndpoint, afterEndpoint, changes);
+    }
+  }
+
+  const breaking = changes.filter(change => change.breaking);
+  return {
+    before: labels.before || 'before',
+    after: labels.after || 'after',
+    generatedAt: new Date().toISOString(),
+    summary: {
+      endpointsBefore: Object.keys(before.endpoints).length,
+      endpointsAfter: Object.keys(after.endpoints).length,
+      addedEndpoints,
+      removedEndpoints,
+      breakingChanges: breaking.length,
+      nonBreakingChanges: changes.length - breaking.length
+    },
+    breaking,
+    nonBreaking: changes.filter(change => !change.breaking)
+  };
+}
+
+// Changes as Markdown lists, grouped by endpoint
+function formatChangesMarkdown(changes) {
+  let markdown = '';
+  const byEndpoint = new Map();
+  for (const change of changes) {
+    if (!byEndpoint.has(change.endpoint)) byEndpoint.set(change.endpoint, []);
+    byEndpoint.get(change.endpoint).push(change);
+  }
+  for (const [endpoint, endpointChanges] of byEndpoint) {
+    markdown += `### ${endpoint}\n\n`;
+    for (const change of endpointChanges) {
+      markdown += change.location === 'endpoint' ? `- ${change.message}\n` : `- ${change.location}: ${change.message}\n`;
+    }
+    markdown += '\n';
+  }
+  return markdown;
+}
+
+function formatDiffMarkdown(report) {
+  const { summary } = report;
+  let markdown = '# API Changes\n\n';
+  markdown += `**Before:** ${report.before}\n\n`;
+  markdown += `**After:** ${report.after}\n\n`;
+  markdown += `Generated on: ${new Date(report.generatedAt).toLocaleString()}\n\n`;
+  markdown += `| | |\n|---|---|\n`;
+  markdown += `| Endpoints | ${summary.endpointsBefore} → ${summary.endpointsAfter} |\n`;
+  markdown += `| Added endpoints | ${summary.addedEndpoints} |\n`;
+  markdown += `| Removed endpoints | ${summary.removedEndpoints} |\n`;
+  markdown += `| Breaking changes | ${summary.breakingChanges} |\n`;
+  markdown += `| Other changes | ${summary.nonBreakingChanges} |\n\n`;
+  markdown += '*Recordings only show what was called, so a "removed" endpoint or field may just not have been used in the newer one.*\n\n';
+
+  markdown += '## Breaking Changes\n\n';
+  markdown += report.breaking.length ? formatChangesMarkdown(report.breaking) : 'None found.\n\n';
+  markdown += '## Other Changes\n\n';
+  markdown += report.nonBreaking.length ? formatChangesMarkdown(report.nonBreaking) : 'None found.\n\n';
+  return markdown;
+}
@@ -0,0 +1,137 @@
+// User-editable capture filters: hosts, URL patterns, methods, resource types, content types and the body size limit.
+// Request-level rules run when a request starts, content-type rules when its response arrives.
+// Depends on lib/http.js.
+
+// Resource types as reported by Network.requestWillBeSent
+const RESOURCE_TYPES = [
+  'XHR', 'Fetch', 'EventSource', 'WebSocket', 'Document', 'Script', 'Stylesheet', 'Image',
+  'Media', 'Font', 'TextTrack', 'Prefetch', 'Manifest', 'SignedExchange', 'Ping',
+  'CSPViolationReport', 'Preflight', 'Other'
+];
+
+const DEFAULT_CAPTURE_FILTERS = {
+  // Empty list means every host is allowed
+  allowHosts: [],
+  // Common analytics and tracking hosts
+  denyHosts: [
+    '*.google-analytics.com',
+    '*.googletagmanager.com',
+    '*.doubleclick.net',
+    '*.facebook.net',
+    '*.hotjar.com',
+    '*.segment.io',
+    '*.sentry.io',
+    '*.mixpanel.com',
+    '*.clarity.ms'
+  ],
+  // Glob (* and ?) or /regex/ patterns matched against the full URL, empty means all
+  includeUrls: [],
+  excludeUrls: [],
+  // Empty list means every method
+  methods: [],
+  // Requests of these types count as API calls unless their content type is excluded
+  resourceTypes: ['XHR', 'Fetch', 'EventSource', 'WebSocket'],
+  // Responses (or requests, by Content-Type/Accept) with these content types count as API calls
+  includeContentTypes: [
+    'application/json',
+    '*+json',
+    'application/xml',
+    'text/xml',
+    '*+xml',
+    'application/graphql*',
+    'application/x-www-form-urlencoded',
+    'multipart/form-data',
+    'text/event-stream'
+  ],
+  // Responses with these content types are never API calls
+  excludeContentTypes: [
+    'text/html',
+    'text/css',
+    'text/javascript',
+    'application/javascript',
+    'image/*',
+    'font/*',
+    'audio/*',
+    'video/*'
+  ],
+  // When false, requests that fail the content-type rules are dropped as soon as their response arrives
+  captureAll: false,
+  // Bodies bigger than this many bytes are cut off and marked as truncated, 0 means no limit
+  maxBodySize: 2 * 1024 * 1024
+};
+
+// Fills in defaults for settings saved by an older version
+function normalizeCaptureFilters(filters) {
+  return { ...DEFAULT_CAPTURE_FILTERS, ...(filters || {}) };
+}
+
+const compiledPatterns = new Map();
+
+// Compiles a glob (* and ?) or a /regex/flags pattern
+function compilePattern(pattern) {
+  if (compiledPatterns.has(pattern)) {
+    return compiledPatterns.get(pattern);
+  }
+  const regex = buildPatternRegExp(pattern);
+  compiledPatterns.set(pattern, regex);
+  return regex;
+}
+
+function buildPatternRegExp(pattern) {
+  const regexMatch = pattern.match(/^\/(.+)\/([a-z]*)$/);
+  if (regexMatch) {
+    return new RegExp(regexMatch[1], regexMatch[2]);
+  }
+  const escaped = pattern.replace(/[.+^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*').replace(/\?/g, '.');
+  return new RegExp(`^${escaped}$`, 'i');
+}
+
+function matchesAnyPattern(value, patterns) {
+  return patterns.some(pattern => {
+    try {
+      return compilePattern(pattern).test(value);
+    } catch (error) {
+      return false; // Ignore broken user regexes
+    }
+  });
+}
+
+// "*.example.com" covers example.com itself too
+function matchesAnyHostPattern(hostname, patterns) {
+  return matchesAnyPattern(hostname, patterns.flatMap(pattern => (pattern.startsWith('*.') ? [pattern, pattern.slice(2)] : [pattern])));
+}
+
+// Request-level rules: host, URL and method checks that only need the request
+function matchesRequestFilters(request, filters) {
+  let url;
+  try {
+    url = new URL(request.url);
+  } catch (error) {
+    return false;
+  }
+
+  if (filters.allowHosts.length && !matchesAnyHostPattern(url.hostname, filters.allowHosts)) return false;
+  if (matchesAnyHostPattern(url.hostname, filters.denyHosts)) return false;
+  if (filters.includeUrls.length && !matchesAnyPattern(request.url, filters.includeUrls)) return false;
+  if (matchesAnyPattern(request.url, filters.excludeUrls)) return false;
+  if (filters.methods.length && !filters.methods.includes(request.method.toUpperCase())) return false;
+  return true;
+}
+
+// Decides whether a recorded request looks like an API call rather than a page asset
+function isApiRequest(request, filters = DEFAULT_CAPTURE_FILTERS) {
+  const responseType = getMediaType(getHeaderValue(request.responseHeaders, 'content-type') || request.mimeType);
+
+  // Excluded response types always lose
+  if (responseType && matchesAnyPattern(responseType, filters.excludeContentTypes)) return false;
+  if (responseType && matchesAnyPattern(responseType, filters.includeContentTypes)) return true;
+
+  // Form posts, JSON-accepting GraphQL GETs and the like are recognised by what they send or accept
+  const requestTypes = [
+    getMediaType(getHeaderValue(request.requestHeaders, 'content-type')),
+    ...getHeaderValue(request.requestHeaders, 'accept').split(',').map(getMediaType)
+  ].filter(type => type && type !== '*/*');
+  if (requestTypes.some(type => matchesAnyPattern(type, filters.includeContentTypes))) return true;
+
+  return !!request.resourceType && filters.resourceTypes.includes(request.resourceType);
+}
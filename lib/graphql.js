@@ -0,0 +1,563 @@
+// GraphQL support: finds the operations in recorded requests (single, batched, GET and persisted queries),
+// groups them by operation and builds an SDL schema from the selections that were seen.
+// Depends on lib/http.js and lib/schema.js.
+
+const GRAPHQL_BUILT_IN_SCALARS = ['String', 'Int', 'Float', 'Boolean', 'ID'];
+const GRAPHQL_ROOT_TYPES = { query: 'Query', mutation: 'Mutation', subscription: 'Subscription' };
+
+// Splits a GraphQL document into tokens: { kind: 'punct' | 'name' | 'number' | 'string', value }
+function tokenizeGraphql(source) {
+  const tokens = [];
+  const pattern = /\s+|,|#[^\n\r]*|(\.\.\.|[!$&():=@[\]{|}])|([_A-Za-z][_0-9A-Za-z]*)|(-?\d+(?:\.\d+)?(?:[eE][+-]?\d+)?)|("""[\s\S]*?"""|"(?:[^"\\\n]|\\.)*")/gy;
+  let match;
+  while (pattern.lastIndex < source.length) {
+    const start = pattern.lastIndex;
+    match = pattern.exec(source);
+    if (!match) {
+      throw new Error(`Unexpected character "${source[start]}" at ${start}`);
+    }
+    if (match[1]) tokens.push({ kind: 'punct', value: match[1] });
+    else if (match[2]) tokens.push({ kind: 'name', value: match[2] });
+    else if (match[3]) tokens.push({ kind: 'number', value: match[3] });
+    else if (match[4]) tokens.push({ kind: 'string', value: match[4] });
+  }
+  return tokens;
+}
+
+// Parses the executable parts of a GraphQL document (operations and fragments).
+// Returns { operations: [...], fragments: { name: fragment } }.
+function parseGraphqlDocument(source) {
+  const tokens = tokenizeGraphql(source);
+  let position = 0;
+
+  const peek = () => tokens[position] || { kind: 'eof', value: '' };
+  const isPunct = value => peek().kind === 'punct' && peek().value === value;
+  const next = () => tokens[position++];
+  const expect = (value) => {
+    const token = next();
+    if (!token || token.value !== value) {
+      throw new Error(`Expected "${value}" but found "${token ? token.value : 'end of document'}"`);
+    }
+    return token;
+  };
+  const expectName = () => {
+    const token = next();
+    if (!token || token.kind !== 'name') {
+      throw new Error(`Expected a name but found "${token ? token.value : 'end of document'}"`);
+    }
+    return token.value;
+  };
+
+  function parseValue() {
+    const token = next();
+    if (!token) throw new Error('Unexpected end of document');
+    if (token.kind === 'punct' && token.value === '$') return { kind: 'variable', name: expectName() };
+    if (token.kind === 'number') return { kind: token.value.match(/[.eE]/) ? 'float' : 'int', value: Number(token.value) };
+    if (token.kind === 'string') return { kind: 'string', value: token.value };
+    if (token.kind === 'name') {
+      if (token.value === 'true' || token.value === 'false') return { kind: 'boolean', value: token.value === 'true' };
+      if (token.value === 'null') return { kind: 'null' };
+      return { kind: 'enum', value: token.value };
+    }
+    if (token.value === '[') {
+      const values = [];
+      while (!isPunct(']')) values.push(parseValue());
+      expect(']');
+      return { kind: 'list', values };
+    }
+    if (token.value === '{') {
+      const fields = [];
+      while (!isPunct('}')) {
+        const name = expectName();
+        expect(':');
+        fields.push({ name, value: parseValue() });
+      }
+      expect('}');
+      return { kind: 'object', fields };
+    }
+    throw new Error(`Unexpected "${token.value}"`);
+  }
+
+  function parseArguments() {
+    const args = [];
+    if (!isPunct('(')) return args;
+    expect('(');
+    while (!isPunct(')')) {
+      const name = expectName();
+      expect(':');
+      args.push({ name, value: parseValue() });
+    }
+    expect(')');
+    return args;
+  }
+
+  // Directives like @include(if: $flag) don't matter for the schema
+  function skipDirectives() {
+    while (isPunct('@')) {
+      next();
+      expectName();
+      parseArguments();
+    }
+  }
+
+  // Type references like [ID!]! are kept as written
+  function parseTypeReference() {
+    if (isPunct('[')) {
+      next();
+      const inner = parseTypeReference();
+      expect(']');
+      const nonNull = isPunct('!') ? next().value : '';
+      return `[${inner}]${nonNull}`;
+    }
+    const name = expectName();
+    return isPunct('!') ? `${name}${next().value}` : name;
+  }
+
+  function parseSelectionSet() {
+    const selections = [];
+    expect('{');
+    while (!isPunct('}')) {
+      if (isPunct('...')) {
+        next();
+        if (peek().kind === 'name' && peek().value !== 'on') {
+          selections.push({ kind: 'fragmentSpread', name: expectName() });
+          skipDirectives();
+        } else {
+          let typeCondition = null;
+          if (peek().value === 'on') {
+            next();
+            typeCondition = expectName();
+          }
+          skipDirectives();
+          selections.push({ kind: 'inlineFragment', typeCondition, selectionSet: parseSelectionSet() });
+        }
+        continue;
+      }
+      let name = expectName();
+      let alias = null;
+      if (isPunct(':')) {
+        next();
+        alias = name;
+        name = expectName();
+      }
+      const args = parseArguments();
+      skipDirectives();
+      const selectionSet = isPunct('{') ? parseSelectionSet() : null;
+      selections.push({ kind: 'field', alias, name, arguments: args, selectionSet });
+    }
+    expect('}');
+    return selections;
+  }
+
+  const operations = [];
+  const fragments = {};
+  while (position < tokens.length) {
+    if (isPunct('{')) {
+      // Shorthand query
+      operations.push({ operation: 'query', name: null, variableDefinitions: [], selectionSet: parseSelectionSet() });
+      continue;
+    }
+    const keyword = expectName();
+    if (keyword === 'fragment') {
+      const name = expectName();
+      expect('on');
+      const typeCondition = expectName();
+      skipDirectives();
+      fragments[name] = { name, typeCondition, selectionSet: parseSelectionSet() };
+    } else if (GRAPHQL_ROOT_TYPES[keyword]) {
+      const name = peek().kind === 'name' ? expectName() : null;
+      const variableDefinitions = [];
+      if (isPunct('(')) {
+        next();
+        while (!isPunct(')')) {
+          expect('$');
+          const variableName = expectName();
+          expect(':');
+          const type = parseTypeReference();
+          if (isPunct('=')) {
+            next();
+            parseValue();
+          }
+          skipDirectives();
+          variableDefinitions.push({ name: variableName, type });
+        }
+        expect(')');
+      }
+      skipDirectives();
+      operations.push({ operation: keyword, name, variableDefinitions, selectionSet: parseSelectionSet() });
+    } else {
+      throw new Error(`Unexpected "${keyword}"`);
+    }
+  }
+  return { operations, fragments };
+}
+
+// Parses a JSON value sent as a URL parameter (GET requests put variables and extensions there)
+function parseJsonParam(value) {
+  if (value === null) return null;
+  const parsed = parseJsonBody(value);
+  return parsed !== undefined ? parsed : null;
+}
+
+function isGraphqlPayload(value) {
+  return !!value && typeof value === 'object' && !Array.isArray(value) &&
+    (typeof value.query === 'string' || !!(value.extensions && value.extensions.persistedQuery));
+}
+
+// Returns the GraphQL payloads ({ query, operationName, variables, extensions }) sent by a request,
+// or null when it isn't a GraphQL request. Batched requests send an array of payloads.
+function getGraphqlPayloads(request) {
+  if (request.method === 'GET') {
+    let params;
+    try {
+      params = new URL(request.url).searchParams;
+    } catch (error) {
+      return null;
+    }
+    const payload = {
+      query: params.get('query'),
+      operationName: params.get('operationName'),
+      variables: parseJsonParam(params.get('variables')),
+      extensions: parseJsonParam(params.get('extensions'))
+    };
+    return isGraphqlPayload(payload) ? { payloads: [payload], batched: false } : null;
+  }
+
+  const mediaType = getMediaType(getHeaderValue(request.requestHeaders, 'content-type'));
+  if (mediaType === 'application/graphql' && request.requestBody) {
+    return { payloads: [{ query: request.requestBody }], batched: false };
+  }
+
+  const body = parseJsonBody(request.requestBody);
+  if (Array.isArray(body) && body.length && body.every(isGraphqlPayload)) {
+    return { payloads: body, batched: true };
+  }
+  return isGraphqlPayload(body) ? { payloads: [body], batched: false } : null;
+}
+
+function isGraphqlRequest(request) {
+  return getGraphqlPayloads(request) !== null;
+}
+
+// Picks the operation a payload runs: the one named by operationName, or the only one
+function selectGraphqlOperation(document, operationName) {
+  if (operationName) {
+    return document.operations.find(operation => operation.name === operationName) || null;
+  }
+  return document.operations.length === 1 ? document.operations[0] : null;
+}
+
+// Every GraphQL operation executed by a request, with the matching part of the response
+function getGraphqlOperations(request) {
+  const found = getGraphqlPayloads(request);
+  if (!found) return [];
+
+  const response = parseJsonBody(request.responseBody);
+  return found.payloads.map((payload, index) => {
+    let document = null;
+    let parseError = null;
+    if (payload.query) {
+      try {
+        document = parseGraphqlDocument(payload.query);
+      } catch (error) {
+        parseError = error.message;
+      }
+    }
+    const operation = document ? selectGraphqlOperation(document, payload.operationName) : null;
+    const persistedQuery = payload.extensions && payload.extensions.persistedQuery;
+    // Variables are usually an object, some clients send them as a JSON string
+    const variables = typeof payload.variables === 'string' ? parseJsonParam(payload.variables) : payload.variables;
+
+    return {
+      operationName: payload.operationName || (operation && operation.name) || null,
+      operationType: operation ? operation.operation : null,
+      query: payload.query || null,
+      document,
+      operation,
+      parseError,
+      persistedHash: persistedQuery ? persistedQuery.sha256Hash || null : null,
+      variables: variables || null,
+      response: found.batched ? (Array.isArray(response) ? response[index] : undefined) : response,
+      batched: found.batched,
+      request
+    };
+  });
+}
+
+// Groups the GraphQL operations of a recording by type and name:
+// [{ operationType, operationName, endpoints, calls, query, persistedHash, variableSamples, dataSamples, errors }]
+function groupGraphqlOperations(requests) {
+  const operations = requests.flatMap(getGraphqlOperations);
+
+  // Persisted queries only send a hash, unless the server asked for the full query once
+  const queriesByHash = new Map();
+  for (const operation of operations) {
+    if (operation.persistedHash && operation.query) {
+      queriesByHash.set(operation.persistedHash, operation.query);
+    }
+  }
+
+  const groups = new Map();
+  for (const operation of operations) {
+    const query = operation.query || queriesByHash.get(operation.persistedHash) || null;
+    let operationType = operation.operationType;
+    let operationName = operation.operationName;
+    if (!operation.query && query) {
+      try {
+        const parsed = selectGraphqlOperation(parseGraphqlDocument(query), operationName);
+        if (parsed) {
+          operationType = parsed.operation;
+          operationName = operationName || parsed.name;
+        }
+      } catch (error) {
+        // Keep what the request itself told us
+      }
+    }
+
+    const label = operationName || (operation.persistedHash ? `persisted ${operation.persistedHash.slice(0, 12)}` : 'anonymous');
+    const key = `${operationType || 'operation'} ${label}`;
+    if (!groups.has(key)) {
+      groups.set(key, {
+        operationType,
+        operationName: label,
+        endpoints: new Set(),
+        calls: 0,
+        batchedCalls: 0,
+        query,
+        persistedHash: operation.persistedHash,
+        parseError: operation.parseError,
+        variableSamples: [],
+        dataSamples: [],
+        errors: new Set()
+      });
+    }
+    const group = groups.get(key);
+    const url = new URL(operation.request.url);
+    group.endpoints.add(`${url.origin}${url.pathname}`);
+    group.calls++;
+    if (operation.batched) group.batchedCalls++;
+    group.query = group.query || query;
+    if (operation.variables && typeof operation.variables === 'object') {
+      group.variableSamples.push(operation.variables);
+    }
+    const response = operation.response;
+    if (response && typeof response === 'object') {
+      if (response.data !== undefined && response.data !== null) {
+        group.dataSamples.push(response.data);
+      }
+      for (const error of Array.isArray(response.errors) ? response.errors : []) {
+        group.errors.add(error && error.message ? error.message : JSON.stringify(error));
+      }
+    }
+  }
+
+  return [...groups.values()]
+    .sort((a, b) => (a.operationType || '').localeCompare(b.operationType || '') || a.operationName.localeCompare(b.operationName))
+    .map(group => ({
+      ...group,
+      endpoints: [...group.endpoints].sort(),
+      errors: [...group.errors],
+      variablesSchema: group.variableSamples.length ? inferSchemaFromSamples(group.variableSamples) : undefined,
+      dataSchema: group.dataSamples.length ? inferSchemaFromSamples(group.dataSamples) : undefined
+    }));
+}
+
+// PascalCase singular type name for a field without __typename, e.g. "recentOrders" -> "RecentOrder"
+function graphqlTypeNameForField(fieldName) {
+  const singular = fieldName.replace(/ies$/, 'y').replace(/(ss)$/, '$1').replace(/([^s])s$/, '$1');
+  return singular.charAt(0).toUpperCase() + singular.slice(1);
+}
+
+// Builds an SDL schema from the selections of every recorded operation and the data that came back.
+// Types are named after __typename when the response has it, otherwise after the field.
+function buildGraphqlSdl(requests) {
+  const types = new Map(); // name -> { kind: 'type' | 'input', fields: Map(name -> { type, list, nullOnly, args: Map }) }
+  const customScalars = new Set();
+
+  function getType(name, kind = 'type') {
+    if (!types.has(name)) {
+      types.set(name, { kind, fields: new Map() });
+    }
+    return types.get(name);
+  }
+
+  // Merges a newly seen type into a field, Int and Float become Float
+  function mergeFieldType(field, typeName, listDepth) {
+    if (!typeName) return;
+    if (!field.type || field.nullOnly) {
+      field.type = typeName;
+      field.nullOnly = false;
+    } else if (field.type !== typeName) {
+      const isNumeric = [field.type, typeName].every(name => name === 'Int' || name === 'Float');
+      // Other disagreements are widened to String when one side is a String
+      field.type = isNumeric ? 'Float' : (typeName === 'String' || field.type === 'String' ? 'String' : field.type);
+    }
+    field.listDepth = Math.max(field.listDepth || 0, listDepth);
+  }
+
+  function getField(type, name) {
+    if (!type.fields.has(name)) {
+      type.fields.set(name, { type: null, nullOnly: true, listDepth: 0, args: new Map() });
+    }
+    return type.fields.get(name);
+  }
+
+  function scalarTypeOf(value, fieldName) {
+    if (typeof value === 'string') return fieldName === 'id' ? 'ID' : 'String';
+    if (typeof value === 'boolean') return 'Boolean';
+    if (typeof value === 'number') return Number.isInteger(value) && Math.abs(value) < 2 ** 31 ? 'Int' : 'Float';
+    customScalars.add('JSON'); // Objects without a selection set are custom scalars
+    return 'JSON';
+  }
+
+  // Unwraps lists, returning the non-null leaf values and how deep the lists went
+  function flattenListValue(value) {
+    let depth = 0;
+    let values = [value];
+    while (values.some(Array.isArray)) {
+      depth++;
+      values = values.flatMap(item => (Array.isArray(item) ? item : [item]));
+    }
+    return { depth, values: values.filter(item => item !== null && item !== undefined) };
+  }
+
+  function typeOfLiteral(value, variableTypes) {
+    switch (value.kind) {
+      case 'variable': return variableTypes[value.name] || null;
+      case 'int': return 'Int';
+      case 'float': return 'Float';
+      case 'boolean': return 'Boolean';
+      case 'string': return 'String';
+      case 'enum': return 'String'; // Enum names aren't visible in a query
+      case 'list': {
+        const inner = value.values.map(item => typeOfLiteral(item, variableTypes)).find(Boolean);
+        return `[${inner || 'String'}]`;
+      }
+      case 'object':
+        customScalars.add('JSON');
+        return 'JSON';
+      default: return null;
+    }
+  }
+
+  function walkSelections(selectionSet, value, typeName, fragments, variableTypes) {
+    if (Array.isArray(value)) {
+      value.forEach(item => walkSelections(selectionSet, item, typeName, fragments, variableTypes));
+      return;
+    }
+    if (!value || typeof value !== 'object') return;
+
+    const type = getType(typeName);
+    for (const selection of selectionSet) {
+      if (selection.kind === 'fragmentSpread' || selection.kind === 'inlineFragment') {
+        const fragment = selection.kind === 'fragmentSpread' ? fragments[selection.name] : selection;
+        if (!fragment) continue;
+        const condition = fragment.typeCondition;
+        // With __typename we know whether the fragment applied to this object
+        if (condition && value.__typename && value.__typename !== condition) continue;
+        walkSelections(fragment.selectionSet, value, condition || typeName, fragments, variableTypes);
+        continue;
+      }
+
+      if (selection.name === '__typename') continue;
+      const key = selection.alias || selection.name;
+      if (!(key in value)) continue; // Skipped by @include/@skip
+
+      const field = getField(type, selection.name);
+      for (const arg of selection.arguments) {
+        const argType = typeOfLiteral(arg.value, variableTypes);
+        if (argType && !field.args.has(arg.name)) {
+          field.args.set(arg.name, argType);
+        }
+      }
+
+      const { depth, values } = flattenListValue(value[key]);
+      if (selection.selectionSet) {
+        const withTypename = values.find(item => item && item.__typename);
+        const childType = withTypename ? withTypename.__typename : (field.type && !field.nullOnly ? field.type : graphqlTypeNameForField(selection.name));
+        mergeFieldType(field, childType, depth);
+        getType(childType);
+        values.forEach(item => walkSelections(selection.selectionSet, item, item.__typename || childType, fragments, variableTypes));
+      } else if (values.length) {
+        values.forEach(item => mergeFieldType(field, scalarTypeOf(item, selection.name), depth));
+      }
+    }
+  }
+
+  // Custom input types are built from the variable values that were sent
+  function walkInputValue(typeName, value) {
+    if (Array.isArray(value)) {
+      value.forEach(item => walkInputValue(typeName, item));
+      return;
+    }
+    if (!value || typeof value !== 'object') return;
+    const type = getType(typeName, 'input');
+    for (const [name, fieldValue] of Object.entries(value)) {
+      const field = getField(type, name);
+      const { depth, values } = flattenListValue(fieldValue);
+      for (const item of values) {
+        if (typeof item === 'object') {
+          const childType = `${name.charAt(0).toUpperCase()}${name.slice(1)}Input`;
+          mergeFieldType(field, childType, depth);
+          walkInputValue(childType, item);
+        } else {
+          mergeFieldType(field, scalarTypeOf(item, name), depth);
+        }
+      }
+    }
+  }
+
+  for (const operation of requests.flatMap(getGraphqlOperations)) {
+    if (!operation.operation || !operation.response || typeof operation.response !== 'object') continue;
+    const variableTypes = {};
+    for (const definition of operation.operation.variableDefinitions) {
+      variableTypes[definition.name] = definition.type;
+      const baseType = definition.type.replace(/[[\]!]/g, '');
+      if (!GRAPHQL_BUILT_IN_SCALARS.includes(baseType) && operation.variables) {
+        walkInputValue(baseType, operation.variables[definition.name]);
+      }
+    }
+    const data = operation.response.data;
+    if (data && typeof data === 'object') {
+      walkSelections(operation.operation.selectionSet, data, GRAPHQL_ROOT_TYPES[operation.operation.operation], operation.document.fragments, variableTypes);
+    }
+  }
+
+  return formatGraphqlSdl(types, customScalars);
+}
+
+function formatGraphqlSdl(types, customScalars) {
+  const rootNames = Object.values(GRAPHQL_ROOT_TYPES);
+  const names = [...types.keys()].sort((a, b) => {
+    const rank = name => (rootNames.includes(name) ? rootNames.indexOf(name) : types.get(name).kind === 'input' ? 10 : 5);
+    return rank(a) - rank(b) || a.localeCompare(b);
+  });
+
+  // Every type a field or argument uses has to be declared. Variables of enum or custom scalar types
+  // (OrderStatus, DateTime) only show their values, and enum values can't be told apart from strings,
+  // so those become scalars like input types that never had an object value.
+  const scalars = new Set(customScalars);
+  for (const type of types.values()) {
+    for (const field of type.fields.values()) {
+      const used = [field.type, ...field.args.values()].filter(Boolean).map(typeRef => typeRef.replace(/[[\]!]/g, ''));
+      for (const name of used) {
+        if (!GRAPHQL_BUILT_IN_SCALARS.includes(name) && !(types.has(name) && types.get(name).fields.size)) scalars.add(name);
+      }
+    }
+  }
+
+  const blocks = [...scalars].sort().map(name => `scalar ${name}`);
+  for (const name of names) {
+    const type = types.get(name);
+    if (!type.fields.size) continue;
+    const lines = [...type.fields.entries()].map(([fieldName, field]) => {
+      let typeRef = field.type || 'String';
+      for (let i = 0; i < field.listDepth; i++) typeRef = `[${typeRef}]`;
+      const args = [...field.args.entries()].map(([argName, argType]) => `${argName}: ${argType}`).join(', ');
+      const note = field.nullOnly ? ' # only seen as null' : '';
+      return `  ${fieldName}${args ? `(${args})` : ''}: ${typeRef}${note}`;
+    });
+    blocks.push(`${type.kind} ${name} {\n${lines.join('\n')}\n}`);
+  }
+  return blocks.join('\n\n') + '\n';
+}
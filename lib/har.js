@@ -0,0 +1,254 @@
+// HAR 1.2 export and import of recorded requests.
+// Depends on lib/http.js, lib/body.js, lib/filters.js, lib/initiator.js and lib/auth.js.
+
+// Converts stored headers into HAR's [{ name, value }] list.
+// CDP joins repeated headers (like Set-Cookie) with newlines, HAR wants one entry per value.
+function toHarHeaders(headers) {
+  const harHeaders = [];
+  for (const [name, value] of getHeaderEntries(headers)) {
+    String(value).split('\n').forEach(part => harHeaders.push({ name, value: part }));
+  }
+  return harHeaders;
+}
+
+// Converts HAR's header list back into the object format CDP gives us
+function fromHarHeaders(harHeaders) {
+  const headers = {};
+  for (const { name, value } of harHeaders || []) {
+    if (name.startsWith(':')) continue; // HTTP/2 pseudo headers
+    headers[name] = name in headers ? `${headers[name]}\n${value}` : value;
+  }
+  return headers;
+}
+
+// Builds HAR timings (in ms) from a CDP ResourceTiming object
+function buildHarTimings(request) {
+  // Imported entries keep the timings they came with
+  if (request.harTimings) return request.harTimings;
+
+  const timing = request.timing;
+  const total = request.startTime && request.endTime ? (request.endTime - request.startTime) * 1000 : -1;
+
+  if (!timing) {
+    return { send: 0, wait: Math.max(total, 0), receive: 0 };
+  }
+
+  const span = (start, end) => (start >= 0 && end >= 0 ? end - start : -1);
+  const firstStart = [timing.dnsStart, timing.connectStart, timing.sendStart].find(value => value >= 0);
+  const receiveEnd = request.endTime ? (request.endTime - timing.requestTime) * 1000 : timing.receiveHeadersEnd;
+
+  return {
+    blocked: firstStart !== undefined ? firstStart : -1,
+    dns: span(timing.dnsStart, timing.dnsEnd),
+    connect: span(timing.connectStart, timing.connectEnd),
+    ssl: span(timing.sslStart, timing.sslEnd),
+    send: Math.max(span(timing.sendStart, timing.sendEnd), 0),
+    wait: Math.max(span(timing.sendEnd, timing.receiveHeadersEnd), 0),
+    receive: Math.max(receiveEnd - timing.receiveHeadersEnd, 0)
+  };
+}
+
+function buildHarEntry(request) {
+  const url = new URL(request.url);
+  const timings = buildHarTimings(request);
+  // ssl is already part of connect, so it is left out of the total
+  const time = ['blocked', 'dns', 'connect', 'send', 'wait', 'receive']
+    .map(phase => timings[phase])
+    .filter(value => value > 0)
+    .reduce((sum, value) => sum + value, 0);
+  const responseMimeType = request.mimeType || getHeaderValue(request.responseHeaders, 'content-type') || '';
+
+  const bodySize = request.responseBodySize !== undefined
+    ? request.responseBodySize
+    : (request.responseBody ? request.responseBody.length : 0);
+  const content = { size: bodySize, mimeType: responseMimeType };
+  // HAR counts headers and body separately, encodedDataLength is both together
+  const headersSize = request.responseHeadersSize !== undefined ? request.responseHeadersSize : -1;
+  const transferSize = request.encodedDataLength !== undefined ? request.encodedDataLength : -1;
+  if (request.responseBodyBase64) {
+    content.text = request.responseBodyBase64;
+    content.encoding = 'base64';
+  } else if (request.responseBody !== undefined) {
+    content.text = request.responseBody;
+  }
+  if (request.responseBodyTruncated) {
+    content.comment = getTruncationMarker(bodySize);
+  }
+
+  const entry = {
+    startedDateTime: new Date(request.timestamp).toISOString(),
+    time,
+    request: {
+      method: request.method,
+      url: request.url,
+      httpVersion: request.httpVersion || 'HTTP/1.1',
+      cookies: [],
+      headers: toHarHeaders(request.requestHeaders),
+      queryString: [...url.searchParams].map(([name, value]) => ({ name, value })),
+      headersSize: -1,
+      bodySize: request.requestBodySize || (request.requestBody ? request.requestBody.length : 0)
+    },
+    response: {
+      status: request.status || 0,
+      statusText: request.statusText || '',
+      httpVersion: request.httpVersion || 'HTTP/1.1',
+      cookies: [],
+      headers: toHarHeaders(request.responseHeaders),
+      content,
+      redirectURL: request.redirectURL || getHeaderValue(request.responseHeaders, 'location') || '',
+      headersSize,
+      bodySize: transferSize >= 0 && headersSize >= 0 ? Math.max(transferSize - headersSize, 0) : -1,
+      _transferSize: transferSize
+    },
+    cache: {},
+    timings
+  };
+  if (request.remoteIPAddress) entry.serverIPAddress = request.remoteIPAddress;
+  if (request.connectionId !== undefined) entry.connection = String(request.connectionId);
+
+  if (request.requestBody) {
+    entry.request.postData = {
+      mimeType: getHeaderValue(request.requestHeaders, 'content-type') || '',
+      text: request.requestBody
+    };
+  }
+
+  // Custom fields have to start with an underscore
+  if (request.resourceType) entry._resourceType = request.resourceType.toLowerCase();
+  if (request.error) entry._error = request.error;
+  if (request.responseError) entry._responseError = request.responseError;
+  if (request.tabId !== undefined) entry._tabId = request.tabId;
+  if (request.frameId) entry._frameId = request.frameId;
+  if (request.pageUrl) entry._documentURL = request.pageUrl;
+  // DevTools writes the whole CDP initiator, we write the kept frames next to its fields
+  if (request.initiator) entry._initiator = request.initiator;
+  if (request.step) entry._step = request.step;
+  if (request.jwt) entry._jwt = request.jwt;
+  // DevTools writes "memory" or "disk" here
+  if (request.fromMemoryCache || request.fromDiskCache) entry._fromCache = request.fromMemoryCache ? 'memory' : 'disk';
+  // Same shape as the WebSocket messages in DevTools HAR files (time in seconds)
+  if (request.kind === 'websocket') {
+    entry._webSocketMessages = (request.messages || []).map(message => ({
+      type: message.direction === 'sent' ? 'send' : 'receive',
+      time: message.time / 1000,
+      opcode: message.opcode,
+      data: message.data
+    }));
+  }
+  if (request.kind === 'eventsource') {
+    entry._eventSourceMessages = (request.messages || []).map(message => ({
+      time: message.time / 1000,
+      eventName: message.eventName,
+      eventId: message.eventId,
+      data: message.data
+    }));
+  }
+
+  return entry;
+}
+
+// Builds a HAR 1.2 document from recorded requests
+function buildHar(requests, creatorVersion) {
+  return {
+    log: {
+      version: '1.2',
+      creator: { name: 'API Recorder', version: creatorVersion || '1.0' },
+      pages: [],
+      entries: requests
+        .slice()
+        .sort((a, b) => a.timestamp - b.timestamp)
+        .map(buildHarEntry)
+    }
+  };
+}
+
+// Converts a HAR document (from this extension, DevTools or anything else) into recorded requests
+function parseHar(har) {
+  if (!har || !har.log || !Array.isArray(har.log.entries)) {
+    throw new Error('Not a HAR file: log.entries is missing');
+  }
+
+  return har.log.entries.map(entry => {
+    const { request, response = {} } = entry;
+    const content = response.content || {};
+    const startedAt = Date.parse(entry.startedDateTime);
+
+    const record = {
+      url: request.url,
+      method: request.method,
+      requestHeaders: fromHarHeaders(request.headers),
+      requestBody: request.postData ? request.postData.text : undefined,
+      timestamp: isNaN(startedAt) ? Date.now() : startedAt,
+      httpVersion: response.httpVersion,
+      mimeType: content.mimeType,
+      harTimings: entry.timings
+    };
+
+    if (response.status) {
+      record.status = response.status;
+      record.statusText = response.statusText;
+      record.responseHeaders = fromHarHeaders(response.headers);
+    }
+
+    if (content.text !== undefined) {
+      if (content.encoding === 'base64') {
+        try {
+          Object.assign(record, decodeResponseBody(content.text, true, content.mimeType, 0));
+        } catch (error) {
+          record.responseBody = content.text; // Not valid base64 after all
+        }
+      } else {
+        record.responseBody = content.text;
+      }
+    }
+
+    // DevTools writes resource types in lower case ("xhr", "fetch")
+    if (entry._resourceType) {
+      record.resourceType = RESOURCE_TYPES.find(type => type.toLowerCase() === entry._resourceType.toLowerCase()) || 'Other';
+    }
+
+    // DevTools marks failed requests with _error, we do the same on export
+    if (entry._error) record.error = entry._error;
+    if (entry._responseError) record.responseError = entry._responseError;
+    if (entry._tabId !== undefined) record.tabId = entry._tabId;
+    // DevTools puts the bytes on the wire (headers included) in _transferSize, other tools only have the two sizes
+    const transferSize = response._transferSize >= 0
+      ? response._transferSize
+      : (response.bodySize >= 0 ? response.bodySize + (response.headersSize >= 0 ? response.headersSize : 0) : -1);
+    if (transferSize >= 0) record.encodedDataLength = transferSize;
+    if (response.headersSize >= 0) record.responseHeadersSize = response.headersSize;
+    if (entry.serverIPAddress) record.remoteIPAddress = entry.serverIPAddress;
+    if (entry.connection) record.connectionId = entry.connection;
+    if (entry._fromCache === 'memory') record.fromMemoryCache = true;
+    if (entry._fromCache === 'disk') record.fromDiskCache = true;
+    if (entry._frameId) record.frameId = entry._frameId;
+    if (entry._documentURL) record.pageUrl = entry._documentURL;
+    if (entry._initiator) record.initiator = compactInitiator(entry._initiator);
+    if (entry._step) record.step = entry._step;
+    // Files from other tools still have the raw token, ours only the decoded claims
+    const jwt = extractRequestJwt(record.requestHeaders) || entry._jwt;
+    if (jwt) record.jwt = jwt;
+
+    if (Array.isArray(entry._webSocketMessages)) {
+      record.kind = 'websocket';
+      record.resourceType = 'WebSocket';
+      record.messages = entry._webSocketMessages.map(message => ({
+        direction: message.type === 'send' ? 'sent' : 'received',
+        time: message.time * 1000,
+        opcode: message.opcode,
+        data: message.data
+      }));
+    } else if (Array.isArray(entry._eventSourceMessages)) {
+      record.kind = 'eventsource';
+      record.messages = entry._eventSourceMessages.map(message => ({
+        direction: 'received',
+        time: message.time * 1000,
+        eventName: message.eventName,
+        eventId: message.eventId,
+        data: message.data
+      }));
+    }
+
+    return record;
+  });
+}
@@ -0,0 +1,49 @@
+// Shared helpers for working with recorded requests.
+// Loaded with importScripts() in the service worker, so everything here is a plain global.
+
+// Helper function to get header value case-insensitively
+function getHeaderValue(headers, headerName) {
+  if (!headers) return '';
+
+  // If headers is an array (from older code), use find
+  if (Array.isArray(headers)) {
+    const header = headers.find(h => h.name.toLowerCase() === headerName.toLowerCase());
+    return header ? header.value : '';
+  }
+
+  // If headers is an object, access directly
+  const lowerHeaderName = headerName.toLowerCase();
+  for (const key in headers) {
+    if (key.toLowerCase() === lowerHeaderName) {
+      return headers[key];
+    }
+  }
+  return '';
+}
+
+// Returns headers as a list of [name, value] pairs, whatever format they were stored in
+function getHeaderEntries(headers) {
+  if (!headers) return [];
+  if (Array.isArray(headers)) {
+    return headers.map(header => [header.name, header.value]);
+  }
+  if (typeof headers === 'object') {
+    return Object.entries(headers);
+  }
+  return [];
+}
+
+// Returns the media type of a Content-Type value without parameters (e.g. "application/json")
+function getMediaType(contentType) {
+  return (contentType || '').split(';')[0].trim().toLowerCase();
+}
+
+// Parses a body as JSON, returning undefined when it is not valid JSON
+function parseJsonBody(body) {
+  if (typeof body !== 'string' || body === '') return undefined;
+  try {
+    return JSON.parse(body);
+  } catch (e) {
+    return undefined;
+  }
+}
@@ -0,0 +1,138 @@
+// Where a request came from: the page it was made on and the script frames that made it.
+// Depends on lib/paths.js.
+
+// Only the top frames of a call stack are kept, deeper ones are framework internals most of the time
+const INITIATOR_FRAME_LIMIT = 5;
+// At most this many call sites are listed per endpoint in the Markdown export
+const CALL_SITES_LIMIT = 5;
+
+// Top frames of a CDP stack trace, following async parents (the code that set up a promise or timer)
+function getInitiatorFrames(stack) {
+  const frames = [];
+  let asyncCause;
+  for (let trace = stack; trace && frames.length < INITIATOR_FRAME_LIMIT; trace = trace.parent) {
+    for (const frame of trace.callFrames || []) {
+      if (!frame.url) continue; // eval'd code and the like
+      frames.push({
+        functionName: frame.functionName || undefined,
+        url: frame.url,
+        lineNumber: frame.lineNumber,
+        columnNumber: frame.columnNumber,
+        asyncCause
+      });
+      asyncCause = undefined;
+      if (frames.length >= INITIATOR_FRAME_LIMIT) break;
+    }
+    asyncCause = trace.parent && trace.parent.description;
+  }
+  return frames.map(frame => Object.fromEntries(Object.entries(frame).filter(([, value]) => value !== undefined)));
+}
+
+// Small copy of a CDP Initiator worth saving with the request. Also reads the _initiator field of DevTools HAR files.
+// Line and column numbers stay 0-based like in CDP.
+function compactInitiator(initiator) {
+  if (!initiator || !initiator.type) return undefined;
+  const compact = { type: initiator.type };
+  if (initiator.url) compact.url = initiator.url;
+  if (initiator.lineNumber !== undefined) compact.lineNumber = initiator.lineNumber;
+  if (initiator.columnNumber !== undefined) compact.columnNumber = initiator.columnNumber;
+  // Our own HAR export writes the frames as they are
+  const frames = initiator.stack ? getInitiatorFrames(initiator.stack) : initiator.frames;
+  if (frames && frames.length) compact.frames = frames;
+  return compact;
+}
+
+// The script position that made the request: the top stack frame, or the parser position for <script>/<link> loads
+function getCallSite(initiator) {
+  if (!initiator) return null;
+  if (initiator.frames && initiator.frames.length) return initiator.frames[0];
+  return initiator.url ? initiator : null;
+}
+
+function getScriptName(url) {
+  try {
+    const { pathname, host } = new URL(url);
+    return pathname.split('/').filter(Boolean).pop() || host;
+  } catch (error) {
+    return url;
+  }
+}
+
+// Short call site like "cart.js:120", or null when the request wasn't made by a script
+function formatCallSite(initiator) {
+  const callSite = getCallSite(initiator);
+  if (!callSite || !callSite.url) return null;
+  return callSite.lineNumber !== undefined ? `${getScriptName(callSite.url)}:${callSite.lineNumber + 1}` : getScriptName(callSite.url);
+}
+
+// One line of a stack trace, like DevTools shows it
+function formatStackFrame(frame) {
+  const position = frame.lineNumber !== undefined ? `:${frame.lineNumber + 1}:${frame.columnNumber + 1}` : '';
+  return `${frame.functionName || '(anonymous)'} @ ${frame.url}${position}`;
+}
+
+function formatInitiatorStack(initiator) {
+  return (initiator.frames || [])
+    .map(frame => `${frame.asyncCause ? `-- ${frame.asyncCause} --\n` : ''}${formatStackFrame(frame)}`)
+    .join('\n');
+}
+
+function getPagePathname(request) {
+  try {
+    return request.pageUrl ? new URL(request.pageUrl).pathname : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+// Page paths get templates too, so /product/17 and /product/42 count as one page
+function createPageNormalizer(requests) {
+  return createPathNormalizer(requests.map(getPagePathname).filter(Boolean));
+}
+
+function getPageTemplate(request, pageNormalizer) {
+  const pathname = getPagePathname(request);
+  return pathname ? pageNormalizer.getTemplate(pathname) : null;
+}
+
+// Pages and call sites that made a list of requests, most frequent first: [{ page, callSite, count }]
+function summarizeCallers(requests, pageNormalizer) {
+  const callers = new Map();
+  for (const request of requests) {
+    const page = getPageTemplate(request, pageNormalizer);
+    const callSite = formatCallSite(request.initiator);
+    if (!page && !callSite) continue;
+    const key = `${page} ${callSite}`;
+    if (!callers.has(key)) callers.set(key, { page, callSite, count: 0 });
+    callers.get(key).count++;
+  }
+  return [...callers.values()].sort((a, b) => b.count - a.count);
+}
+
+function formatCaller(caller) {
+  const parts = [];
+  if (caller.page) parts.push(`\`${caller.page}\``);
+  if (caller.callSite) parts.push(`by \`${caller.callSite}\``);
+  return parts.join(' ');
+}
+
+// Endpoints grouped by the page that called them: [{ page, endpoints: [{ method, path, count }] }]
+function groupEndpointsByPage(requests, normalizer, pageNormalizer) {
+  const pages = new Map();
+  for (const request of requests) {
+    const page = getPageTemplate(request, pageNormalizer);
+    if (!page) continue;
+    if (!pages.has(page)) pages.set(page, new Map());
+    const path = normalizer.getTemplate(new URL(request.url).pathname);
+    const key = `${request.method} ${path}`;
+    const endpoints = pages.get(page);
+    if (!endpoints.has(key)) endpoints.set(key, { method: request.method, path, count: 0 });
+    endpoints.get(key).count++;
+  }
+  return [...pages.entries()]
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([page, endpoints]) => ({
+      page,
+      endpoints: [...endpoints.values()].sort((a, b) => a.path.localeCompare(b.path) || a.method.localeCompare(b.method))
+    }));
+}
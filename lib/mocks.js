@@ -0,0 +1,315 @@
+// Mocks built from a recording: a standalone Node mock server, MSW handlers and WireMock mappings.
+// Responses are keyed on method + path template, then picked by query/body matching and a strategy
+// (first, round-robin or by status).
+// Depends on lib/http.js, lib/paths.js and lib/graphql.js.
+
+const MOCK_STRATEGIES = ['first', 'round-robin', 'status'];
+// Response headers that are wrong once the body is served again. The CORS ones were meant for the recorded page,
+// the mock server sends its own and browsers reject a response with two Allow-Origin headers.
+const MOCK_SKIPPED_HEADERS = [
+  'content-length', 'content-encoding', 'transfer-encoding', 'connection', 'keep-alive', 'date',
+  'access-control-allow-origin', 'access-control-allow-credentials', 'access-control-allow-headers', 'access-control-allow-methods'
+];
+
+// What a later request has to send to get this response back
+function buildMockMatch(request) {
+  const match = {};
+  const query = {};
+  for (const [key, value] of new URL(request.url).searchParams) {
+    query[key] = value;
+  }
+  if (Object.keys(query).length) match.query = query;
+
+  // GraphQL variables change all the time, the operation name is what tells calls apart
+  const operations = getGraphqlOperations(request);
+  if (operations.length === 1 && operations[0].operationName) {
+    match.operationName = operations[0].operationName;
+  } else if (request.requestBody) {
+    const parsed = parseJsonBody(request.requestBody);
+    match.body = parsed !== undefined ? parsed : request.requestBody;
+  }
+  return match;
+}
+
+function buildMockResponse(request) {
+  const headers = {};
+  for (const [name, value] of getHeaderEntries(request.responseHeaders)) {
+    if (name.startsWith(':') || MOCK_SKIPPED_HEADERS.includes(name.toLowerCase())) continue;
+    // Chrome joins repeated headers (like Set-Cookie) with newlines
+    headers[name] = String(value).includes('\n') ? String(value).split('\n') : value;
+  }
+  const response = {
+    status: request.status,
+    statusText: request.statusText || '',
+    headers,
+    match: buildMockMatch(request)
+  };
+  if (request.responseBody !== undefined) {
+    response.body = request.responseBody;
+  } else if (request.responseBodyBase64) {
+    response.bodyBase64 = request.responseBodyBase64;
+  }
+  if (request.responseBodyTruncated) {
+    response.truncated = true;
+  }
+  return response;
+}
+
+// Fixture bundle every mock is written from: { version, generatedAt, routes: [{ method, path, responses }] }.
+// groupedRequests is { template: [requests] } as returned by groupRequestsByTemplate.
+function buildMockFixtures(groupedRequests) {
+  const routes = [];
+  for (const template of Object.keys(groupedRequests).sort()) {
+    const byMethod = new Map();
+    for (const request of groupedRequests[template]) {
+      // Requests without a response have nothing to replay
+      if (!request.status) continue;
+      if (!byMethod.has(request.method)) byMethod.set(request.method, []);
+      byMethod.get(request.method).push(buildMockResponse(request));
+    }
+    for (const method of [...byMethod.keys()].sort()) {
+      routes.push({ method, path: template, responses: byMethod.get(method) });
+    }
+  }
+  return { version: 1, generatedAt: new Date().toISOString(), routes };
+}
+
+// The functions below are copied into the generated server and handlers with toString(),
+// so they may only use each other and plain JavaScript.
+
+function compileMockPath(path) {
+  const pattern = path.split('/').map(segment => (
+    /^\{.+\}$/.test(segment) ? '[^/]+' : segment.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+  )).join('/');
+  return new RegExp(`^${pattern}/?$`);
+}
+
+function mockValuesEqual(a, b) {
+  if (a === b) return true;
+  if (!a || !b || typeof a !== 'object' || typeof b !== 'object' || Array.isArray(a) !== Array.isArray(b)) return false;
+  const keys = Object.keys(a);
+  return keys.length === Object.keys(b).length && keys.every(key => mockValuesEqual(a[key], b[key]));
+}
+
+// request is { query: { name: value }, body: parsed JSON or text, operationName }
+function isMockMatch(match, request) {
+  if (match.query && Object.keys(match.query).some(key => request.query[key] !== match.query[key])) return false;
+  if (match.operationName !== undefined) return match.operationName === request.operationName;
+  if (match.body !== undefined) return mockValuesEqual(match.body, request.body);
+  return true;
+}
+
+// Picks the response for a request. state keeps the round-robin position of every route between calls.
+function selectMockResponse(route, request, state, strategy, status) {
+  const matching = route.responses.filter(response => isMockMatch(response.match, request));
+  // Nothing matches the query/body: any recorded response of the endpoint is better than a 404
+  const candidates = matching.length ? matching : route.responses;
+  if (status) {
+    const withStatus = candidates.filter(response => String(response.status) === String(status));
+    if (withStatus.length) return withStatus[0];
+    const anyWithStatus = route.responses.find(response => String(response.status) === String(status));
+    if (anyWithStatus) return anyWithStatus;
+  }
+  if (strategy === 'round-robin') {
+    const key = `${route.method} ${route.path}`;
+    const position = state.get(key) || 0;
+    state.set(key, position + 1);
+    return candidates[position % candidates.length];
+  }
+  return candidates[0];
+}
+
+// Turns an incoming request body into what isMockMatch compares against
+function parseMockRequestBody(text) {
+  const request = { body: text || undefined, operationName: undefined };
+  if (!text) return request;
+  try {
+    request.body = JSON.parse(text);
+    if (request.body && typeof request.body.operationName === 'string') {
+      request.operationName = request.body.operationName;
+    } else if (request.body && typeof request.body.query === 'string') {
+      const named = request.body.query.match(/\b(?:query|mutation|subscription)\s+([A-Za-z_]\w*)/);
+      request.operationName = named ? named[1] : undefined;
+    }
+  } catch (error) {
+    // Not JSON, compared as text
+  }
+  return request;
+}
+
+const MOCK_RUNTIME_FUNCTIONS = [compileMockPath, mockValuesEqual, isMockMatch, selectMockResponse, parseMockRequestBody];
+
+function getMockRuntimeSource() {
+  return MOCK_RUNTIME_FUNCTIONS.map(fn => fn.toString()).join('\n\n');
+}
+
+function countMockResponses(fixtures) {
+  return fixtures.routes.reduce((total, route) => total + route.responses.length, 0);
+}
+
+// Standalone Node server with the fixtures built in, it only needs Node itself
+function buildNodeMockServer(fixtures) {
+  return `#!/usr/bin/env node
+// Mock server generated by API Recorder on ${new Date().toLocaleString()}.
+// ${fixtures.routes.length} endpoints, ${countMockResponses(fixtures)} recorded responses.
+//
+// Usage: node mock-server.js [--port 3000] [--strategy ${MOCK_STRATEGIES.join('|')}] [--status 200]
+//   first        the first recorded response that matches the query/body (default)
+//   round-robin  cycles through the matching responses
+//   status       prefers responses with --status, a request can also send an X-Mock-Status header
+'use strict';
+
+const http = require('http');
+
+const FIXTURES = ${JSON.stringify(fixtures, null, 2)};
+
+${getMockRuntimeSource()}
+
+function getArgument(name, fallback) {
+  const index = process.argv.indexOf(\`--\${name}\`);
+  return index !== -1 && process.argv[index + 1] ? process.argv[index + 1] : fallback;
+}
+
+const port = Number(getArgument('port', process.env.PORT || 3000));
+const strategy = getArgument('strategy', 'first');
+const defaultStatus = getArgument('status', strategy === 'status' ? '200' : undefined);
+const routes = FIXTURES.routes.map(route => ({ ...route, regex: compileMockPath(route.path) }));
+const state = new Map();
+
+const server = http.createServer((req, res) => {
+  const chunks = [];
+  req.on('data', chunk => chunks.push(chunk));
+  req.on('end', () => {
+    const url = new URL(req.url, \`http://\${req.headers.host || 'localhost'}\`);
+    const corsHeaders = {
+      'Access-Control-Allow-Origin': req.headers.origin || '*',
+      'Access-Control-Allow-Credentials': 'true',
+      'Access-Control-Allow-Headers': req.headers['access-control-request-headers'] || '*',
+      'Access-Control-Allow-Methods': 'GET, POST, PUT, PATCH, DELETE, HEAD, OPTIONS'
+    };
+    const route = routes.find(candidate => candidate.method === req.method && candidate.regex.test(url.pathname));
+
+    if (!route && req.method === 'OPTIONS') {
+      res.writeHead(204, corsHeaders);
+      res.end();
+      return;
+    }
+    if (!route) {
+      console.log(\`\${req.method} \${url.pathname} -> 404 (not recorded)\`);
+      res.writeHead(404, { ...corsHeaders, 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: 'No recorded response for this request' }));
+      return;
+    }
+
+    const request = { query: Object.fromEntries(url.searchParams), ...parseMockRequestBody(Buffer.concat(chunks).toString('utf8')) };
+    const status = req.headers['x-mock-status'] || defaultStatus;
+    const response = selectMockResponse(route, request, state, strategy, status);
+    console.log(\`\${req.method} \${url.pathname} -> \${response.status}\`);
+    if (response.statusText) res.statusMessage = response.statusText;
+    res.writeHead(response.status, { ...response.headers, ...corsHeaders });
+    res.end(response.bodyBase64 ? Buffer.from(response.bodyBase64, 'base64') : response.body || '');
+  });
+});
+
+server.listen(port, () => {
+  console.log(\`Mock server on http://localhost:\${port} (\${routes.length} endpoints, strategy: \${strategy})\`);
+});
+`;
+}
+
+// MSW (v2) request handlers with the fixtures built in
+function buildMswHandlers(fixtures) {
+  return `// MSW handlers generated by API Recorder on ${new Date().toLocaleString()}.
+// ${fixtures.routes.length} endpoints, ${countMockResponses(fixtures)} recorded responses.
+//
+// import { handlers } from './msw-handlers.js';
+// or createHandlers({ strategy: '${MOCK_STRATEGIES.join("' | '")}', status: 200 })
+// A request can also pick a status with an X-Mock-Status header.
+import { http, HttpResponse } from 'msw';
+
+const FIXTURES = ${JSON.stringify(fixtures, null, 2)};
+
+${getMockRuntimeSource()}
+
+function decodeBase64(base64) {
+  const binary = atob(base64);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return bytes;
+}
+
+export function createHandlers({ strategy = 'first', status } = {}) {
+  const state = new Map();
+  const defaultStatus = status || (strategy === 'status' ? 200 : undefined);
+  return FIXTURES.routes.map(route => {
+    // Any origin, path parameters in MSW's ":name" syntax
+    const path = '*' + route.path.replace(/\\{([^}]+)\\}/g, ':$1');
+    const method = http[route.method.toLowerCase()] || http.all;
+    return method(path, async ({ request }) => {
+      const url = new URL(request.url);
+      const parsed = { query: Object.fromEntries(url.searchParams), ...parseMockRequestBody(await request.clone().text()) };
+      const requestedStatus = request.headers.get('x-mock-status') || defaultStatus;
+      const response = selectMockResponse(route, parsed, state, strategy, requestedStatus);
+      const body = response.bodyBase64 ? decodeBase64(response.bodyBase64) : response.body || null;
+      return new HttpResponse(body, { status: response.status, statusText: response.statusText, headers: response.headers });
+    });
+  });
+}
+
+export const handlers = createHandlers();
+`;
+}
+
+// WireMock stub mappings ({ mappings: [...] }, for POST /__admin/mappings/import or the mappings folder).
+// Stubs that match on query/body get a higher priority than the fallback for the endpoint.
+// WireMock priorities are global, so routes with more literal segments come first: /users/me before /users/{userId}.
+function buildWireMockMappings(fixtures) {
+  const mappings = [];
+  const countLiterals = path => path.split('/').filter(segment => segment && !/^\{[^}]+\}$/.test(segment)).length;
+  const literalCounts = [...new Set(fixtures.routes.map(route => countLiterals(route.path)))].sort((a, b) => b - a);
+  // Room for every response of a route plus its fallback
+  const stride = Math.max(0, ...fixtures.routes.map(route => route.responses.length)) + 1;
+  for (const route of fixtures.routes) {
+    const urlPathPattern = compileMockPath(route.path).source.replace(/\\\//g, '/');
+    const basePriority = literalCounts.indexOf(countLiterals(route.path)) * stride;
+    route.responses.forEach((response, index) => {
+      const request = { method: route.method, urlPathPattern };
+      const { query, body, operationName } = response.match;
+      if (query) {
+        request.queryParameters = Object.fromEntries(Object.entries(query).map(([key, value]) => [key, { equalTo: value }]));
+      }
+      if (operationName !== undefined) {
+        request.bodyPatterns = [{ matchesJsonPath: `$[?(@.operationName == '${operationName}')]` }];
+      } else if (body !== undefined) {
+        request.bodyPatterns = [typeof body === 'string' ? { equalTo: body } : { equalToJson: body }];
+      }
+      const stub = {
+        name: `${route.method} ${route.path} (${response.status})`,
+        priority: basePriority + index + 1,
+        request,
+        response: { status: response.status, headers: response.headers }
+      };
+      if (response.statusText) stub.response.statusMessage = response.statusText;
+      if (response.bodyBase64) {
+        stub.response.base64Body = response.bodyBase64;
+      } else if (response.body !== undefined) {
+        stub.response.body = response.body;
+      }
+      mappings.push(stub);
+    });
+
+    // Fallback so calls with other queries or bodies still get a recorded response
+    const first = mappings[mappings.length - route.responses.length];
+    if (first.request.queryParameters || first.request.bodyPatterns) {
+      mappings.push({
+        name: `${route.method} ${route.path} (fallback)`,
+        priority: basePriority + route.responses.length + 1,
+        request: { method: route.method, urlPathPattern },
+        response: first.response
+      });
+    }
+  }
+  return { mappings };
+}
@@ -0,0 +1,214 @@
+// OpenAPI 3.1 export built from every recorded request.
+// Depends on lib/http.js, lib/schema.js, lib/paths.js, lib/steps.js and lib/auth.js.
+
+// Builds an operationId such as "getUsersById" from a method and path template
+function buildOperationId(method, template) {
+  const words = template.split('/').filter(Boolean).map(segment => {
+    const isParam = segment.startsWith('{');
+    const name = segment.replace(/[{}]/g, '').replace(/[^A-Za-z0-9]+(.)?/g, (match, chr) => (chr ? chr.toUpperCase() : ''));
+    const word = name.charAt(0).toUpperCase() + name.slice(1);
+    return isParam ? 'By' + word : word;
+  });
+  return method.toLowerCase() + words.join('');
+}
+
+// Infers the schema of a string value found in the URL (path segment or query string)
+function inferUrlValueSchema(values) {
+  if (values.length && values.every(value => /^-?\d+$/.test(value))) return { type: 'integer' };
+  if (values.length && values.every(value => value !== '' && !isNaN(Number(value)))) return { type: 'number' };
+  if (values.length && values.every(value => value === 'true' || value === 'false')) return { type: 'boolean' };
+  return { type: 'string' };
+}
+
+// Converts a URL string value into the type its inferred schema describes
+function coerceUrlValue(value, schema) {
+  if (schema.type === 'integer' || schema.type === 'number') return Number(value);
+  if (schema.type === 'boolean') return value === 'true';
+  return value;
+}
+
+function buildPathParameters(template, samples) {
+  const templateSegments = template.split('/');
+  const parameters = [];
+
+  templateSegments.forEach((segment, index) => {
+    const match = segment.match(/^\{(.+)\}$/);
+    if (!match) return;
+    const values = [...new Set(samples.map(request => new URL(request.url).pathname.split('/')[index]))];
+    const schema = inferUrlValueSchema(values);
+    parameters.push({
+      name: match[1],
+      in: 'path',
+      required: true,
+      description: `Seen values: ${formatSeenValues(values)}`,
+      schema,
+      example: coerceUrlValue(values[0], schema)
+    });
+  });
+
+  return parameters;
+}
+
+function buildQueryParameters(samples) {
+  const seen = new Map(); // name -> { values, occurrences, repeated }
+
+  for (const request of samples) {
+    const params = new URL(request.url).searchParams;
+    for (const name of new Set(params.keys())) {
+      const values = params.getAll(name);
+      const entry = seen.get(name) || { values: [], occurrences: 0, repeated: false };
+      entry.values.push(...values);
+      entry.occurrences++;
+      entry.repeated = entry.repeated || values.length > 1;
+      seen.set(name, entry);
+    }
+  }
+
+  return [...seen.entries()].sort(([a], [b]) => a.localeCompare(b)).map(([name, entry]) => {
+    const valueSchema = inferUrlValueSchema(entry.values);
+    const example = coerceUrlValue(entry.values[0], valueSchema);
+    return {
+      name,
+      in: 'query',
+      required: entry.occurrences === samples.length,
+      schema: entry.repeated ? { type: 'array', items: valueSchema } : valueSchema,
+      example: entry.repeated ? [example] : example
+    };
+  });
+}
+
+// Builds a media type object ({ schema, example }) from bodies that share one content type
+function buildMediaTypeObject(mediaType, bodies) {
+  if (mediaType.includes('json')) {
+    const parsed = bodies.map(parseJsonBody).filter(value => value !== undefined);
+    if (parsed.length) {
+      return { schema: inferSchemaFromSamples(parsed), example: trimExample(parsed[0]) };
+    }
+  }
+
+  if (mediaType === 'application/x-www-form-urlencoded') {
+    // Form fields are always strings on the wire
+    const parsed = bodies.map(body => Object.fromEntries(new URLSearchParams(body)));
+    return { schema: inferSchemaFromSamples(parsed), example: trimExample(parsed[0]) };
+  }
+
+  return { schema: { type: 'string' }, example: bodies[0] };
+}
+
+// Groups bodies by media type and builds an OpenAPI "content" map from them
+function buildContent(samples, getContentType, getBody) {
+  const bodiesByMediaType = {};
+
+  for (const request of samples) {
+    const body = getBody(request);
+    if (body === undefined || body === null || body === '') continue;
+    const mediaType = getMediaType(getContentType(request)) || 'application/octet-stream';
+    (bodiesByMediaType[mediaType] = bodiesByMediaType[mediaType] || []).push(body);
+  }
+
+  const content = {};
+  for (const [mediaType, bodies] of Object.entries(bodiesByMediaType)) {
+    content[mediaType] = buildMediaTypeObject(mediaType, bodies);
+  }
+  return Object.keys(content).length ? content : null;
+}
+
+function buildResponses(samples) {
+  const samplesByStatus = {};
+  for (const request of samples) {
+    if (!request.status) continue;
+    (samplesByStatus[request.status] = samplesByStatus[request.status] || []).push(request);
+  }
+
+  const responses = {};
+  for (const status of Object.keys(samplesByStatus).sort()) {
+    const statusSamples = samplesByStatus[status];
+    const response = { description: statusSamples[0].statusText || `Status ${status}` };
+    const content = buildContent(
+      statusSamples,
+      request => getHeaderValue(request.responseHeaders, 'content-type'),
+      request => request.responseBody
+    );
+    if (content) response.content = content;
+    responses[status] = response;
+  }
+
+  if (!Object.keys(responses).length) {
+    responses.default = { description: 'No response was recorded' };
+  }
+  return responses;
+}
+
+function buildOperation(method, template, samples, note, endpointAuth) {
+  const operation = {
+    operationId: buildOperationId(method, template),
+    summary: `${method} ${template}`
+  };
+  if (note) operation.description = note;
+  // Credentials sent with every call are required together, ones sent only sometimes are left out
+  if (endpointAuth && endpointAuth.always.length) {
+    operation.security = [Object.fromEntries(endpointAuth.always.map(id => [id, []]))];
+  }
+
+  const parameters = [...buildPathParameters(template, samples), ...buildQueryParameters(samples)];
+  if (parameters.length) operation.parameters = parameters;
+
+  const requestContent = buildContent(
+    samples,
+    request => getHeaderValue(request.requestHeaders, 'content-type'),
+    request => request.requestBody
+  );
+  if (requestContent) {
+    operation.requestBody = {
+      required: samples.every(request => request.requestBody),
+      content: requestContent
+    };
+  }
+
+  operation.responses = buildResponses(samples);
+  return operation;
+}
+
+// Builds an OpenAPI 3.1 document from a list of recorded API requests.
+// pathTemplates are user overrides for the detected path templates.
+// options.notes are the notes of the session (see resolveEndpointNotes()), options.authHeaders the header names that hold credentials.
+function buildOpenApiSpec(requests, pathTemplates = [], options = {}) {
+  const { notes = {}, authHeaders } = options;
+  const servers = [...new Set(requests.map(request => new URL(request.url).origin))].sort();
+  const normalizer = createRequestPathNormalizer(requests, pathTemplates);
+  const endpointNotes = resolveEndpointNotes(notes, normalizer);
+  const auth = summarizeAuth(requests, normalizer, authHeaders);
+
+  // Group samples by path template and method
+  const operations = {};
+  for (const request of requests) {
+    const template = normalizer.getTemplate(new URL(request.url).pathname);
+    const method = request.method.toLowerCase();
+    operations[template] = operations[template] || {};
+    (operations[template][method] = operations[template][method] || []).push(request);
+  }
+
+  const paths = {};
+  for (const template of Object.keys(operations).sort()) {
+    paths[template] = {};
+    for (const method of Object.keys(operations[template]).sort()) {
+      const endpoint = getEndpointKey(method.toUpperCase(), template);
+      paths[template][method] = buildOperation(method.toUpperCase(), template, operations[template][method], endpointNotes[endpoint], auth.endpoints[endpoint]);
+    }
+  }
+
+  const spec = {
+    openapi: '3.1.0',
+    info: {
+      title: 'Recorded API',
+      version: '1.0.0',
+      description: `Generated by API Recorder on ${new Date().toLocaleString()} from ${requests.length} recorded requests.`
+    },
+    servers: servers.map(url => ({ url })),
+    paths
+  };
+  if (auth.schemes.length) {
+    spec.components = { securitySchemes: buildSecuritySchemes(auth) };
+  }
+  return spec;
+}
@@ -0,0 +1,194 @@
+// Path templating: collapses IDs, UUIDs, hashes, dates and high-cardinality segments
+// across all recorded paths, e.g. /users/17 and /users/42 -> /users/{userId}.
+
+const PATH_UUID = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const PATH_DATE = /^\d{4}-\d{2}-\d{2}$|^\d{8}$/;
+const PATH_HASH = /^(?=.*\d)[0-9a-f]{16,}$/i;
+const PATH_TOKEN = /^(?=.*\d)(?=.*[A-Za-z])[A-Za-z0-9_-]{20,}$/;
+
+// How many different values must show up at one position before it counts as a parameter
+const HIGH_CARDINALITY_THRESHOLD = 5;
+
+// Classifies one path segment, returning the parameter kind or null for a literal
+function classifyPathSegment(segment) {
+  if (PATH_DATE.test(segment)) return 'date';
+  if (/^\d+$/.test(segment)) return 'id';
+  if (PATH_UUID.test(segment) || PATH_HASH.test(segment) || PATH_TOKEN.test(segment)) return 'id';
+  return null;
+}
+
+// Slugs, codes and other values usually have digits or separators, resource names usually don't
+function looksLikeValue(segment) {
+  return /[\d\-_.]/.test(segment) || segment.length > 24;
+}
+
+// Turns "line-items" into "lineItem"
+function singularCamelCase(segment) {
+  let word = segment.replace(/[^A-Za-z0-9]+(.)?/g, (match, chr) => (chr ? chr.toUpperCase() : ''));
+  if (/ies$/.test(word)) word = word.slice(0, -3) + 'y';
+  else if (/(ss|x|ch|sh)es$/.test(word)) word = word.slice(0, -2);
+  else if (/[^s]s$/.test(word)) word = word.slice(0, -1);
+  return word.charAt(0).toLowerCase() + word.slice(1);
+}
+
+// Builds "/users/{userId}" from segment tokens where parameters are { kind } objects
+function buildTemplateFromTokens(tokens) {
+  const usedNames = new Set();
+  const segments = tokens.map((token, index) => {
+    if (typeof token === 'string') return token;
+
+    const previous = tokens[index - 1];
+    const suffix = token.kind === 'id' ? 'Id' : token.kind.charAt(0).toUpperCase() + token.kind.slice(1);
+    let name = typeof previous === 'string' && /[A-Za-z]/.test(previous)
+      ? singularCamelCase(previous) + suffix
+      : token.kind;
+
+    // Parameter names have to be unique within one path
+    const baseName = name;
+    for (let i = 2; usedNames.has(name); i++) {
+      name = baseName + i;
+    }
+    usedNames.add(name);
+    return `{${name}}`;
+  });
+  return '/' + segments.join('/');
+}
+
+// Splits a path into literal segments and { kind } parameter tokens
+function tokenizePath(pathname) {
+  return pathname.replace(/^\//, '').split('/').map(segment => {
+    const kind = classifyPathSegment(segment);
+    return kind ? { kind } : segment;
+  });
+}
+
+// Key shared by paths that are identical except at one position
+function getSiblingKey(tokens, position) {
+  return tokens.map((token, index) => {
+    if (index === position) return '*';
+    return typeof token === 'string' ? token : `{${token.kind}}`;
+  }).join('/');
+}
+
+// Compiles a user template like "/users/{userId}" into a matcher
+function compilePathTemplate(template) {
+  const segments = template.replace(/^\/+/, '').split('/');
+  const pattern = segments.map(segment => {
+    if (/^\{.+\}$/.test(segment)) return '[^/]+';
+    return segment.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  }).join('/');
+  return { template: '/' + segments.join('/'), regex: new RegExp(`^/${pattern}$`) };
+}
+
+// Returns the values a path has in the parameter slots of a template
+function extractPathParams(template, pathname) {
+  const params = {};
+  const templateSegments = template.split('/');
+  const pathSegments = pathname.split('/');
+  templateSegments.forEach((segment, index) => {
+    const match = segment.match(/^\{(.+)\}$/);
+    if (match && pathSegments[index] !== undefined) {
+      try {
+        params[match[1]] = decodeURIComponent(pathSegments[index]);
+      } catch (e) {
+        params[match[1]] = pathSegments[index];
+      }
+    }
+  });
+  return params;
+}
+
+// Formats concrete values seen for a parameter, e.g. "17, 42 (+3 more)"
+function formatSeenValues(values, limit = 10) {
+  const shown = values.slice(0, limit).join(', ');
+  return values.length > limit ? `${shown} (+${values.length - limit} more)` : shown;
+}
+
+// Builds a normalizer for a set of recorded paths.
+// overrideTemplates are user-defined templates that always win over the detected ones.
+function createPathNormalizer(pathnames, overrideTemplates = []) {
+  const overrides = overrideTemplates
+    .map(template => template.trim())
+    .filter(Boolean)
+    .map(compilePathTemplate);
+
+  const findOverride = pathname => overrides.find(override => override.regex.test(pathname));
+
+  // Step 1: tokenize every path not covered by an override, marking obvious value segments
+  const tokenized = new Map();
+  for (const pathname of new Set(pathnames)) {
+    if (findOverride(pathname)) continue;
+    tokenized.set(pathname, tokenizePath(pathname));
+  }
+
+  // Step 2: collapse positions where paths that are otherwise identical have many different literals
+  const maxLength = Math.max(0, ...[...tokenized.values()].map(tokens => tokens.length));
+  for (let position = 0; position < maxLength; position++) {
+    const groups = new Map(); // context key -> Set of literal values at this position
+    for (const tokens of tokenized.values()) {
+      if (typeof tokens[position] !== 'string') continue;
+      const key = getSiblingKey(tokens, position);
+      if (!groups.has(key)) groups.set(key, new Set());
+      groups.get(key).add(tokens[position]);
+    }
+
+    for (const tokens of tokenized.values()) {
+      if (typeof tokens[position] !== 'string') continue;
+      const values = [...groups.get(getSiblingKey(tokens, position))];
+      const valueLike = values.filter(looksLikeValue).length;
+      if (values.length >= HIGH_CARDINALITY_THRESHOLD && valueLike * 2 >= values.length) {
+        tokens[position] = { kind: 'slug' };
+      }
+    }
+  }
+
+  const templates = new Map();
+  for (const [pathname, tokens] of tokenized) {
+    templates.set(pathname, buildTemplateFromTokens(tokens));
+  }
+
+  // Collect every concrete value seen for each template parameter
+  const seenValues = new Map(); // template -> { paramName: Set }
+  for (const pathname of new Set(pathnames)) {
+    const template = getTemplate(pathname);
+    if (!seenValues.has(template)) seenValues.set(template, {});
+    const params = seenValues.get(template);
+    for (const [name, value] of Object.entries(extractPathParams(template, pathname))) {
+      (params[name] = params[name] || new Set()).add(value);
+    }
+  }
+
+  function getTemplate(pathname) {
+    const override = findOverride(pathname);
+    if (override) return override.template;
+    if (templates.has(pathname)) return templates.get(pathname);
+
+    // Paths that were not part of the recording only get the pattern-based templating
+    return buildTemplateFromTokens(tokenizePath(pathname));
+  }
+
+  return {
+    getTemplate,
+    getParams: pathname => extractPathParams(getTemplate(pathname), pathname),
+    // Returns { paramName: [values] } for a template
+    getSeenValues(template) {
+      const params = seenValues.get(template) || {};
+      return Object.fromEntries(Object.entries(params).map(([name, values]) => [name, [...values]]));
+    }
+  };
+}
+
+// Builds a normalizer from the paths of a list of recorded requests
+function createRequestPathNormalizer(requests, overrideTemplates = []) {
+  return createPathNormalizer(requests.map(request => new URL(request.url).pathname), overrideTemplates);
+}
+
+// Groups requests by their path template: { template: [requests] }
+function groupRequestsByTemplate(requests, normalizer) {
+  const groups = {};
+  for (const request of requests) {
+    const template = normalizer.getTemplate(new URL(request.url).pathname);
+    (groups[template] = groups[template] || []).push(request);
+  }
+  return groups;
+}
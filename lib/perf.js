@@ -0,0 +1,167 @@
+// Timing, size and cache data of recorded requests: latency percentiles per endpoint,
+// the slowest calls and a waterfall of when each request ran.
+// Depends on lib/http.js and lib/paths.js.
+
+const LATENCY_PERCENTILES = [50, 90, 95, 99];
+const SLOWEST_CALLS_LIMIT = 10;
+
+// Network details from a CDP Response object that are worth keeping on the record
+function getResponseNetworkInfo(response) {
+  const info = {
+    remoteIPAddress: response.remoteIPAddress,
+    remotePort: response.remotePort,
+    connectionId: response.connectionId,
+    connectionReused: response.connectionReused,
+    fromDiskCache: response.fromDiskCache || undefined,
+    fromServiceWorker: response.fromServiceWorker || undefined,
+    fromPrefetchCache: response.fromPrefetchCache || undefined,
+    // Bytes received so far, for a response that just arrived these are the headers
+    responseHeadersSize: response.encodedDataLength
+  };
+  return Object.fromEntries(Object.entries(info).filter(([, value]) => value !== undefined));
+}
+
+// Total time of a request in ms, or undefined when it never finished
+function getRequestDuration(request) {
+  if (request.startTime && request.endTime) {
+    return (request.endTime - request.startTime) * 1000;
+  }
+  // Imported HAR entries only have their timings
+  if (request.harTimings) {
+    return ['blocked', 'dns', 'connect', 'send', 'wait', 'receive']
+      .map(phase => request.harTimings[phase])
+      .filter(value => value > 0)
+      .reduce((sum, value) => sum + value, 0);
+  }
+  return undefined;
+}
+
+// Time from the request being sent until the response headers arrived, in ms
+function getTimeToFirstByte(request) {
+  const timing = request.timing;
+  if (timing && timing.sendStart >= 0 && timing.receiveHeadersEnd >= 0) {
+    return timing.receiveHeadersEnd - timing.sendStart;
+  }
+  return request.harTimings && request.harTimings.wait >= 0 ? request.harTimings.wait : undefined;
+}
+
+// Bytes that came over the network (compressed), falling back to the body size
+function getTransferSize(request) {
+  if (request.encodedDataLength !== undefined) return request.encodedDataLength;
+  if (request.responseBodySize !== undefined) return request.responseBodySize;
+  return request.responseBody ? new TextEncoder().encode(request.responseBody).length : undefined;
+}
+
+// Where the response came from when it wasn't the network
+function getCacheSource(request) {
+  if (request.fromMemoryCache) return 'memory cache';
+  if (request.fromDiskCache) return 'disk cache';
+  if (request.fromPrefetchCache) return 'prefetch cache';
+  if (request.fromServiceWorker) return 'service worker';
+  return null;
+}
+
+// Nearest-rank percentile of sorted numbers
+function getPercentile(sortedValues, percentile) {
+  if (!sortedValues.length) return undefined;
+  const rank = Math.ceil((percentile / 100) * sortedValues.length);
+  return sortedValues[Math.min(Math.max(rank, 1), sortedValues.length) - 1];
+}
+
+function formatDuration(ms) {
+  if (ms === undefined || ms === null || isNaN(ms)) return '-';
+  return ms >= 1000 ? `${(ms / 1000).toFixed(2)} s` : `${Math.round(ms)} ms`;
+}
+
+// Performance summary of a list of requests:
+// { endpoints: [{ method, path, count, durations: { p50, p90, p95, p99, max }, ttfbP50, avgSize, maxSize, cachedCount }], slowest: [...] }
+function summarizePerformance(requests, normalizer) {
+  const endpoints = new Map();
+  const timed = [];
+  for (const request of requests) {
+    const path = normalizer.getTemplate(new URL(request.url).pathname);
+    const key = `${request.method} ${path}`;
+    if (!endpoints.has(key)) {
+      endpoints.set(key, { method: request.method, path, count: 0, durations: [], ttfbs: [], sizes: [], cachedCount: 0 });
+    }
+    const endpoint = endpoints.get(key);
+    endpoint.count++;
+    const duration = getRequestDuration(request);
+    if (duration !== undefined) {
+      endpoint.durations.push(duration);
+      timed.push({ request, duration });
+    }
+    const ttfb = getTimeToFirstByte(request);
+    if (ttfb !== undefined) endpoint.ttfbs.push(ttfb);
+    const size = getTransferSize(request);
+    if (size !== undefined) endpoint.sizes.push(size);
+    if (getCacheSource(request)) endpoint.cachedCount++;
+  }
+
+  const summaries = [...endpoints.values()].map(({ durations, ttfbs, sizes, ...endpoint }) => {
+    durations.sort((a, b) => a - b);
+    ttfbs.sort((a, b) => a - b);
+    const stats = { max: durations[durations.length - 1] };
+    LATENCY_PERCENTILES.forEach(percentile => {
+      stats[`p${percentile}`] = getPercentile(durations, percentile);
+    });
+    return {
+      ...endpoint,
+      timedCount: durations.length,
+      durations: stats,
+      ttfbP50: getPercentile(ttfbs, 50),
+      avgSize: sizes.length ? Math.round(sizes.reduce((sum, size) => sum + size, 0) / sizes.length) : undefined,
+      maxSize: sizes.length ? Math.max(...sizes) : undefined
+    };
+  });
+
+  return {
+    // Slowest endpoints first
+    endpoints: summaries.sort((a, b) => (b.durations.p90 || 0) - (a.durations.p90 || 0)),
+    slowest: timed
+      .sort((a, b) => b.duration - a.duration)
+      .slice(0, SLOWEST_CALLS_LIMIT)
+      .map(({ request, duration }) => ({
+        method: request.method,
+        url: request.url,
+        status: request.status,
+        duration,
+        ttfb: getTimeToFirstByte(request),
+        size: getTransferSize(request)
+      }))
+  };
+}
+
+// Rows of a waterfall in start order: { request, offset, duration, ttfb } with times in ms since the first request
+function buildWaterfall(requests) {
+  const rows = requests
+    .filter(request => request.timestamp)
+    .map(request => ({ request, start: request.timestamp, duration: getRequestDuration(request) }))
+    .sort((a, b) => a.start - b.start);
+  if (!rows.length) return [];
+  const firstStart = rows[0].start;
+  return rows.map(({ request, start, duration }) => ({
+    request,
+    offset: start - firstStart,
+    duration,
+    ttfb: getTimeToFirstByte(request)
+  }));
+}
+
+// Text waterfall for the Markdown export, one line per request
+function formatWaterfallText(rows, width = 50) {
+  const end = Math.max(1, ...rows.map(row => row.offset + (row.duration || 0)));
+  const labelWidth = Math.min(60, Math.max(...rows.map(row => getWaterfallLabel(row.request).length)));
+  return rows.map(row => {
+    const start = Math.floor((row.offset / end) * width);
+    const length = Math.max(1, Math.round(((row.duration || 0) / end) * width));
+    const bar = ' '.repeat(start) + '█'.repeat(Math.min(length, width - start + 1));
+    const label = getWaterfallLabel(row.request).slice(0, labelWidth).padEnd(labelWidth);
+    return `${label} |${bar.padEnd(width + 1)}| ${formatDuration(row.duration)}`;
+  }).join('\n');
+}
+
+function getWaterfallLabel(request) {
+  const url = new URL(request.url);
+  return `${request.method} ${url.pathname}${url.search}`;
+}
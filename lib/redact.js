@@ -0,0 +1,416 @@
+// Redaction of secrets and personal data in recorded requests.
+// Runs on every captured request before it is stored, and again on every export.
+// Depends on lib/http.js.
+
+const DEFAULT_REDACTION_SETTINGS = {
+  enabled: true,
+  // 'mask' replaces values with [REDACTED], 'hash' with a short SHA-256 so equal values stay recognisable
+  mode: 'mask',
+  rules: {
+    authHeaders: true,
+    cookies: true,
+    jwts: true,
+    bearerTokens: true,
+    emails: true,
+    cardNumbers: true,
+    queryKeys: true,
+    bodyKeys: true
+  },
+  authHeaders: [
+    'authorization',
+    'proxy-authorization',
+    'x-api-key',
+    'api-key',
+    'x-auth-token',
+    'x-access-token',
+    'x-csrf-token',
+    'x-xsrf-token'
+  ],
+  // Query-string and form keys whose values are always secret
+  sensitiveQueryKeys: [
+    'token',
+    'access_token',
+    'refresh_token',
+    'id_token',
+    'api_key',
+    'apikey',
+    'key',
+    'secret',
+    'client_secret',
+    'password',
+    'signature',
+    'sig',
+    'code'
+  ],
+  // JSON body keys whose values are always secret ("code" and "key" are too common in JSON to include)
+  sensitiveBodyKeys: [
+    'token',
+    'access_token',
+    'accessToken',
+    'refresh_token',
+    'refreshToken',
+    'id_token',
+    'idToken',
+    'api_key',
+    'apiKey',
+    'secret',
+    'client_secret',
+    'clientSecret',
+    'password',
+    'passwd',
+    'newPassword',
+    'currentPassword'
+  ],
+  // User rules: JSONPath expressions (starting with $) or /regex/flags patterns
+  customRules: []
+};
+
+const JWT_PATTERN = /\beyJ[A-Za-z0-9_-]+\.eyJ[A-Za-z0-9_-]+\.[A-Za-z0-9_-]*/g;
+const BEARER_PATTERN = /\b(Bearer)\s+[A-Za-z0-9._~+/-]+=*/gi;
+const EMAIL_PATTERN = /[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}/g;
+const CARD_PATTERN = /\b\d(?:[ -]?\d){12,18}\b/g;
+// Visa, Mastercard, Amex, Discover and friends, other long numbers are ids or timestamps
+const CARD_PREFIX_PATTERN = /^(4|5[1-5]|2[2-7]|3[47]|6)/;
+// Values under these keys are ids even when they look like a card number
+const ID_KEY_PATTERN = /^(id|uuid|guid)$|[_-](id|uuid|guid)$|[a-z0-9](Id|ID|Uuid|Guid)$/i;
+const REDACTED_VALUE = /^\[(REDACTED|HASH)(:[^\]]*)?\]$/;
+
+// Fills in defaults for settings saved by an older version
+function normalizeRedactionSettings(settings) {
+  const merged = { ...DEFAULT_REDACTION_SETTINGS, ...(settings || {}) };
+  merged.rules = { ...DEFAULT_REDACTION_SETTINGS.rules, ...((settings && settings.rules) || {}) };
+  return merged;
+}
+
+// Compact synchronous SHA-256, crypto.subtle is async and capture handlers are not
+function sha256Hex(text) {
+  const k = [];
+  const h = [];
+  let candidate = 2;
+  for (let found = 0; found < 64; candidate++) {
+    let isPrime = true;
+    for (let factor = 2; factor * factor <= candidate; factor++) {
+      if (candidate % factor === 0) {
+        isPrime = false;
+        break;
+      }
+    }
+    if (isPrime) {
+      if (found < 8) h[found] = (Math.pow(candidate, 1 / 2) * 0x100000000) | 0;
+      k[found++] = (Math.pow(candidate, 1 / 3) * 0x100000000) | 0;
+    }
+  }
+
+  const bytes = Array.from(new TextEncoder().encode(text));
+  const bitLength = bytes.length * 8;
+  bytes.push(0x80);
+  while (bytes.length % 64 !== 56) bytes.push(0);
+  for (let shift = 56; shift >= 0; shift -= 8) {
+    bytes.push(shift >= 32 ? Math.floor(bitLength / Math.pow(2, shift)) & 0xff : (bitLength >>> shift) & 0xff);
+  }
+
+  const rotate = (value, amount) => (value >>> amount) | (value << (32 - amount));
+  for (let offset = 0; offset < bytes.length; offset += 64) {
+    const w = [];
+    for (let i = 0; i < 16; i++) {
+      w[i] = (bytes[offset + i * 4] << 24) | (bytes[offset + i * 4 + 1] << 16) | (bytes[offset + i * 4 + 2] << 8) | bytes[offset + i * 4 + 3];
+    }
+    for (let i = 16; i < 64; i++) {
+      const s0 = rotate(w[i - 15], 7) ^ rotate(w[i - 15], 18) ^ (w[i - 15] >>> 3);
+      const s1 = rotate(w[i - 2], 17) ^ rotate(w[i - 2], 19) ^ (w[i - 2] >>> 10);
+      w[i] = (w[i - 16] + s0 + w[i - 7] + s1) | 0;
+    }
+
+    let [a, b, c, d, e, f, g, hh] = h;
+    for (let i = 0; i < 64; i++) {
+      const t1 = (hh + (rotate(e, 6) ^ rotate(e, 11) ^ rotate(e, 25)) + ((e & f) ^ (~e & g)) + k[i] + w[i]) | 0;
+      const t2 = ((rotate(a, 2) ^ rotate(a, 13) ^ rotate(a, 22)) + ((a & b) ^ (a & c) ^ (b & c))) | 0;
+      hh = g;
+      g = f;
+      f = e;
+      e = (d + t1) | 0;
+      d = c;
+      c = b;
+      b = a;
+      a = (t1 + t2) | 0;
+    }
+    [a, b, c, d, e, f, g, hh].forEach((value, i) => { h[i] = (h[i] + value) | 0; });
+  }
+
+  return h.map(value => (value >>> 0).toString(16).padStart(8, '0')).join('');
+}
+
+// Luhn check, so order numbers and timestamps aren't mistaken for card numbers
+function passesLuhn(digits) {
+  let sum = 0;
+  for (let i = 0; i < digits.length; i++) {
+    let digit = Number(digits[digits.length - 1 - i]);
+    if (i % 2 === 1) {
+      digit *= 2;
+      if (digit > 9) digit -= 9;
+    }
+    sum += digit;
+  }
+  return sum % 10 === 0;
+}
+
+// Builds the redactor for one set of settings
+function createRedactor(settings) {
+  const { rules, mode } = settings;
+  const authHeaders = settings.authHeaders.map(name => name.toLowerCase());
+  const sensitiveQueryKeys = settings.sensitiveQueryKeys.map(key => key.toLowerCase());
+  const sensitiveBodyKeys = settings.sensitiveBodyKeys.map(key => key.toLowerCase());
+
+  const jsonPaths = [];
+  const regexRules = [];
+  for (const rule of settings.customRules) {
+    const trimmed = rule.trim();
+    if (trimmed.startsWith('$')) {
+      jsonPaths.push(parseJsonPath(trimmed));
+    } else if (trimmed) {
+      const match = trimmed.match(/^\/(.+)\/([a-z]*)$/);
+      try {
+        regexRules.push(match ? new RegExp(match[1], match[2].includes('g') ? match[2] : match[2] + 'g') : new RegExp(trimmed, 'g'));
+      } catch (error) {
+        console.error('Ignoring invalid redaction rule:', rule, error);
+      }
+    }
+  }
+
+  // Replacement for one secret value; hashing keeps equal values equal across requests
+  function replace(value, label) {
+    if (mode === 'hash') {
+      return `[HASH:${sha256Hex(String(value)).slice(0, 12)}]`;
+    }
+    return label ? `[REDACTED:${label}]` : '[REDACTED]';
+  }
+
+  function isSensitiveQueryKey(key) {
+    return rules.queryKeys && sensitiveQueryKeys.includes(String(key).toLowerCase());
+  }
+
+  function isSensitiveBodyKey(key) {
+    return rules.bodyKeys && sensitiveBodyKeys.includes(String(key).toLowerCase());
+  }
+
+  // Applies the pattern rules to any piece of text. Card numbers are left alone in ids and URL paths,
+  // where a long number is a record id far more often than a card.
+  function redactText(text, skipCards) {
+    if (typeof text !== 'string' || !text || REDACTED_VALUE.test(text)) return text;
+    let result = text;
+    if (rules.jwts) result = result.replace(JWT_PATTERN, match => replace(match, 'jwt'));
+    if (rules.bearerTokens) {
+      result = result.replace(BEARER_PATTERN, (match, scheme) => (
+        REDACTED_VALUE.test(match.slice(scheme.length).trim()) ? match : `${scheme} ${replace(match, 'token')}`
+      ));
+    }
+    if (rules.emails) result = result.replace(EMAIL_PATTERN, match => replace(match, 'email'));
+    if (rules.cardNumbers && !skipCards) {
+      result = result.replace(CARD_PATTERN, match => {
+        const digits = match.replace(/\D/g, '');
+        return CARD_PREFIX_PATTERN.test(digits) && passesLuhn(digits) ? replace(match, 'card') : match;
+      });
+    }
+    for (const regex of regexRules) {
+      regex.lastIndex = 0;
+      result = result.replace(regex, match => replace(match));
+    }
+    return result;
+  }
+
+  // Replaces the value of one "name=value" cookie pair
+  function redactCookiePair(pair) {
+    const index = pair.indexOf('=');
+    if (index === -1 || REDACTED_VALUE.test(pair.slice(index + 1))) return pair;
+    return `${pair.slice(0, index)}=${replace(pair.slice(index + 1), 'cookie')}`;
+  }
+
+  // Keeps cookie names, hides their values
+  function redactCookies(value, isSetCookie) {
+    return String(value).split('\n').map(line => {
+      if (isSetCookie) {
+        // Only the first pair is the cookie, the rest are attributes like Path and Expires
+        const [pair, ...attributes] = line.split(';');
+        return [redactCookiePair(pair), ...attributes].join(';');
+      }
+      return line.split(';').map(redactCookiePair).join(';');
+    }).join('\n');
+  }
+
+  function redactHeaderValue(name, value) {
+    const lowerName = name.toLowerCase();
+    if (REDACTED_VALUE.test(String(value))) return value;
+    if (rules.authHeaders && authHeaders.includes(lowerName)) {
+      // Keep the scheme ("Bearer", "Basic") so the docs still show how auth works
+      const match = String(value).match(/^(\w+)\s+(.+)$/);
+      if (match && /^(bearer|basic|digest|token|apikey)$/i.test(match[1])) {
+        return REDACTED_VALUE.test(match[2]) ? value : `${match[1]} ${replace(match[2], 'token')}`;
+      }
+      return replace(value, 'secret');
+    }
+    if (rules.cookies && (lowerName === 'cookie' || lowerName === 'set-cookie')) {
+      return redactCookies(value, lowerName === 'set-cookie');
+    }
+    return redactText(String(value));
+  }
+
+  function redactHeaders(headers) {
+    if (!headers) return headers;
+    if (Array.isArray(headers)) {
+      return headers.map(header => ({ ...header, value: redactHeaderValue(header.name, header.value) }));
+    }
+    const redacted = {};
+    for (const [name, value] of Object.entries(headers)) {
+      redacted[name] = redactHeaderValue(name, value);
+    }
+    return redacted;
+  }
+
+  // Hides sensitive keys of a query string or form body and applies the text rules to the other values.
+  // Returns the text as it was when nothing matched, re-encoding would change it anyway.
+  function redactParams(text) {
+    const redacted = new URLSearchParams();
+    let changed = false;
+    for (const [key, value] of new URLSearchParams(text)) {
+      const result = isSensitiveQueryKey(key) && !REDACTED_VALUE.test(value) ? replace(value, key) : redactText(value, ID_KEY_PATTERN.test(key));
+      if (result !== value) changed = true;
+      redacted.append(key, result);
+    }
+    return changed ? redacted.toString() : text;
+  }
+
+  function redactUrl(urlString) {
+    let url;
+    try {
+      url = new URL(urlString);
+    } catch (error) {
+      return redactText(urlString);
+    }
+    const query = url.search.slice(1);
+    const search = query ? redactParams(query) : '';
+    const pathname = redactText(url.pathname, true);
+    if (search === query && pathname === url.pathname) return urlString;
+    return `${url.origin}${pathname}${search ? '?' + search : ''}${url.hash}`;
+  }
+
+  function redactJsonValue(value, key) {
+    if (key !== undefined && isSensitiveBodyKey(key) && value !== null && typeof value !== 'object') {
+      return REDACTED_VALUE.test(String(value)) ? value : replace(value, String(key).toLowerCase());
+    }
+    if (typeof value === 'string') return redactText(value, key !== undefined && ID_KEY_PATTERN.test(String(key)));
+    if (Array.isArray(value)) return value.map(item => redactJsonValue(item));
+    if (value && typeof value === 'object') {
+      const result = {};
+      for (const [childKey, child] of Object.entries(value)) {
+        result[childKey] = redactJsonValue(child, childKey);
+      }
+      return result;
+    }
+    return value;
+  }
+
+  function redactBody(body, contentType) {
+    if (typeof body !== 'string' || !body) return body;
+
+    const parsed = parseJsonBody(body);
+    if (parsed !== undefined && typeof parsed === 'object') {
+      let redacted = redactJsonValue(parsed);
+      for (const path of jsonPaths) {
+        redacted = applyJsonPath(redacted, path, value => (REDACTED_VALUE.test(String(value)) ? value : replace(JSON.stringify(value))));
+      }
+      // Serializing again loses the formatting and rounds integers above 2^53, so only do it when something was replaced
+      const text = JSON.stringify(redacted);
+      return text === JSON.stringify(parsed) ? body : text;
+    }
+
+    if (getMediaType(contentType) === 'application/x-www-form-urlencoded') {
+      return redactParams(body);
+    }
+    return redactText(body);
+  }
+
+  // Returns a redacted copy of a recorded request
+  function redactRecord(record) {
+    const redacted = { ...record };
+    redacted.url = redactUrl(record.url);
+    // The page and script URLs can carry tokens in their query too
+    if (record.pageUrl) redacted.pageUrl = redactUrl(record.pageUrl);
+    if (record.initiator) {
+      redacted.initiator = { ...record.initiator };
+      if (record.initiator.url) redacted.initiator.url = redactUrl(record.initiator.url);
+      if (record.initiator.frames) {
+        redacted.initiator.frames = record.initiator.frames.map(frame => ({ ...frame, url: redactUrl(frame.url) }));
+      }
+    }
+    // Decoded JWT claims (see lib/auth.js) can hold emails and other personal data
+    if (record.jwt) redacted.jwt = { ...record.jwt, claims: redactJsonValue(record.jwt.claims) };
+    redacted.requestHeaders = redactHeaders(record.requestHeaders);
+    redacted.responseHeaders = redactHeaders(record.responseHeaders);
+    redacted.requestBody = redactBody(record.requestBody, getHeaderValue(record.requestHeaders, 'content-type'));
+    redacted.responseBody = redactBody(record.responseBody, getHeaderValue(record.responseHeaders, 'content-type'));
+    // The base64 copy would leak whatever was redacted from the decoded body
+    if (redacted.responseBody !== record.responseBody) {
+      delete redacted.responseBodyBase64;
+    }
+    // WebSocket frames and event-stream messages, binary frames (opcode 2) are base64 and left alone
+    if (record.messages) {
+      redacted.messages = record.messages.map(message => (
+        message.opcode === 2 ? message : { ...message, data: redactBody(message.data) }
+      ));
+    }
+    redacted.redacted = true;
+    return redacted;
+  }
+
+  return { redactRecord, redactText, redactHeaders, redactUrl, redactBody };
+}
+
+// Parses the JSONPath subset we support: $.a.b, $['a'], $.a[0], $.a[*], $..a
+function parseJsonPath(path) {
+  const steps = [];
+  const tokenPattern = /\.\.([A-Za-z_$][\w$-]*|\*)|\.([A-Za-z_$][\w$-]*|\*)|\[\s*(\d+|\*|'[^']*'|"[^"]*")\s*\]/g;
+  let rest = path.slice(1);
+  let match;
+  let consumed = 0;
+  while ((match = tokenPattern.exec(rest)) !== null) {
+    if (match.index !== consumed) break;
+    consumed = tokenPattern.lastIndex;
+    if (match[1]) {
+      steps.push({ type: 'descendant', key: match[1] });
+    } else {
+      const raw = match[2] || match[3];
+      const key = /^['"]/.test(raw) ? raw.slice(1, -1) : raw;
+      steps.push({ type: 'child', key });
+    }
+  }
+  if (consumed !== rest.length) {
+    console.error('Unsupported JSONPath, only part of it is used:', path);
+  }
+  return steps;
+}
+
+// Returns a copy of value with every node matched by the parsed path passed through transform
+function applyJsonPath(value, steps, transform) {
+  if (!steps.length) return transform(value);
+  if (value === null || typeof value !== 'object') return value;
+
+  const [step, ...rest] = steps;
+  const copy = Array.isArray(value) ? value.slice() : { ...value };
+  const keys = step.key === '*' ? Object.keys(copy) : [step.key];
+
+  for (const key of keys) {
+    if (Object.prototype.hasOwnProperty.call(copy, key)) {
+      copy[key] = applyJsonPath(copy[key], rest, transform);
+    }
+  }
+
+  // Recursive descent also looks for the same step further down the tree
+  if (step.type === 'descendant') {
+    for (const key of Object.keys(copy)) {
+      if (copy[key] !== null && typeof copy[key] === 'object') {
+        copy[key] = applyJsonPath(copy[key], steps, transform);
+      }
+    }
+  }
+  return copy;
+}
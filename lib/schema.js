@@ -0,0 +1,154 @@
+// JSON Schema inference from recorded JSON samples.
+// Every sample is folded into one summary node per position, which is then turned into a schema.
+// That way required/optional, nullability, enums and formats are decided from all samples at once.
+// Depends on lib/redact.js.
+
+// Strings with 2 to this many distinct values (each seen at least twice on average) become an enum,
+// a single value is just what happened to be recorded
+const ENUM_MAX_VALUES = 6;
+const ENUM_MIN_SAMPLES = 3;
+const ENUM_MAX_LENGTH = 40;
+// Distinct string values tracked per field before we give up on an enum
+const MAX_TRACKED_VALUES = 20;
+
+// Checked in order, the first format every string sample matches wins
+const STRING_FORMATS = [
+  ['date-time', /^\d{4}-(0[1-9]|1[0-2])-(0[1-9]|[12]\d|3[01])[T ]([01]\d|2[0-3]):[0-5]\d(:([0-5]\d|60)(\.\d+)?)?(Z|[+-]([01]\d|2[0-3]):?[0-5]\d)?$/i],
+  ['date', /^\d{4}-(0[1-9]|1[0-2])-(0[1-9]|[12]\d|3[01])$/],
+  ['time', /^([01]\d|2[0-3]):[0-5]\d:([0-5]\d|60)(\.\d+)?(Z|[+-]([01]\d|2[0-3]):?[0-5]\d)?$/i],
+  ['uuid', /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i],
+  ['email', /^[^\s@]+@[^\s@]+\.[^\s@]+$/],
+  ['uri', /^https?:\/\/[^\s]+$/i],
+  ['ipv4', /^(\d{1,3}\.){3}\d{1,3}$/]
+];
+
+// Returns the JSON Schema type name for a parsed JSON value
+function getJsonType(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+  return typeof value; // 'string', 'boolean' or 'object'
+}
+
+function getStringFormats(value) {
+  return STRING_FORMATS.filter(([, pattern]) => pattern.test(value)).map(([format]) => format);
+}
+
+// Folds one sample into a summary node (or starts a new one)
+function addSchemaSample(node, value) {
+  node = node || { count: 0, types: new Set() };
+  node.count++;
+  const type = getJsonType(value);
+  node.types.add(type);
+
+  if (type === 'string') {
+    node.stringCount = (node.stringCount || 0) + 1;
+    // Redaction markers say nothing about the real values: they are no format, and the field can't be an enum
+    // when some of its values are hidden
+    if (REDACTED_VALUE.test(value)) {
+      node.hasRedactedValues = true;
+      return node;
+    }
+    // Formats every string so far matched
+    node.formats = node.formats ? node.formats.filter(format => getStringFormats(value).includes(format)) : getStringFormats(value);
+    if (!node.tooManyValues) {
+      node.values = node.values || new Map();
+      node.values.set(value, (node.values.get(value) || 0) + 1);
+      if (node.values.size > MAX_TRACKED_VALUES) {
+        node.tooManyValues = true;
+        node.values = null;
+      }
+    }
+  } else if (type === 'object') {
+    node.objectCount = (node.objectCount || 0) + 1;
+    node.properties = node.properties || new Map();
+    for (const [key, child] of Object.entries(value)) {
+      node.properties.set(key, addSchemaSample(node.properties.get(key), child));
+    }
+  } else if (type === 'array') {
+    node.arrayCount = (node.arrayCount || 0) + 1;
+    for (const item of value) {
+      node.items = addSchemaSample(node.items, item);
+    }
+  }
+  return node;
+}
+
+function isEnumCandidate(node) {
+  if (!node.values || node.hasRedactedValues || node.stringCount < ENUM_MIN_SAMPLES || (node.formats && node.formats.length)) return false;
+  const values = [...node.values.keys()];
+  return values.length >= 2 && values.length <= ENUM_MAX_VALUES &&
+    values.length * 2 <= node.stringCount &&
+    values.every(value => value !== '' && value.length <= ENUM_MAX_LENGTH);
+}
+
+// Turns a summary node into a JSON Schema
+function finalizeSchema(node) {
+  const types = new Set(node.types);
+  // An integer sample next to a decimal sample just means "number"
+  if (types.has('number')) types.delete('integer');
+  // Nullable fields get "null" as a second type, listed last
+  const typeList = [...types].sort((a, b) => (a === 'null') - (b === 'null'));
+  const schema = { type: typeList.length === 1 ? typeList[0] : typeList };
+
+  if (types.has('string')) {
+    if (node.formats && node.formats.length) {
+      schema.format = node.formats[0];
+    } else if (typeList.every(type => type === 'string' || type === 'null') && isEnumCandidate(node)) {
+      // An enum next to numbers or objects would reject them
+      schema.enum = [...node.values.keys()].sort();
+      if (types.has('null')) schema.enum.push(null);
+    }
+  }
+
+  if (node.properties) {
+    schema.properties = {};
+    const required = [];
+    for (const [key, child] of node.properties) {
+      schema.properties[key] = finalizeSchema(child);
+      // A field is only required if every object sample had it
+      if (child.count >= node.objectCount) required.push(key);
+    }
+    schema.required = required;
+  }
+
+  if (node.items) {
+    schema.items = finalizeSchema(node.items);
+  }
+
+  return schema;
+}
+
+// Infers a schema from a single parsed JSON value
+function inferSchema(value) {
+  return finalizeSchema(addSchemaSample(null, value));
+}
+
+// Infers one schema covering every sample value
+function inferSchemaFromSamples(values) {
+  if (!values.length) return null;
+  return finalizeSchema(values.reduce((node, value) => addSchemaSample(node, value), null));
+}
+
+// Shortens a sample for display next to its schema: long arrays, long strings and deep nesting are cut
+function trimExample(value, options = {}) {
+  const { maxArrayItems = 3, maxStringLength = 200, maxDepth = 8 } = options;
+
+  function trim(current, depth) {
+    if (typeof current === 'string') {
+      return current.length > maxStringLength ? `${current.slice(0, maxStringLength)}...` : current;
+    }
+    if (!current || typeof current !== 'object') return current;
+    if (depth >= maxDepth) return Array.isArray(current) ? [] : {};
+    if (Array.isArray(current)) {
+      return current.slice(0, maxArrayItems).map(item => trim(item, depth + 1));
+    }
+    const trimmed = {};
+    for (const [key, child] of Object.entries(current)) {
+      trimmed[key] = trim(child, depth + 1);
+    }
+    return trimmed;
+  }
+
+  return trim(value, 0);
+}
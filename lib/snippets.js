@@ -0,0 +1,185 @@
+// Client snippets (curl, fetch, axios, Python requests) that replay a recorded request.
+// Redacted values ([REDACTED:token], [HASH:...]) become {{placeholders}} to fill in before running.
+// Depends on lib/http.js.
+
+// Headers the client sets by itself, copying them only causes trouble
+const SNIPPET_SKIPPED_HEADERS = ['host', 'content-length', 'connection', 'accept-encoding'];
+const REDACTED_PATTERN = /\[(REDACTED|HASH)(?::([^\]]*))?\]/g;
+// The same markers after URLSearchParams encoded them
+const ENCODED_REDACTED_PATTERN = /%5B(REDACTED|HASH)(?:%3A([^%]*))?%5D/gi;
+
+function getPlaceholderName(kind, label) {
+  if (kind.toUpperCase() === 'HASH') {
+    // Equal hashes were equal values, so they share a placeholder
+    return `secret_${label.slice(0, 6)}`;
+  }
+  return label ? label.replace(/[^A-Za-z0-9_]/g, '_') : 'secret';
+}
+
+// Swaps redaction markers for {{name}} placeholders
+function toPlaceholders(text) {
+  if (typeof text !== 'string') return text;
+  const replacer = (match, kind, label = '') => `{{${getPlaceholderName(kind, label)}}}`;
+  return text.replace(REDACTED_PATTERN, replacer).replace(ENCODED_REDACTED_PATTERN, replacer);
+}
+
+// Placeholder names used by a request, in order of appearance
+function getSnippetPlaceholders(request) {
+  const text = [
+    request.url,
+    ...getHeaderEntries(request.requestHeaders).map(([, value]) => value),
+    request.requestBody || ''
+  ].map(toPlaceholders).join('\n');
+  return [...new Set([...text.matchAll(/\{\{(\w+)\}\}/g)].map(match => match[1]))];
+}
+
+// The parts of a request every snippet needs, with placeholders already filled in
+function getSnippetParts(request) {
+  const headers = getHeaderEntries(request.requestHeaders)
+    .filter(([name]) => !name.startsWith(':') && !SNIPPET_SKIPPED_HEADERS.includes(name.toLowerCase()))
+    .map(([name, value]) => [name, toPlaceholders(String(value))]);
+  const body = request.requestBody ? toPlaceholders(request.requestBody) : undefined;
+  const json = getMediaType(getHeaderValue(request.requestHeaders, 'content-type')).includes('json')
+    ? parseJsonBody(body)
+    : undefined;
+  return {
+    method: (request.method || 'GET').toUpperCase(),
+    url: toPlaceholders(request.url),
+    headers,
+    body,
+    json,
+    truncated: !!request.requestBodyTruncated
+  };
+}
+
+// Wraps text in single quotes for a POSIX shell
+function shellQuote(text) {
+  return `'${String(text).replace(/'/g, `'\\''`)}'`;
+}
+
+function buildCurlSnippet(request) {
+  const parts = getSnippetParts(request);
+  const lines = [`curl ${shellQuote(parts.url)}`];
+  if (parts.method !== 'GET' || parts.body !== undefined) {
+    lines[0] = `curl -X ${parts.method} ${shellQuote(parts.url)}`;
+  }
+  for (const [name, value] of parts.headers) {
+    lines.push(`-H ${shellQuote(`${name}: ${value}`)}`);
+  }
+  if (parts.body !== undefined) {
+    lines.push(`--data-raw ${shellQuote(parts.body)}`);
+  }
+  const snippet = lines.join(' \\\n  ');
+  return parts.truncated ? `# The recorded body was truncated\n${snippet}` : snippet;
+}
+
+// Indents every line after the first one, for nesting JSON inside code
+function indentLines(text, indent) {
+  return text.split('\n').join(`\n${indent}`);
+}
+
+function buildJsHeaders(headers, indent) {
+  if (!headers.length) return '{}';
+  const entries = headers.map(([name, value]) => `${indent}  ${JSON.stringify(name)}: ${JSON.stringify(value)}`);
+  return `{\n${entries.join(',\n')}\n${indent}}`;
+}
+
+function buildFetchSnippet(request) {
+  const parts = getSnippetParts(request);
+  const options = [`  method: ${JSON.stringify(parts.method)}`];
+  if (parts.headers.length) {
+    options.push(`  headers: ${buildJsHeaders(parts.headers, '  ')}`);
+  }
+  if (parts.json !== undefined) {
+    options.push(`  body: JSON.stringify(${indentLines(JSON.stringify(parts.json, null, 2), '  ')})`);
+  } else if (parts.body !== undefined) {
+    options.push(`  body: ${JSON.stringify(parts.body)}`);
+  }
+  const lines = [
+    `const response = await fetch(${JSON.stringify(parts.url)}, {`,
+    options.join(',\n'),
+    '});',
+    getMediaType(getHeaderValue(request.responseHeaders, 'content-type') || request.mimeType).includes('json')
+      ? 'const data = await response.json();'
+      : 'const data = await response.text();'
+  ];
+  if (parts.truncated) lines.unshift('// The recorded body was truncated');
+  return lines.join('\n');
+}
+
+function buildAxiosSnippet(request) {
+  const parts = getSnippetParts(request);
+  const options = [
+    `  method: ${JSON.stringify(parts.method.toLowerCase())}`,
+    `  url: ${JSON.stringify(parts.url)}`
+  ];
+  if (parts.headers.length) {
+    options.push(`  headers: ${buildJsHeaders(parts.headers, '  ')}`);
+  }
+  if (parts.json !== undefined) {
+    options.push(`  data: ${indentLines(JSON.stringify(parts.json, null, 2), '  ')}`);
+  } else if (parts.body !== undefined) {
+    options.push(`  data: ${JSON.stringify(parts.body)}`);
+  }
+  const lines = [
+    "import axios from 'axios';",
+    '',
+    'const { data } = await axios({',
+    options.join(',\n'),
+    '});'
+  ];
+  if (parts.truncated) lines.unshift('// The recorded body was truncated');
+  return lines.join('\n');
+}
+
+// Writes a parsed JSON value as a Python literal
+function toPythonLiteral(value, indent = '') {
+  if (value === null) return 'None';
+  if (value === true) return 'True';
+  if (value === false) return 'False';
+  if (typeof value === 'string' || typeof value === 'number') return JSON.stringify(value);
+  const inner = `${indent}    `;
+  if (Array.isArray(value)) {
+    if (!value.length) return '[]';
+    return `[\n${value.map(item => inner + toPythonLiteral(item, inner)).join(',\n')}\n${indent}]`;
+  }
+  const entries = Object.entries(value);
+  if (!entries.length) return '{}';
+  return `{\n${entries.map(([key, child]) => `${inner}${JSON.stringify(key)}: ${toPythonLiteral(child, inner)}`).join(',\n')}\n${indent}}`;
+}
+
+function buildPythonSnippet(request) {
+  const parts = getSnippetParts(request);
+  const lines = ['import requests', ''];
+  const args = [`    ${JSON.stringify(parts.method)}`, `    ${JSON.stringify(parts.url)}`];
+  if (parts.headers.length) {
+    lines.push(`headers = ${toPythonLiteral(Object.fromEntries(parts.headers))}`);
+    args.push('    headers=headers');
+  }
+  if (parts.json !== undefined) {
+    lines.push(`payload = ${toPythonLiteral(parts.json)}`);
+    args.push('    json=payload');
+  } else if (parts.body !== undefined) {
+    lines.push(`payload = ${JSON.stringify(parts.body)}`);
+    args.push('    data=payload');
+  }
+  if (parts.truncated) lines.push('# The recorded body was truncated');
+  lines.push(`response = requests.request(\n${args.join(',\n')}\n)`);
+  lines.push('print(response.status_code, response.text)');
+  return lines.join('\n');
+}
+
+// Every snippet kind: id, title and the language name for Markdown code blocks
+const SNIPPET_TYPES = [
+  { id: 'curl', title: 'curl', language: 'bash', build: buildCurlSnippet },
+  { id: 'fetch', title: 'JavaScript (fetch)', language: 'javascript', build: buildFetchSnippet },
+  { id: 'axios', title: 'JavaScript (axios)', language: 'javascript', build: buildAxiosSnippet },
+  { id: 'python', title: 'Python (requests)', language: 'python', build: buildPythonSnippet }
+];
+
+// Builds the snippets of one request, optionally only some kinds: [{ id, title, language, code }]
+function buildSnippets(request, ids) {
+  return SNIPPET_TYPES
+    .filter(type => !ids || ids.includes(type.id))
+    .map(({ build, ...type }) => ({ ...type, code: build(request) }));
+}
@@ -0,0 +1,91 @@
+// Step markers split a recording into the steps of a flow ("Login", "Checkout"),
+// and endpoint notes are descriptions the user wrote for an endpoint.
+// Every request remembers the step that was active when it started (request.step).
+// Depends on lib/connections.js and lib/graphql.js.
+
+// Name for a marker added without one (from the keyboard shortcut for example)
+function getDefaultStepName(steps) {
+  return `Step ${(steps || []).length + 1}`;
+}
+
+// Endpoints are named like "GET /users/{id}"
+function getEndpointKey(method, template) {
+  return `${method} ${template}`;
+}
+
+// Notes are saved for the call they were written on, like "GET /users/42". Templates can change as more
+// calls are recorded and every export groups its own set of requests, so a note only finds its endpoint
+// when an export runs, with the normalizer of that export.
+function getNoteKey(method, url) {
+  return `${method} ${new URL(url).pathname}`;
+}
+
+// The endpoint a note belongs to with the templates of a normalizer
+function getNoteEndpoint(noteKey, normalizer) {
+  const index = noteKey.indexOf(' ');
+  return getEndpointKey(noteKey.slice(0, index), normalizer.getTemplate(noteKey.slice(index + 1)));
+}
+
+// Session notes by the endpoint key of a normalizer: { "GET /users/{id}": note }.
+// Notes of calls that end up in the same endpoint are joined.
+function resolveEndpointNotes(notes, normalizer) {
+  const resolved = {};
+  for (const [noteKey, note] of Object.entries(notes || {})) {
+    const endpoint = getNoteEndpoint(noteKey, normalizer);
+    resolved[endpoint] = resolved[endpoint] && resolved[endpoint] !== note ? `${resolved[endpoint]}\n\n${note}` : note;
+  }
+  return resolved;
+}
+
+// Steps in the order they were used: a step that comes back later ("Login" again) gets a second entry.
+// Returns [{ step, requests }], step is null for requests made before the first marker.
+function groupRequestsBySteps(requests) {
+  const groups = [];
+  const sorted = requests.slice().sort((a, b) => a.timestamp - b.timestamp);
+  for (const request of sorted) {
+    const step = request.step || null;
+    const last = groups[groups.length - 1];
+    if (last && last.step === step) {
+      last.requests.push(request);
+    } else {
+      groups.push({ step, requests: [request] });
+    }
+  }
+  return groups;
+}
+
+// Names of the steps a list of requests was made in, in recording order
+function getRequestSteps(requests) {
+  return [...new Set(groupRequestsBySteps(requests).map(group => group.step).filter(Boolean))];
+}
+
+// Short name of a call in a flow: the path template, plus the operation names for GraphQL
+function describeFlowCall(request, normalizer) {
+  const url = new URL(request.url);
+  if (isConnectionRecord(request)) {
+    return `${request.kind === 'websocket' ? 'WebSocket' : 'EventSource'} ${url.host}${url.pathname}`;
+  }
+  const call = `${request.method} ${normalizer.getTemplate(url.pathname)}`;
+  const operations = getGraphqlOperations(request);
+  if (!operations.length) return call;
+  const names = operations.map(operation => `${operation.operationType || 'operation'} ${operation.operationName || 'anonymous'}`);
+  return `${call} (${names.join(', ')})`;
+}
+
+// The calls of one step in order, repeated calls one after another are counted instead of listed again:
+// [{ call, statuses, count }]
+function summarizeFlowCalls(requests, normalizer) {
+  const calls = [];
+  for (const request of requests) {
+    const call = describeFlowCall(request, normalizer);
+    const status = request.error ? 'failed' : String(request.status || 'no response');
+    const last = calls[calls.length - 1];
+    if (last && last.call === call) {
+      last.count++;
+      if (!last.statuses.includes(status)) last.statuses.push(status);
+    } else {
+      calls.push({ call, statuses: [status], count: 1 });
+    }
+  }
+  return calls;
+}
@@ -0,0 +1,73 @@
+// Live JSONL stream of finished requests, one JSON object per line.
+// Lines go to a collector on localhost (see tools/collector.js) or into rolling .jsonl downloads.
+// The line format is documented in the README ("Streaming to Scripts"), bump STREAM_SCHEMA when it changes.
+// Depends on lib/http.js.
+
+const STREAM_SCHEMA = 'api-recorder/request@1';
+
+const DEFAULT_STREAMING_SETTINGS = {
+  enabled: false,
+  // 'collector' posts lines to collectorUrl, 'download' saves a .jsonl file every rollEvery requests
+  target: 'collector',
+  collectorUrl: 'http://localhost:8765/requests',
+  rollEvery: 100
+};
+
+// Fills in defaults for settings saved by an older version
+function normalizeStreamingSettings(settings) {
+  return { ...DEFAULT_STREAMING_SETTINGS, ...(settings || {}) };
+}
+
+// The extension may only talk to the local machine (see host_permissions in manifest.json)
+function isLocalCollectorUrl(urlString) {
+  try {
+    const url = new URL(urlString);
+    return url.protocol === 'http:' && ['localhost', '127.0.0.1', '[::1]'].includes(url.hostname);
+  } catch (error) {
+    return false;
+  }
+}
+
+function toHeaderObject(headers) {
+  return headers ? Object.fromEntries(getHeaderEntries(headers)) : {};
+}
+
+// One line of the stream. Every key is always there (null when unknown), so scripts can rely on the shape.
+function buildStreamRecord(request, requestKey, sessionId) {
+  const duration = request.startTime && request.endTime ? Math.round((request.endTime - request.startTime) * 1000) : null;
+  return {
+    schema: STREAM_SCHEMA,
+    sessionId,
+    id: requestKey,
+    kind: request.kind || 'http',
+    tabId: request.tabId !== undefined ? request.tabId : null,
+    frameId: request.frameId || null,
+    pageUrl: request.pageUrl || null,
+    step: request.step || null,
+    startedAt: new Date(request.timestamp).toISOString(),
+    durationMs: duration,
+    method: request.method,
+    url: request.url,
+    status: request.status || null,
+    statusText: request.statusText || null,
+    request: {
+      headers: toHeaderObject(request.requestHeaders),
+      body: request.requestBody !== undefined ? request.requestBody : null,
+      bodyTruncated: !!request.requestBodyTruncated
+    },
+    response: {
+      headers: toHeaderObject(request.responseHeaders),
+      mimeType: request.mimeType || null,
+      body: request.responseBody !== undefined ? request.responseBody : request.responseBodyBase64 || null,
+      bodyEncoding: request.responseBody !== undefined ? 'text' : request.responseBodyBase64 ? 'base64' : null,
+      bodyTruncated: !!request.responseBodyTruncated,
+      bodySize: request.responseBodySize !== undefined ? request.responseBodySize : null,
+      transferSize: request.encodedDataLength !== undefined ? request.encodedDataLength : null
+    },
+    redirectedFrom: request.redirectedFrom || null,
+    redirectURL: request.redirectURL || null,
+    error: request.error || request.responseError || null,
+    messages: request.messages || null,
+    redacted: !!request.redacted
+  };
+}
@@ -0,0 +1,280 @@
+// Contract/regression test suites (Vitest, Jest or Playwright API tests) built from a recording.
+// Every endpoint gets a describe block with one test per recorded status. A test replays the recorded
+// request and checks the status, the content type and the response shape. Hosts and secrets come from
+// environment variables, values that change on every call (IDs, timestamps...) are only checked by type.
+// Depends on lib/http.js, lib/body.js, lib/schema.js, lib/paths.js, lib/redact.js, lib/snippets.js,
+// lib/graphql.js, lib/steps.js, lib/collections.js and lib/typescript.js.
+
+const TEST_FRAMEWORKS = ['vitest', 'jest', 'playwright'];
+// Replaying these changes nothing on the server, the others only run with API_TEST_MUTATIONS=1
+const SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+// Field names whose values differ on every call
+const VOLATILE_KEY_PATTERN = /^(id|uuid|guid|nonce|token|etag|timestamp|time|date|created|updated|modified|expires?)$|[_-](id|uuid|at|time|date|token)$/i;
+const VOLATILE_KEY_SUFFIX = /[a-z0-9](Id|ID|Uuid|At|Time|Date|Token)$/;
+// Integers this big are epoch timestamps or generated IDs
+const VOLATILE_NUMBER_MIN = 1e9;
+
+// "baseUrl2" -> "API_BASE_URL2"
+function getEnvName(variableName) {
+  return `API_${variableName.replace(/([a-z0-9])([A-Z])/g, '$1_$2').replace(/[^A-Za-z0-9]+/g, '_').toUpperCase()}`;
+}
+
+function isVolatileValue(key, value) {
+  if (typeof key === 'string' && (VOLATILE_KEY_PATTERN.test(key) || VOLATILE_KEY_SUFFIX.test(key))) return true;
+  if (typeof value === 'number') return Number.isInteger(value) && Math.abs(value) >= VOLATILE_NUMBER_MIN;
+  if (typeof value !== 'string') return false;
+  return getStringFormats(value).some(format => ['date-time', 'date', 'time', 'uuid'].includes(format)) ||
+    /^[0-9a-f]{16,}$/i.test(value) ||
+    /^eyJ[\w-]+\.[\w-]+\.[\w-]*$/.test(value) ||
+    REDACTED_VALUE.test(value);
+}
+
+// JavaScript source of the object the responses are matched against with toMatchObject().
+// A value is only pinned when it was stable: the same in every recorded response (at least two) and not volatile.
+// Everything else is matched by type with expect.any(), arrays, nullable and optional fields are left to the shape check.
+function buildExpectedSource(samples, schema, indent = '') {
+  const inner = `${indent}  `;
+  const lines = [];
+  for (const key of Object.keys(samples[0])) {
+    const childSchema = schema && schema.properties && schema.properties[key];
+    const types = childSchema ? [].concat(childSchema.type) : [];
+    const children = samples.map(sample => sample[key]);
+    const child = children[0];
+    if (children.some(value => value === undefined || value === null) || Array.isArray(child) || types.includes('null') || types.length > 1) continue;
+    let source;
+    if (typeof child === 'object') {
+      source = buildExpectedSource(children, childSchema, inner);
+      if (!source) continue;
+    } else if (samples.length > 1 && children.every(value => value === child && !isVolatileValue(key, value))) {
+      source = JSON.stringify(child);
+    } else {
+      source = `expect.any(${typeof child === 'number' ? 'Number' : typeof child === 'boolean' ? 'Boolean' : 'String'})`;
+    }
+    lines.push(`${inner}${formatPropertyKey(key)}: ${source},`);
+  }
+  return lines.length ? `{\n${lines.join('\n')}\n${indent}}` : null;
+}
+
+// GraphQL queries are sent with POST but only read
+function isSafeToReplay(request) {
+  if (SAFE_METHODS.includes(request.method.toUpperCase())) return true;
+  return isGraphqlRequest(request) && getGraphqlOperations(request).every(operation => operation.operationType === 'query');
+}
+
+// One test case per endpoint, method (or GraphQL operation) and status:
+// { variables: [{ key, value, secret }], endpoints: [{ template, cases: [{ name, item, status, mediaType, schema, expected, mutation }] }] }
+function buildTestSuiteModel(groupedRequests, options = {}) {
+  options = { authHeaders: DEFAULT_REDACTION_SETTINGS.authHeaders, notes: {}, ...options };
+  options.authHeaders = options.authHeaders.map(name => name.toLowerCase());
+  const variables = createVariableRegistry();
+  const hostVariables = registerHostVariables(Object.values(groupedRequests).flat(), variables);
+
+  const endpoints = [];
+  for (const template of Object.keys(groupedRequests).sort()) {
+    const itemGroups = new Map();
+    for (const request of groupedRequests[template]) {
+      // Requests without a response have nothing to assert
+      if (!request.status) continue;
+      const name = getItemName(request, template);
+      if (!itemGroups.has(name)) itemGroups.set(name, []);
+      itemGroups.get(name).push(request);
+    }
+
+    const cases = [];
+    for (const name of [...itemGroups.keys()].sort()) {
+      const requests = itemGroups.get(name);
+      for (const status of [...new Set(requests.map(request => request.status))].sort()) {
+        const statusRequests = requests.filter(request => request.status === status);
+        const item = buildCollectionItem(name, template, statusRequests, hostVariables, options, variables);
+        const bodies = statusRequests.map(request => parseJsonBody(request.responseBody)).filter(body => body !== undefined);
+        const schema = inferSchemaFromSamples(bodies);
+        const objects = bodies.filter(body => body && typeof body === 'object' && !Array.isArray(body));
+        cases.push({
+          name: `${name} returns ${status}`,
+          item,
+          status,
+          mediaType: item.examples[0].mediaType,
+          schema,
+          expected: objects.length && objects.length === bodies.length ? buildExpectedSource(objects, schema, '    ') : null,
+          mutation: !isSafeToReplay(statusRequests[0])
+        });
+      }
+    }
+    if (cases.length) endpoints.push({ template, cases });
+  }
+  return { variables: variables.list(), endpoints };
+}
+
+// The functions below are copied into the generated test file with toString(), so they must not use anything from outside.
+
+function readTestEnv(name, fallback) {
+  const value = process.env[name] !== undefined ? process.env[name] : fallback;
+  if (value === undefined) {
+    throw new Error(`Set the ${name} environment variable to run this test`);
+  }
+  return value;
+}
+
+// The base URL may have a path of its own (a proxy for example), so the recorded path is appended to it
+function buildTestUrl(base, path, query) {
+  const url = new URL(base.replace(/\/$/, '') + path);
+  query.forEach(([key, value]) => url.searchParams.append(key, value));
+  return url.toString();
+}
+
+// Checks a value against a JSON Schema as lib/schema.js infers them, returns the problems found
+function checkShape(value, schema, path = '$') {
+  if (!schema || !schema.type) return [];
+  const types = [].concat(schema.type);
+  const actualType = value === null ? 'null' : Array.isArray(value) ? 'array' : typeof value;
+  const typeMatches = types.some(type => (
+    type === actualType ||
+    (type === 'integer' && actualType === 'number' && Number.isInteger(value)) ||
+    (type === 'number' && actualType === 'number')
+  ));
+  if (!typeMatches) {
+    return [`${path}: expected ${types.join(' or ')}, got ${actualType}`];
+  }
+  const problems = [];
+  if (schema.enum && !schema.enum.includes(value)) {
+    problems.push(`${path}: ${JSON.stringify(value)} is not one of ${JSON.stringify(schema.enum)}`);
+  }
+  if (actualType === 'object' && schema.properties) {
+    for (const key of schema.required || []) {
+      if (!(key in value)) problems.push(`${path}.${key}: missing`);
+    }
+    for (const [key, child] of Object.entries(schema.properties)) {
+      if (key in value) problems.push(...checkShape(value[key], child, `${path}.${key}`));
+    }
+  }
+  if (actualType === 'array' && schema.items) {
+    value.forEach((item, index) => problems.push(...checkShape(item, schema.items, `${path}[${index}]`)));
+  }
+  return problems;
+}
+
+const TEST_RUNTIME_FUNCTIONS = [readTestEnv, buildTestUrl, checkShape];
+
+// Writes text with {{placeholders}} as a JavaScript template literal reading them from the environment
+function toEnvTemplate(text, secretNames) {
+  const parts = String(text).split(/\{\{(\w+)\}\}/);
+  const source = parts.map((part, index) => {
+    if (index % 2 === 0) return part.replace(/[`\\]/g, '\\$&').replace(/\$\{/g, '\\${');
+    return secretNames.has(part) ? `\${readTestEnv('${getEnvName(part)}')}` : `\${${getEnvName(part)}}`;
+  }).join('');
+  return `\`${source}\``;
+}
+
+// How each framework declares tests and sends a request
+function getFrameworkSource(framework) {
+  if (framework === 'playwright') {
+    return {
+      imports: "import { test, expect } from '@playwright/test';\n\n",
+      describe: 'test.describe',
+      testArgs: '{ request }',
+      send: `async function send(options, request) {
+  const response = await request.fetch(options.url, {
+    method: options.method,
+    headers: options.headers,
+    data: options.body,
+    maxRedirects: 0
+  });
+  return { status: response.status(), contentType: response.headers()['content-type'] || '', text: await response.text() };
+}`,
+      sendCall: 'send(options, request)'
+    };
+  }
+  return {
+    imports: framework === 'vitest' ? "import { describe, test, expect } from 'vitest';\n\n" : '',
+    describe: 'describe',
+    testArgs: '',
+    send: `async function send(options) {
+  const response = await fetch(options.url, {
+    method: options.method,
+    headers: options.headers,
+    body: options.body,
+    redirect: 'manual'
+  });
+  return { status: response.status, contentType: response.headers.get('content-type') || '', text: await response.text() };
+}`,
+    sendCall: 'send(options)'
+  };
+}
+
+function buildTestCaseSource(testCase, schemaKey, secretNames, frameworkSource) {
+  const { item } = testCase;
+  const template = text => toEnvTemplate(text, secretNames);
+  const lines = [
+    `  ${testCase.mutation ? 'mutationTest' : 'test'}(${JSON.stringify(testCase.name)}, async (${frameworkSource.testArgs}) => {`,
+    '    const options = {',
+    `      method: ${JSON.stringify(item.method)},`,
+    `      url: buildTestUrl(${getEnvName(item.baseUrlVariable)}, ${template(item.path)}, [${item.query.map(([key, value]) => `[${JSON.stringify(key)}, ${template(value)}]`).join(', ')}]),`
+  ];
+  // Fetch metadata headers (sec-fetch-mode...) only make sense coming from a browser
+  const headers = item.headers.filter(([name]) => !name.toLowerCase().startsWith('sec-'));
+  if (headers.length) {
+    lines.push('      headers: {');
+    lines.push(headers.map(([name, value]) => `        ${JSON.stringify(name)}: ${template(value)}`).join(',\n'));
+    lines.push('      },');
+  }
+  if (item.body) lines.push(`      body: ${template(item.body.text)},`);
+  lines.push('    };');
+  lines.push(`    const response = await ${frameworkSource.sendCall};`);
+  lines.push(`    expect(response.status).toBe(${testCase.status});`);
+  if (testCase.mediaType) {
+    lines.push(`    expect(response.contentType).toContain(${JSON.stringify(testCase.mediaType)});`);
+  }
+  if (testCase.schema) {
+    lines.push('    const body = JSON.parse(response.text);');
+    lines.push(`    expect(checkShape(body, SCHEMAS[${JSON.stringify(schemaKey)}])).toEqual([]);`);
+    if (testCase.expected) lines.push(`    expect(body).toMatchObject(${testCase.expected});`);
+  }
+  lines.push('  });');
+  return lines.join('\n');
+}
+
+// Builds the test file for a model from buildTestSuiteModel()
+function buildTestSuite(model, framework = 'vitest') {
+  const frameworkSource = getFrameworkSource(framework);
+  const secretNames = new Set(model.variables.filter(variable => variable.secret).map(variable => variable.key));
+  const schemas = {};
+  const blocks = model.endpoints.map(endpoint => {
+    const tests = endpoint.cases.map(testCase => {
+      const schemaKey = testCase.name;
+      if (testCase.schema) schemas[schemaKey] = testCase.schema;
+      return buildTestCaseSource(testCase, schemaKey, secretNames, frameworkSource);
+    });
+    return `${frameworkSource.describe}(${JSON.stringify(endpoint.template)}, () => {\n${tests.join('\n\n')}\n});`;
+  });
+
+  // Hosts default to the recorded ones, secrets have to be set
+  const hostNames = model.variables.filter(variable => !variable.secret).map(variable => [getEnvName(variable.key), variable.value]);
+  const hostConstants = hostNames.map(([name, value]) => `const ${name} = readTestEnv(${JSON.stringify(name)}, ${JSON.stringify(value)});`);
+  const secretList = [...secretNames].map(getEnvName);
+
+  return `// Generated by API Recorder on ${new Date().toLocaleString()}.
+// Replays the recorded requests and checks status, content type and response shape.
+// Base URLs: ${hostNames.map(([name]) => name).join(', ') || 'none'}
+// Secrets: ${secretList.join(', ') || 'none'}
+// Requests that change data (POST, PUT, PATCH, DELETE) only run with API_TEST_MUTATIONS=1.
+
+${frameworkSource.imports}${getRuntimeSource()}
+
+${frameworkSource.send}
+
+${hostConstants.join('\n')}
+const mutationTest = process.env.API_TEST_MUTATIONS === '1' ? test : test.skip;
+
+const SCHEMAS = ${JSON.stringify(schemas, null, 2)};
+
+${blocks.join('\n\n')}
+`;
+}
+
+function getRuntimeSource() {
+  return TEST_RUNTIME_FUNCTIONS.map(fn => fn.toString()).join('\n\n');
+}
+
+function getTestSuiteFilename(framework) {
+  return framework === 'playwright' ? 'api.contract.spec.js' : 'api.contract.test.js';
+}
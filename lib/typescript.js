@@ -0,0 +1,255 @@
+// TypeScript interfaces and optional Zod schemas for every recorded endpoint.
+// Types are built from the JSON Schemas that lib/schema.js merges from all samples.
+// Depends on lib/http.js, lib/schema.js, lib/paths.js and lib/openapi.js.
+
+const TS_IDENTIFIER = /^[A-Za-z_$][\w$]*$/;
+// Zod has checks for these string formats, the others (dates for example) can be written too many ways
+const ZOD_STRING_FORMATS = { email: '.email()', uuid: '.uuid()', uri: '.url()' };
+
+function toPascalCase(text) {
+  return text
+    .replace(/[^A-Za-z0-9]+(.)?/g, (match, chr) => (chr ? chr.toUpperCase() : ''))
+    .replace(/^./, chr => chr.toUpperCase())
+    .replace(/^(\d)/, '_$1');
+}
+
+function toCamelCase(text) {
+  const pascal = toPascalCase(text);
+  return pascal.charAt(0).toLowerCase() + pascal.slice(1);
+}
+
+// Base name of the types of an endpoint, like "GetUsersById" for GET /users/{id}
+function getTypeBaseName(method, template) {
+  return toPascalCase(buildOperationId(method, template));
+}
+
+function formatPropertyKey(key) {
+  return TS_IDENTIFIER.test(key) ? key : JSON.stringify(key);
+}
+
+function getSchemaTypeList(schema) {
+  if (!schema || !schema.type) return [];
+  return Array.isArray(schema.type) ? schema.type : [schema.type];
+}
+
+// Enum members of one JSON type ("integer" members count for "number" too). A single value is what happened
+// to be recorded rather than an enum, and a type without members of its own keeps its plain type.
+function getEnumLiterals(schema, type) {
+  const values = (schema.enum || []).filter(value => value !== null);
+  if (values.length < 2) return [];
+  return values.filter(value => getJsonType(value) === type || (type === 'number' && typeof value === 'number'));
+}
+
+// Writes a JSON Schema as a TypeScript type, objects are written inline
+function schemaToTypeScript(schema, indent = '') {
+  const types = getSchemaTypeList(schema);
+  if (!types.length) return 'unknown';
+  const parts = types.map(type => {
+    const literals = getEnumLiterals(schema, type);
+    if (literals.length) return literals.map(value => JSON.stringify(value)).join(' | ');
+    switch (type) {
+      case 'string':
+        return 'string';
+      case 'integer':
+      case 'number':
+        return 'number';
+      case 'boolean':
+        return 'boolean';
+      case 'null':
+        return 'null';
+      case 'array': {
+        if (!schema.items) return 'unknown[]';
+        const itemType = schemaToTypeScript(schema.items, indent);
+        const isUnion = getSchemaTypeList(schema.items).length > 1 || (schema.items.enum || []).filter(value => value !== null).length > 1;
+        return isUnion ? `(${itemType})[]` : `${itemType}[]`;
+      }
+      case 'object':
+        return objectSchemaToTypeScript(schema, indent);
+      default:
+        return 'unknown';
+    }
+  });
+  return [...new Set(parts)].join(' | ');
+}
+
+function objectSchemaToTypeScript(schema, indent) {
+  const entries = Object.entries(schema.properties || {});
+  if (!entries.length) return 'Record<string, unknown>';
+  const required = schema.required || [];
+  const inner = `${indent}  `;
+  const lines = entries.map(([key, child]) => (
+    `${inner}${formatPropertyKey(key)}${required.includes(key) ? '' : '?'}: ${schemaToTypeScript(child, inner)};`
+  ));
+  return `{\n${lines.join('\n')}\n${indent}}`;
+}
+
+// Objects become interfaces, anything else (arrays for example) a type alias
+function buildTypeDeclaration(name, schema) {
+  const isPlainObject = getSchemaTypeList(schema).length === 1 && schema.type === 'object' && Object.keys(schema.properties || {}).length;
+  return isPlainObject
+    ? `export interface ${name} ${objectSchemaToTypeScript(schema, '')}`
+    : `export type ${name} = ${schemaToTypeScript(schema, '')};`;
+}
+
+// Writes a JSON Schema as a Zod schema expression
+function schemaToZod(schema, indent = '') {
+  const types = getSchemaTypeList(schema);
+  if (!types.length) return 'z.unknown()';
+  const nullable = types.includes('null') && types.length > 1;
+  const parts = types.filter(type => !nullable || type !== 'null').map(type => {
+    const literals = getEnumLiterals(schema, type);
+    if (literals.length) {
+      // z.enum() only takes strings, numbers and booleans are literals
+      if (type === 'string') return `z.enum([${literals.map(value => JSON.stringify(value)).join(', ')}])`;
+      const members = literals.map(value => `z.literal(${JSON.stringify(value)})`);
+      return members.length === 1 ? members[0] : `z.union([${members.join(', ')}])`;
+    }
+    switch (type) {
+      case 'string':
+        return `z.string()${ZOD_STRING_FORMATS[schema.format] || ''}`;
+      case 'integer':
+        return 'z.number().int()';
+      case 'number':
+        return 'z.number()';
+      case 'boolean':
+        return 'z.boolean()';
+      case 'null':
+        return 'z.null()';
+      case 'array':
+        return `z.array(${schema.items ? schemaToZod(schema.items, indent) : 'z.unknown()'})`;
+      case 'object':
+        return objectSchemaToZod(schema, indent);
+      default:
+        return 'z.unknown()';
+    }
+  });
+  const expression = parts.length === 1 ? parts[0] : `z.union([${parts.join(', ')}])`;
+  return nullable ? `${expression}.nullable()` : expression;
+}
+
+function objectSchemaToZod(schema, indent) {
+  const entries = Object.entries(schema.properties || {});
+  if (!entries.length) return 'z.record(z.unknown())';
+  const required = schema.required || [];
+  const inner = `${indent}  `;
+  const lines = entries.map(([key, child]) => (
+    `${inner}${formatPropertyKey(key)}: ${schemaToZod(child, inner)}${required.includes(key) ? '' : '.optional()'},`
+  ));
+  return `z.object({\n${lines.join('\n')}\n${indent}})`;
+}
+
+// Path and query parameters are always strings on the wire
+function buildParamsSchema(names, requiredNames) {
+  const properties = {};
+  names.forEach(name => {
+    properties[name] = { type: 'string' };
+  });
+  return { type: 'object', properties, required: requiredNames };
+}
+
+function buildQuerySchema(requests) {
+  const counts = new Map();
+  for (const request of requests) {
+    for (const name of new Set(new URL(request.url).searchParams.keys())) {
+      counts.set(name, (counts.get(name) || 0) + 1);
+    }
+  }
+  if (!counts.size) return null;
+  const names = [...counts.keys()].sort();
+  return buildParamsSchema(names, names.filter(name => counts.get(name) === requests.length));
+}
+
+function getJsonBodies(requests, getBody) {
+  return requests.map(request => parseJsonBody(getBody(request))).filter(body => body !== undefined);
+}
+
+// The named schemas of one endpoint: [{ name, description, schema }]
+function buildEndpointTypes(method, template, requests) {
+  const baseName = getTypeBaseName(method, template);
+  const types = [];
+
+  const pathParams = (template.match(/\{[^}]+\}/g) || []).map(param => param.slice(1, -1));
+  if (pathParams.length) {
+    types.push({ name: `${baseName}Params`, description: 'Path parameters', schema: buildParamsSchema(pathParams, pathParams) });
+  }
+  const querySchema = buildQuerySchema(requests);
+  if (querySchema) {
+    types.push({ name: `${baseName}Query`, description: 'Query parameters', schema: querySchema });
+  }
+  const requestBodies = getJsonBodies(requests, request => request.requestBody);
+  if (requestBodies.length) {
+    types.push({ name: `${baseName}Request`, description: 'Request body', schema: inferSchemaFromSamples(requestBodies) });
+  }
+
+  // The first successful status gets the plain name, other statuses get theirs appended
+  const statuses = [...new Set(requests.map(request => request.status).filter(Boolean))].sort();
+  const mainStatus = statuses.find(status => status >= 200 && status < 300);
+  for (const status of statuses) {
+    const responseBodies = getJsonBodies(requests.filter(request => request.status === status), request => request.responseBody);
+    if (!responseBodies.length) continue;
+    types.push({
+      name: status === mainStatus ? `${baseName}Response` : `${baseName}Response${status}`,
+      description: `Response body (${status})`,
+      schema: inferSchemaFromSamples(responseBodies)
+    });
+  }
+  return types;
+}
+
+// Variables and data of a GraphQL operation, named like "GetUserQueryVariables"
+function buildGraphqlOperationTypes(operation) {
+  const baseName = toPascalCase(`${operation.operationName} ${operation.operationType || 'operation'}`);
+  const types = [];
+  if (operation.variableSamples.length) {
+    types.push({ name: `${baseName}Variables`, description: 'Variables', schema: inferSchemaFromSamples(operation.variableSamples) });
+  }
+  if (operation.dataSamples.length) {
+    types.push({ name: `${baseName}Data`, description: 'Response data', schema: inferSchemaFromSamples(operation.dataSamples) });
+  }
+  return types;
+}
+
+// Builds the .ts file: one block of interfaces (and Zod schemas) per endpoint and GraphQL operation.
+// groupedRequests comes from groupRequestsByTemplate().
+function buildTypeScriptFile(groupedRequests, graphqlOperations, options = {}) {
+  const { zod = false } = options;
+  const blocks = [];
+  const usedNames = new Set();
+  // Two templates can end up with the same name ("/user-list" and "/user/list")
+  const uniqueName = (name) => {
+    let unique = name;
+    for (let i = 2; usedNames.has(unique); i++) unique = `${name}${i}`;
+    usedNames.add(unique);
+    return unique;
+  };
+
+  const addBlock = (title, types) => {
+    if (!types.length) return;
+    const lines = [`// ${title}`];
+    for (const type of types) {
+      const name = uniqueName(type.name);
+      lines.push('', `/** ${type.description} */`, buildTypeDeclaration(name, type.schema));
+      if (zod) {
+        lines.push(`export const ${toCamelCase(name)}Schema = ${schemaToZod(type.schema, '')};`);
+      }
+    }
+    blocks.push(lines.join('\n'));
+  };
+
+  for (const template of Object.keys(groupedRequests).sort()) {
+    const requests = groupedRequests[template];
+    for (const method of [...new Set(requests.map(request => request.method))].sort()) {
+      addBlock(`${method} ${template}`, buildEndpointTypes(method, template, requests.filter(request => request.method === method)));
+    }
+  }
+  for (const operation of graphqlOperations) {
+    addBlock(`GraphQL ${operation.operationType || 'operation'} ${operation.operationName}`, buildGraphqlOperationTypes(operation));
+  }
+
+  const header = [
+    `// Generated by API Recorder on ${new Date().toLocaleString()}.`,
+    '// Types are inferred from the recorded calls: a field is optional when some calls did not have it.'
+  ];
+  if (zod) header.push('', "import { z } from 'zod';");
+  return `${header.join('\n')}\n\n${blocks.join('\n\n')}\n`;
+}
@@ -0,0 +1,61 @@
+// Minimal YAML writer for the spec exports.
+// It only needs to handle plain JSON data, so anchors, tags and multi-line blocks are never emitted.
+
+const YAML_RESERVED_WORDS = ['true', 'false', 'null', 'yes', 'no', 'on', 'off', 'y', 'n', '~'];
+
+// Formats a scalar, quoting strings that YAML would otherwise read as something else
+function formatYamlScalar(value) {
+  if (value === null || value === undefined) return 'null';
+  if (typeof value === 'number' || typeof value === 'boolean') return String(value);
+
+  const str = String(value);
+  const isPlainSafe = /^[A-Za-z_/][A-Za-z0-9_/.{}()+, -]*$/.test(str) &&
+                      !str.endsWith(' ') &&
+                      !YAML_RESERVED_WORDS.includes(str.toLowerCase());
+  // JSON strings are valid YAML double-quoted scalars
+  return isPlainSafe ? str : JSON.stringify(str);
+}
+
+function isYamlBlock(value) {
+  return value !== null && typeof value === 'object' && Object.keys(value).length > 0;
+}
+
+function formatYamlInline(value) {
+  if (Array.isArray(value)) return '[]';
+  if (value !== null && typeof value === 'object') return '{}';
+  return formatYamlScalar(value);
+}
+
+function writeYamlBlock(value, indent) {
+  const pad = '  '.repeat(indent);
+  const lines = [];
+
+  if (Array.isArray(value)) {
+    for (const item of value) {
+      if (isYamlBlock(item)) {
+        // The first line of a nested block sits right after the dash
+        lines.push(pad + '- ' + writeYamlBlock(item, indent + 1).trimStart());
+      } else {
+        lines.push(pad + '- ' + formatYamlInline(item));
+      }
+    }
+  } else {
+    for (const [key, child] of Object.entries(value)) {
+      if (isYamlBlock(child)) {
+        lines.push(`${pad}${formatYamlScalar(key)}:`);
+        lines.push(writeYamlBlock(child, indent + 1));
+      } else {
+        lines.push(`${pad}${formatYamlScalar(key)}: ${formatYamlInline(child)}`);
+      }
+    }
+  }
+
+  return lines.join('\n');
+}
+
+// Serializes JSON-compatible data as a YAML document
+function toYaml(value) {
+  // Round-trip through JSON to drop undefined values and functions
+  const data = JSON.parse(JSON.stringify(value));
+  return (isYamlBlock(data) ? writeYamlBlock(data, 0) : formatYamlInline(data)) + '\n';
+}
@@ -0,0 +1,183 @@
+document.addEventListener('DOMContentLoaded', () => {
+  const pathTemplatesInput = document.getElementById('pathTemplates');
+  const methodsInput = document.getElementById('methods');
+  const resourceTypesDiv = document.getElementById('resourceTypes');
+  const captureAllInput = document.getElementById('captureAll');
+  const maxBodySizeInput = document.getElementById('maxBodySize');
+  const resetFiltersBtn = document.getElementById('resetFiltersBtn');
+  const redactionEnabledInput = document.getElementById('redactionEnabled');
+  const redactionModeSelect = document.getElementById('redactionMode');
+  const redactionRuleInputs = [...document.querySelectorAll('#redactionRules input')];
+  const streamingEnabledInput = document.getElementById('streamingEnabled');
+  const streamingTargetSelect = document.getElementById('streamingTarget');
+  const collectorUrlInput = document.getElementById('collectorUrl');
+  const rollEveryInput = document.getElementById('rollEvery');
+  const saveBtn = document.getElementById('saveBtn');
+  const statusSpan = document.getElementById('status');
+
+  // Capture filter lists edited as one pattern per line
+  const listFields = ['allowHosts', 'denyHosts', 'includeUrls', 'excludeUrls', 'includeContentTypes', 'excludeContentTypes'];
+
+  // Redaction lists edited as one entry per line
+  const redactionListFields = ['authHeaders', 'sensitiveQueryKeys', 'sensitiveBodyKeys', 'customRules'];
+
+  const resourceTypeInputs = RESOURCE_TYPES.map(type => {
+    const label = document.createElement('label');
+    const input = document.createElement('input');
+    input.type = 'checkbox';
+    input.value = type;
+    label.appendChild(input);
+    label.appendChild(document.createTextNode(' ' + type));
+    resourceTypesDiv.appendChild(label);
+    return input;
+  });
+
+  function readLines(textarea) {
+    return textarea.value
+      .split('\n')
+      .map(line => line.trim())
+      .filter(Boolean);
+  }
+
+  function showFilters(filters) {
+    listFields.forEach(field => {
+      document.getElementById(field).value = filters[field].join('\n');
+    });
+    methodsInput.value = filters.methods.join(', ');
+    resourceTypeInputs.forEach(input => {
+      input.checked = filters.resourceTypes.includes(input.value);
+    });
+    captureAllInput.checked = filters.captureAll;
+    maxBodySizeInput.value = Math.round(filters.maxBodySize / 1024);
+  }
+
+  function readFilters() {
+    const filters = {};
+    listFields.forEach(field => {
+      filters[field] = readLines(document.getElementById(field));
+      // Catch broken regular expressions before they silently match nothing
+      filters[field].forEach(pattern => {
+        try {
+          compilePattern(pattern);
+        } catch (error) {
+          throw new Error(`Invalid pattern "${pattern}": ${error.message}`);
+        }
+      });
+    });
+    filters.methods = methodsInput.value
+      .split(',')
+      .map(method => method.trim().toUpperCase())
+      .filter(Boolean);
+    filters.resourceTypes = resourceTypeInputs.filter(input => input.checked).map(input => input.value);
+    filters.captureAll = captureAllInput.checked;
+    const maxBodySizeKb = Number(maxBodySizeInput.value || 0);
+    if (!Number.isFinite(maxBodySizeKb) || maxBodySizeKb < 0) {
+      throw new Error('Largest body size must be a positive number');
+    }
+    filters.maxBodySize = Math.round(maxBodySizeKb * 1024);
+    return filters;
+  }
+
+  function showRedaction(settings) {
+    redactionEnabledInput.checked = settings.enabled;
+    redactionModeSelect.value = settings.mode;
+    redactionRuleInputs.forEach(input => {
+      input.checked = settings.rules[input.dataset.rule];
+    });
+    redactionListFields.forEach(field => {
+      document.getElementById(field).value = settings[field].join('\n');
+    });
+  }
+
+  function readRedaction() {
+    const settings = {
+      enabled: redactionEnabledInput.checked,
+      mode: redactionModeSelect.value,
+      rules: {}
+    };
+    redactionRuleInputs.forEach(input => {
+      settings.rules[input.dataset.rule] = input.checked;
+    });
+    redactionListFields.forEach(field => {
+      settings[field] = readLines(document.getElementById(field));
+    });
+    settings.customRules.forEach(rule => {
+      if (rule.startsWith('$')) return;
+      const match = rule.match(/^\/(.+)\/([a-z]*)$/);
+      try {
+        new RegExp(match ? match[1] : rule, match ? match[2] : '');
+      } catch (error) {
+        throw new Error(`Invalid redaction rule "${rule}": ${error.message}`);
+      }
+    });
+    return settings;
+  }
+
+  function showStreaming(settings) {
+    streamingEnabledInput.checked = settings.enabled;
+    streamingTargetSelect.value = settings.target;
+    collectorUrlInput.value = settings.collectorUrl;
+    rollEveryInput.value = settings.rollEvery;
+  }
+
+  function readStreaming() {
+    const settings = {
+      enabled: streamingEnabledInput.checked,
+      target: streamingTargetSelect.value,
+      collectorUrl: collectorUrlInput.value.trim(),
+      rollEvery: Number(rollEveryInput.value)
+    };
+    if (settings.target === 'collector' && !isLocalCollectorUrl(settings.collectorUrl)) {
+      throw new Error('Collector URL must start with http://localhost, http://127.0.0.1 or http://[::1]');
+    }
+    if (!Number.isInteger(settings.rollEvery) || settings.rollEvery < 1) {
+      throw new Error('Requests per download file must be a whole number above 0');
+    }
+    return settings;
+  }
+
+  function showSaved() {
+    statusSpan.textContent = 'Saved';
+    setTimeout(() => { statusSpan.textContent = ''; }, 2000);
+  }
+
+  // Load saved options
+  chrome.storage.local.get(['pathTemplates', 'captureFilters', 'redaction', 'streaming'], (result) => {
+    pathTemplatesInput.value = (result.pathTemplates || []).join('\n');
+    showFilters(normalizeCaptureFilters(result.captureFilters));
+    showRedaction(normalizeRedactionSettings(result.redaction));
+    showStreaming(normalizeStreamingSettings(result.streaming));
+  });
+
+  resetFiltersBtn.addEventListener('click', async () => {
+    try {
+      showFilters(DEFAULT_CAPTURE_FILTERS);
+      await chrome.storage.local.set({ captureFilters: DEFAULT_CAPTURE_FILTERS });
+      showSaved();
+    } catch (error) {
+      console.error('Error resetting filters:', error);
+      statusSpan.textContent = 'Error: ' + error.message;
+    }
+  });
+
+  saveBtn.addEventListener('click', async () => {
+    try {
+      const pathTemplates = readLines(pathTemplatesInput);
+
+      const invalid = pathTemplates.find(template => !template.startsWith('/'));
+      if (invalid) {
+        throw new Error(`Template must start with "/": ${invalid}`);
+      }
+
+      const captureFilters = readFilters();
+      const redaction = readRedaction();
+      const streaming = readStreaming();
+
+      await chrome.storage.local.set({ pathTemplates, captureFilters, redaction, streaming });
+      showSaved();
+    } catch (error) {
+      console.error('Error saving options:', error);
+      statusSpan.textContent = 'Error: ' + error.message;
+    }
+  });
+});
@@ -1,18 +1,67 @@
 document.addEventListener('DOMContentLoaded', () => {
   const startBtn = document.getElementById('startBtn');
+  const addTabBtn = document.getElementById('addTabBtn');
   const stopBtn = document.getElementById('stopBtn');
+  const stepNameInput = document.getElementById('stepName');
+  const addStepBtn = document.getElementById('addStepBtn');
   const exportBtn = document.getElementById('exportBtn');
+  const exportTypesBtn = document.getElementById('exportTypesBtn');
+  const exportZodBtn = document.getElementById('exportZodBtn');
+  const exportOpenApiJsonBtn = document.getElementById('exportOpenApiJsonBtn');
+  const exportOpenApiYamlBtn = document.getElementById('exportOpenApiYamlBtn');
+  const exportHarBtn = document.getElementById('exportHarBtn');
+  const exportGraphqlSdlBtn = document.getElementById('exportGraphqlSdlBtn');
+  const exportPostmanBtn = document.getElementById('exportPostmanBtn');
+  const exportInsomniaBtn = document.getElementById('exportInsomniaBtn');
+  const exportMockServerBtn = document.getElementById('exportMockServerBtn');
+  const exportMswBtn = document.getElementById('exportMswBtn');
+  const exportWireMockBtn = document.getElementById('exportWireMockBtn');
+  const exportVitestBtn = document.getElementById('exportVitestBtn');
+  const exportJestBtn = document.getElementById('exportJestBtn');
+  const exportPlaywrightBtn = document.getElementById('exportPlaywrightBtn');
+  const importHarBtn = document.getElementById('importHarBtn');
+  const harFileInput = document.getElementById('harFileInput');
+  const sessionNameInput = document.getElementById('sessionName');
+  const sessionsBtn = document.getElementById('sessionsBtn');
+  const inspectorBtn = document.getElementById('inspectorBtn');
   const statusDiv = document.getElementById('status');
 
+  let isRecording = false;
+  let requestCount = 0;
+  let recordedTabIds = [];
+  let currentStep = null;
+  let activeTabId = null;
+
+  chrome.tabs.query({ active: true, currentWindow: true }, ([tab]) => {
+    activeTabId = tab ? tab.id : null;
+    updateUI();
+  });
+
   // Check initial state
-  chrome.storage.local.get(['isRecording'], (result) => {
-    updateUI(result.isRecording);
+  chrome.storage.local.get(['isRecording', 'requestCount', 'recordedTabIds', 'currentStep'], (result) => {
+    isRecording = !!result.isRecording;
+    requestCount = result.requestCount || 0;
+    recordedTabIds = result.recordedTabIds || [];
+    currentStep = result.currentStep || null;
+    updateUI();
   });
 
   // Listen for storage changes
   chrome.storage.onChanged.addListener((changes) => {
     if (changes.isRecording) {
-      updateUI(changes.isRecording.newValue);
+      isRecording = !!changes.isRecording.newValue;
+    }
+    if (changes.requestCount) {
+      requestCount = changes.requestCount.newValue || 0;
+    }
+    if (changes.recordedTabIds) {
+      recordedTabIds = changes.recordedTabIds.newValue || [];
+    }
+    if (changes.currentStep) {
+      currentStep = changes.currentStep.newValue || null;
+    }
+    if (changes.isRecording || changes.requestCount || changes.recordedTabIds || changes.currentStep) {
+      updateUI();
     }
   });
 
@@ -22,7 +71,8 @@ document.addEventListener('DOMContentLoaded', () => {
       if (!tab) {
         throw new Error('No active tab found');
       }
-      const response = await chrome.runtime.sendMessage({ type: 'startRecording', tabId: tab.id });
+      const name = sessionNameInput.value.trim();
+      const response = await chrome.runtime.sendMessage({ type: 'startRecording', tabId: tab.id, name });
       if (!response || !response.success) {
         throw new Error('Failed to start recording');
       }
@@ -32,6 +82,38 @@ document.addEventListener('DOMContentLoaded', () => {
     }
   });
 
+  addTabBtn.addEventListener('click', async () => {
+    try {
+      const response = await chrome.runtime.sendMessage({ type: 'addTab', tabId: activeTabId });
+      if (!response || !response.success) {
+        throw new Error(response && response.error ? response.error : 'Failed to record this tab');
+      }
+    } catch (error) {
+      console.error('Error adding tab:', error);
+      statusDiv.textContent = 'Error: ' + error.message;
+    }
+  });
+
+  addStepBtn.addEventListener('click', async () => {
+    try {
+      const response = await chrome.runtime.sendMessage({ type: 'addStep', name: stepNameInput.value.trim() });
+      if (!response || !response.success) {
+        throw new Error(response && response.error ? response.error : 'Failed to add step');
+      }
+      stepNameInput.value = '';
+    } catch (error) {
+      console.error('Error adding step:', error);
+      statusDiv.textContent = 'Error: ' + error.message;
+    }
+  });
+
+  // Enter in the step name field starts the step
+  stepNameInput.addEventListener('keydown', (event) => {
+    if (event.key === 'Enter' && !addStepBtn.disabled) {
+      addStepBtn.click();
+    }
+  });
+
   stopBtn.addEventListener('click', async () => {
     try {
       const response = await chrome.runtime.sendMessage({ type: 'stopRecording' });
@@ -48,7 +130,7 @@ document.addEventListener('DOMContentLoaded', () => {
     try {
       const response = await chrome.runtime.sendMessage({ type: 'exportMarkdown' });
       if (!response || !response.success) {
-        throw new Error('Failed to export recording');
+        throw new Error(response && response.error ? response.error : 'Failed to export recording');
       }
     } catch (error) {
       console.error('Error exporting recording:', error);
@@ -56,10 +138,166 @@ document.addEventListener('DOMContentLoaded', () => {
     }
   });
 
-  function updateUI(isRecording) {
+  exportOpenApiJsonBtn.addEventListener('click', () => exportOpenApi('json'));
+  exportOpenApiYamlBtn.addEventListener('click', () => exportOpenApi('yaml'));
+
+  async function exportOpenApi(format) {
+    try {
+      const response = await chrome.runtime.sendMessage({ type: 'exportOpenApi', format });
+      if (!response || !response.success) {
+        throw new Error(response && response.error ? response.error : 'Failed to export OpenAPI spec');
+      }
+    } catch (error) {
+      console.error('Error exporting OpenAPI spec:', error);
+      statusDiv.textContent = 'Error: ' + error.message;
+    }
+  }
+
+  exportHarBtn.addEventListener('click', async () => {
+    try {
+      const response = await chrome.runtime.sendMessage({ type: 'exportHar' });
+      if (!response || !response.success) {
+        throw new Error(response && response.error ? response.error : 'Failed to export HAR');
+      }
+    } catch (error) {
+      console.error('Error exporting HAR:', error);
+      statusDiv.textContent = 'Error: ' + error.message;
+    }
+  });
+
+  exportGraphqlSdlBtn.addEventListener('click', async () => {
+    try {
+      const response = await chrome.runtime.sendMessage({ type: 'exportGraphqlSdl' });
+      if (!response || !response.success) {
+        throw new Error(response && response.error ? response.error : 'Failed to export GraphQL SDL');
+      }
+    } catch (error) {
+      console.error('Error exporting GraphQL SDL:', error);
+      statusDiv.textContent = 'Error: ' + error.message;
+    }
+  });
+
+  exportTypesBtn.addEventListener('click', () => exportTypes(false));
+  exportZodBtn.addEventListener('click', () => exportTypes(true));
+
+  async function exportTypes(zod) {
+    try {
+      const response = await chrome.runtime.sendMessage({ type: 'exportTypes', zod });
+      if (!response || !response.success) {
+        throw new Error(response && response.error ? response.error : 'Failed to export types');
+      }
+    } catch (error) {
+      console.error('Error exporting types:', error);
+      statusDiv.textContent = 'Error: ' + error.message;
+    }
+  }
+
+  exportPostmanBtn.addEventListener('click', () => exportCollection('postman'));
+  exportInsomniaBtn.addEventListener('click', () => exportCollection('insomnia'));
+
+  async function exportCollection(format) {
+    try {
+      const response = await chrome.runtime.sendMessage({ type: 'exportCollection', format });
+      if (!response || !response.success) {
+        throw new Error(response && response.error ? response.error : 'Failed to export collection');
+      }
+    } catch (error) {
+      console.error('Error exporting collection:', error);
+      statusDiv.textContent = 'Error: ' + error.message;
+    }
+  }
+
+  exportMockServerBtn.addEventListener('click', () => exportMock('node'));
+  exportMswBtn.addEventListener('click', () => exportMock('msw'));
+  exportWireMockBtn.addEventListener('click', () => exportMock('wiremock'));
+
+  async function exportMock(format) {
+    try {
+      const response = await chrome.runtime.sendMessage({ type: 'exportMock', format });
+      if (!response || !response.success) {
+        throw new Error(response && response.error ? response.error : 'Failed to export mock');
+      }
+    } catch (error) {
+      console.error('Error exporting mock:', error);
+      statusDiv.textContent = 'Error: ' + error.message;
+    }
+  }
+
+  exportVitestBtn.addEventListener('click', () => exportTests('vitest'));
+  exportJestBtn.addEventListener('click', () => exportTests('jest'));
+  exportPlaywrightBtn.addEventListener('click', () => exportTests('playwright'));
+
+  async function exportTests(framework) {
+    try {
+      const response = await chrome.runtime.sendMessage({ type: 'exportTests', framework });
+      if (!response || !response.success) {
+        throw new Error(response && response.error ? response.error : 'Failed to export tests');
+      }
+    } catch (error) {
+      console.error('Error exporting tests:', error);
+      statusDiv.textContent = 'Error: ' + error.message;
+    }
+  }
+
+  importHarBtn.addEventListener('click', () => harFileInput.click());
+
+  harFileInput.addEventListener('change', async () => {
+    const file = harFileInput.files[0];
+    if (!file) return;
+    try {
+      const har = await file.text();
+      const response = await chrome.runtime.sendMessage({ type: 'importHar', har });
+      if (!response || !response.success) {
+        throw new Error(response && response.error ? response.error : 'Failed to import HAR');
+      }
+      statusDiv.textContent = `Imported ${response.count} requests`;
+    } catch (error) {
+      console.error('Error importing HAR:', error);
+      statusDiv.textContent = 'Error: ' + error.message;
+    } finally {
+      harFileInput.value = '';
+    }
+  });
+
+  inspectorBtn.addEventListener('click', () => {
+    chrome.tabs.create({ url: chrome.runtime.getURL('inspector.html') });
+  });
+
+  sessionsBtn.addEventListener('click', () => {
+    chrome.tabs.create({ url: chrome.runtime.getURL('sessions.html') });
+  });
+
+  function updateUI() {
+    // Exports work while recording and for anything recorded or imported before
+    const canExport = isRecording || requestCount > 0;
     startBtn.disabled = isRecording;
+    addTabBtn.disabled = !isRecording || !activeTabId || recordedTabIds.includes(activeTabId);
     stopBtn.disabled = !isRecording;
-    exportBtn.disabled = !isRecording;
-    statusDiv.textContent = isRecording ? 'Recording...' : 'Not Recording';
+    stepNameInput.disabled = !isRecording;
+    addStepBtn.disabled = !isRecording;
+    exportBtn.disabled = !canExport;
+    exportOpenApiJsonBtn.disabled = !canExport;
+    exportOpenApiYamlBtn.disabled = !canExport;
+    exportHarBtn.disabled = !canExport;
+    exportGraphqlSdlBtn.disabled = !canExport;
+    exportTypesBtn.disabled = !canExport;
+    exportZodBtn.disabled = !canExport;
+    exportPostmanBtn.disabled = !canExport;
+    exportVitestBtn.disabled = !canExport;
+    exportJestBtn.disabled = !canExport;
+    exportPlaywrightBtn.disabled = !canExport;
+    exportInsomniaBtn.disabled = !canExport;
+    exportMockServerBtn.disabled = !canExport;
+    exportMswBtn.disabled = !canExport;
+    exportWireMockBtn.disabled = !canExport;
+    importHarBtn.disabled = isRecording;
+    sessionNameInput.disabled = isRecording;
+    const countText = `${requestCount} request${requestCount === 1 ? '' : 's'}`;
+    if (isRecording) {
+      const tabText = `${recordedTabIds.length} tab${recordedTabIds.length === 1 ? '' : 's'}`;
+      statusDiv.textContent = `Recording ${tabText}... (${countText})${currentStep ? `, step: ${currentStep}` : ''}`;
+    } else {
+      statusDiv.textContent = requestCount > 0 ? `Not Recording (${countText} in last session)` : 'Not Recording';
+    }
   }
 }); 
\ No newline at end of file
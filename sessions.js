@@ -0,0 +1,181 @@
+document.addEventListener('DOMContentLoaded', () => {
+  const sessionList = document.getElementById('sessionList');
+  const mergeBtn = document.getElementById('mergeBtn');
+  const compareBtn = document.getElementById('compareBtn');
+  const compareSpecsBtn = document.getElementById('compareSpecsBtn');
+  const specFileInput = document.getElementById('specFileInput');
+  const statusSpan = document.getElementById('status');
+
+  const selected = new Set();
+  let beforeSpec = null; // { name, text } while the newer spec still has to be picked
+
+  // Sends a message to the background script and throws if it failed
+  async function send(message) {
+    const response = await chrome.runtime.sendMessage(message);
+    if (!response || !response.success) {
+      throw new Error(response && response.error ? response.error : `Failed: ${message.type}`);
+    }
+    return response;
+  }
+
+  function showError(error) {
+    console.error('Session action failed:', error);
+    statusSpan.textContent = 'Error: ' + error.message;
+  }
+
+  function formatTime(time) {
+    return time ? new Date(time).toLocaleString() : '';
+  }
+
+  function createButton(label, onClick, className) {
+    const button = document.createElement('button');
+    button.textContent = label;
+    if (className) button.className = className;
+    button.addEventListener('click', () => onClick().catch(showError));
+    return button;
+  }
+
+  async function loadSessions() {
+    const { sessions, activeSessionId } = await send({ type: 'listSessions' });
+    const { isRecording } = await chrome.storage.local.get('isRecording');
+
+    sessionList.textContent = '';
+    for (const session of sessions) {
+      const row = document.createElement('tr');
+      const isActive = session.id === activeSessionId;
+      if (isActive) row.className = 'active';
+
+      const checkbox = document.createElement('input');
+      checkbox.type = 'checkbox';
+      checkbox.checked = selected.has(session.id);
+      checkbox.addEventListener('change', () => {
+        if (checkbox.checked) selected.add(session.id);
+        else selected.delete(session.id);
+        updateSelectionButtons();
+      });
+
+      const name = (session.name || session.id) + (isActive && isRecording ? ' (recording)' : '');
+      const cells = [checkbox, name, formatTime(session.startedAt), formatTime(session.endedAt), session.tabUrl || '', String(session.requestCount || 0)];
+      cells.forEach((content, index) => {
+        const cell = document.createElement('td');
+        if (index === 4) {
+          cell.className = 'url';
+          cell.title = content;
+        }
+        if (typeof content === 'string') cell.textContent = content;
+        else cell.appendChild(content);
+        row.appendChild(cell);
+      });
+
+      const actions = document.createElement('td');
+      actions.appendChild(createButton('Markdown', () => send({ type: 'exportMarkdown', sessionId: session.id })));
+      actions.appendChild(createButton('TypeScript', () => send({ type: 'exportTypes', sessionId: session.id })));
+      actions.appendChild(createButton('TS + Zod', () => send({ type: 'exportTypes', zod: true, sessionId: session.id })));
+      actions.appendChild(createButton('OpenAPI JSON', () => send({ type: 'exportOpenApi', format: 'json', sessionId: session.id })));
+      actions.appendChild(createButton('OpenAPI YAML', () => send({ type: 'exportOpenApi', format: 'yaml', sessionId: session.id })));
+      actions.appendChild(createButton('HAR', () => send({ type: 'exportHar', sessionId: session.id })));
+      actions.appendChild(createButton('GraphQL SDL', () => send({ type: 'exportGraphqlSdl', sessionId: session.id })));
+      actions.appendChild(createButton('Postman', () => send({ type: 'exportCollection', format: 'postman', sessionId: session.id })));
+      actions.appendChild(createButton('Insomnia', () => send({ type: 'exportCollection', format: 'insomnia', sessionId: session.id })));
+      actions.appendChild(createButton('Mock Server', () => send({ type: 'exportMock', format: 'node', sessionId: session.id })));
+      actions.appendChild(createButton('MSW', () => send({ type: 'exportMock', format: 'msw', sessionId: session.id })));
+      actions.appendChild(createButton('WireMock', () => send({ type: 'exportMock', format: 'wiremock', sessionId: session.id })));
+      actions.appendChild(createButton('Vitest', () => send({ type: 'exportTests', framework: 'vitest', sessionId: session.id })));
+      actions.appendChild(createButton('Jest', () => send({ type: 'exportTests', framework: 'jest', sessionId: session.id })));
+      actions.appendChild(createButton('Playwright', () => send({ type: 'exportTests', framework: 'playwright', sessionId: session.id })));
+      actions.appendChild(createButton('Rename', async () => {
+        const newName = prompt('Session name', session.name || '');
+        if (newName === null || !newName.trim()) return;
+        await send({ type: 'renameSession', sessionId: session.id, name: newName.trim() });
+        await loadSessions();
+      }));
+      const deleteBtn = createButton('Delete', async () => {
+        if (!confirm(`Delete "${session.name || session.id}" and all of its requests?`)) return;
+        await send({ type: 'deleteSession', sessionId: session.id });
+        selected.delete(session.id);
+        await loadSessions();
+      }, 'danger');
+      deleteBtn.disabled = isActive && isRecording;
+      actions.appendChild(deleteBtn);
+      row.appendChild(actions);
+
+      sessionList.appendChild(row);
+    }
+
+    // Forget selections of sessions that were deleted
+    for (const sessionId of selected) {
+      if (!sessions.some(session => session.id === sessionId)) selected.delete(sessionId);
+    }
+    updateSelectionButtons();
+  }
+
+  function updateSelectionButtons() {
+    mergeBtn.disabled = selected.size < 2;
+    compareBtn.disabled = selected.size !== 2;
+  }
+
+  function showDiffSummary(summary) {
+    statusSpan.textContent = `Report saved: ${summary.breakingChanges} breaking, ${summary.nonBreakingChanges} other changes`;
+  }
+
+  mergeBtn.addEventListener('click', async () => {
+    try {
+      const name = prompt('Name for the merged session (leave empty for a default name)', '');
+      if (name === null) return;
+      await send({ type: 'mergeSessions', sessionIds: [...selected], name: name.trim() });
+      selected.clear();
+      statusSpan.textContent = 'Sessions merged';
+      await loadSessions();
+    } catch (error) {
+      showError(error);
+    }
+  });
+
+  compareBtn.addEventListener('click', async () => {
+    try {
+      const { summary } = await send({ type: 'diffSessions', sessionIds: [...selected] });
+      showDiffSummary(summary);
+    } catch (error) {
+      showError(error);
+    }
+  });
+
+  // Two files are picked one after the other: the older spec first, then the newer one.
+  // Each pick needs its own click, browsers only open a file picker for a click.
+  compareSpecsBtn.addEventListener('click', () => specFileInput.click());
+
+  function resetSpecCompare() {
+    beforeSpec = null;
+    compareSpecsBtn.textContent = 'Compare Spec Files';
+  }
+
+  specFileInput.addEventListener('change', async () => {
+    const file = specFileInput.files[0];
+    specFileInput.value = '';
+    if (!file) return;
+    try {
+      const text = await file.text();
+      if (!beforeSpec) {
+        beforeSpec = { name: file.name, text };
+        compareSpecsBtn.textContent = 'Pick Newer Spec';
+        statusSpan.textContent = `Older spec: ${file.name}, now pick the newer one`;
+        return;
+      }
+      const { summary } = await send({ type: 'diffSpecs', before: beforeSpec.text, after: text, beforeName: beforeSpec.name, afterName: file.name });
+      resetSpecCompare();
+      showDiffSummary(summary);
+    } catch (error) {
+      resetSpecCompare();
+      showError(error);
+    }
+  });
+
+  // Keep the request count of the running session up to date
+  chrome.storage.onChanged.addListener((changes) => {
+    if (changes.requestCount || changes.isRecording || changes.activeSessionId) {
+      loadSessions().catch(showError);
+    }
+  });
+
+  loadSessions().catch(showError);
+});
@@ -0,0 +1,81 @@
+#!/usr/bin/env node
+// Reference collector for the live JSONL stream of API Recorder (see "Streaming to Scripts" in the README).
+// Appends every received line to a file and prints a short summary of each request.
+//
+//   node tools/collector.js [--port 8765] [--out api-recorder.jsonl]
+//
+// Needs nothing but Node. Copy it and replace handleRecord() to feed your own scripts.
+// Only listens on 127.0.0.1, and refuses requests from web pages (only the extension or scripts may send lines).
+
+const fs = require('fs');
+const http = require('http');
+
+function getArgument(name, fallback) {
+  const index = process.argv.indexOf(`--${name}`);
+  return index !== -1 && process.argv[index + 1] ? process.argv[index + 1] : fallback;
+}
+
+const port = Number(getArgument('port', process.env.PORT || 8765));
+const outFile = getArgument('out', 'api-recorder.jsonl');
+let received = 0;
+
+function handleRecord(record) {
+  const status = record.status || (record.error ? 'ERR' : '---');
+  const duration = typeof record.durationMs === 'number' ? `${record.durationMs} ms` : '';
+  console.log(`${String(status).padEnd(4)} ${String(record.method || '?').padEnd(7)} ${record.url || ''} ${duration}`);
+}
+
+// Browsers send an Origin with every POST. The extension's is chrome-extension://..., scripts send none.
+function isAllowedOrigin(origin) {
+  return !origin || /^(chrome|moz)-extension:\/\//.test(origin);
+}
+
+const server = http.createServer((req, res) => {
+  if (!isAllowedOrigin(req.headers.origin)) {
+    res.writeHead(403, { 'Content-Type': 'text/plain' });
+    res.end('Only the API Recorder extension may send lines here');
+    return;
+  }
+  if (req.method === 'GET') {
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ received, outFile }));
+    return;
+  }
+  if (req.method !== 'POST') {
+    res.writeHead(405);
+    res.end();
+    return;
+  }
+
+  const chunks = [];
+  req.on('data', chunk => chunks.push(chunk));
+  req.on('end', () => {
+    const lines = Buffer.concat(chunks).toString('utf8').split('\n').filter(line => line.trim());
+    const records = [];
+    for (const line of lines) {
+      let record;
+      try {
+        record = JSON.parse(line);
+      } catch (error) {
+        res.writeHead(400, { 'Content-Type': 'text/plain' });
+        res.end(`Invalid JSON line: ${error.message}`);
+        return;
+      }
+      if (!record || typeof record !== 'object' || Array.isArray(record)) {
+        res.writeHead(400, { 'Content-Type': 'text/plain' });
+        res.end('Every line has to be a JSON object');
+        return;
+      }
+      records.push(record);
+    }
+    fs.appendFileSync(outFile, lines.map(line => `${line}\n`).join(''));
+    received += records.length;
+    records.forEach(handleRecord);
+    res.writeHead(204);
+    res.end();
+  });
+});
+
+server.listen(port, '127.0.0.1', () => {
+  console.log(`Collecting API Recorder requests on http://127.0.0.1:${port}/requests into ${outFile}`);
+});